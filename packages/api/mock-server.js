@@ -0,0 +1,17 @@
+import dotenv from "dotenv";
+import { startMockEbayServer } from "./src/mock/mockEbayServer.js";
+
+dotenv.config();
+
+const PORT = process.env.MOCK_EBAY_PORT || 3002;
+
+const server = await startMockEbayServer({
+  port: PORT,
+  dataDir: process.env.MOCK_EBAY_DATA_DIR,
+  fixtureDir: process.env.MOCK_EBAY_FIXTURE_DIR,
+  failureRate: parseFloat(process.env.MOCK_EBAY_FAILURE_RATE || 0),
+});
+
+const { port } = server.address();
+console.log(`Mock eBay API running on port ${port}`);
+console.log(`Point the API or CLI at it with EBAY_API_BASE_URL=http://localhost:${port}`);
@@ -1,15 +1,55 @@
+import crypto from "crypto";
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import EbayClient from "./src/api/ebayClient.js";
-import { TrendAnalyzer } from "./src/utils/trendAnalyzer.js";
-import { CacheManager } from "./src/utils/cache.js";
-import { CATEGORIES, getCategoryById } from "@ebay-analyzer/shared/categories";
+import { TaxonomyService, ROOT_CATEGORY_ID } from "./src/api/taxonomy.js";
+import { TrendAnalyzer, PRICE_BASES } from "./src/utils/trendAnalyzer.js";
+import { KeywordAnalyzer } from "./src/utils/keywordAnalyzer.js";
+import { DuplicateDetector } from "./src/utils/duplicateDetector.js";
+import {
+  CacheManager,
+  buildCategoryCacheKey,
+  buildSearchCacheKey,
+} from "./src/utils/cache.js";
+import { SnapshotStore } from "./src/utils/snapshotStore.js";
+import { migrateStores } from "./src/utils/migrations.js";
+import { formatBytes, formatDuration } from "./src/utils/humanize.js";
+import {
+  RefreshScheduler,
+  parseSchedules,
+} from "./src/utils/refreshScheduler.js";
+import {
+  DEFAULT_SOLD_DAYS,
+  createSoldDataService,
+} from "./src/api/soldData.js";
+import {
+  FilterValidationError,
+  getAspectFiltersKey,
+  getListingFiltersKey,
+  normalizeSortOrder,
+  parseAspectFilterQuery,
+  parseListingFilterQuery,
+  toBoolean,
+} from "./src/api/listingFilters.js";
+import {
+  getCategoryById,
+  getCategoriesForMarketplace,
+  isCategoryAvailable,
+  localizeCategory,
+} from "@ebay-analyzer/shared/categories";
+import {
+  DEFAULT_MARKETPLACE_ID,
+  MARKETPLACES,
+  getMarketplaceById,
+} from "@ebay-analyzer/shared/marketplaces";
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const DEFAULT_ITEM_LIMIT = 100;
+const MAX_ITEM_LIMIT = parseInt(process.env.MAX_ITEMS_PER_CATEGORY || 1000);
 
 app.use(
   cors({
@@ -23,7 +63,12 @@ app.use(express.json());
 
 const ebayClient = new EbayClient();
 const analyzer = new TrendAnalyzer();
+const keywordAnalyzer = new KeywordAnalyzer();
+const duplicateDetector = new DuplicateDetector();
 const cache = new CacheManager();
+const snapshots = new SnapshotStore();
+const taxonomy = new TaxonomyService({ client: ebayClient, cache });
+const soldData = createSoldDataService({ client: ebayClient, cache, snapshots });
 
 /**
  * Format cache age as "Cached X hour(s) Y minutes ago"
@@ -43,27 +88,489 @@ function formatCacheAge(ageInHours) {
   }
 }
 
+/**
+ * Resolve the ?marketplace= parameter, falling back to EBAY_MARKETPLACE
+ * Returns null for marketplaces we don't support
+ */
+function parseMarketplace(value) {
+  return getMarketplaceById(value || ebayClient.marketplace);
+}
+
+/**
+ * Cache key part for a marketplace (omitted for the default site)
+ */
+function marketplaceKey(marketplace) {
+  return marketplace.id === DEFAULT_MARKETPLACE_ID ? null : marketplace.id;
+}
+
+/**
+ * Respond with 400 for an unsupported marketplace
+ */
+function rejectMarketplace(res, value) {
+  return res.status(400).json({
+    success: false,
+    error: `Unsupported marketplace: ${value} (supported: ${Object.keys(
+      MARKETPLACES
+    ).join(", ")})`,
+  });
+}
+
+/**
+ * Look up a category on a marketplace: the curated list first (localized
+ * name and description), then the full taxonomy tree
+ * Returns null when the category doesn't exist on that marketplace
+ */
+async function resolveCategory(id, marketplace) {
+  const curated = getCategoryById(id);
+  if (curated) {
+    return isCategoryAvailable(curated, marketplace.id)
+      ? localizeCategory(curated, marketplace.id)
+      : null;
+  }
+
+  const tree = await taxonomy.getTree(marketplace.id);
+  const node = tree.getCategoryById(id);
+  if (!node || node.id === ROOT_CATEGORY_ID) {
+    return null;
+  }
+
+  return { id: node.id, name: node.name, description: tree.describe(node.id) };
+}
+
 /**
  * GET /api/categories
  * Returns list of all available categories
+ * Query: ?marketplace=EBAY_GB - localized names, only categories on that site
+ *        ?parent=293 - browse the full category tree one level at a time
+ *                      (?parent=0 lists the tree's top-level categories)
  */
-app.get("/api/categories", (req, res) => {
-  const categories = Object.values(CATEGORIES).map((cat) => ({
-    id: cat.id,
-    name: cat.name,
-    description: cat.description,
-  }));
-  res.json({ success: true, categories });
+app.get("/api/categories", async (req, res) => {
+  const marketplace = parseMarketplace(req.query.marketplace);
+  if (!marketplace) {
+    return rejectMarketplace(res, req.query.marketplace);
+  }
+
+  if (req.query.parent === undefined) {
+    const categories = getCategoriesForMarketplace(marketplace.id).map(
+      (cat) => ({
+        id: cat.id,
+        name: cat.name,
+        description: cat.description,
+      })
+    );
+    return res.json({ success: true, marketplace, categories });
+  }
+
+  try {
+    const tree = await taxonomy.getTree(marketplace.id);
+    const parent = tree.getCategoryById(req.query.parent);
+
+    if (!parent) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Category not found" });
+    }
+
+    const toSummary = (node) => ({
+      id: node.id,
+      name: node.name,
+      leaf: node.leaf,
+      childCount: tree.getChildren(node.id).length,
+    });
+
+    res.json({
+      success: true,
+      marketplace,
+      source: tree.source,
+      parent: toSummary(parent),
+      ancestors: tree.getAncestors(parent.id).map(toSummary),
+      categories: tree.getChildren(parent.id).map(toSummary),
+    });
+  } catch (error) {
+    console.error("API Error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
 });
 
+/**
+ * Build a progress callback that logs enrichment every 10% of items
+ */
+function logEnrichmentProgress(label) {
+  let lastLogged = 0;
+  return ({ completed, total, failed }) => {
+    const step = Math.max(1, Math.ceil(total / 10));
+    if (completed - lastLogged >= step || completed === total) {
+      lastLogged = completed;
+      console.log(
+        `[${label}] Enriched ${completed}/${total} items (${failed} failed)`
+      );
+    }
+  };
+}
+
+/**
+ * Parse the requested item budget, falling back to the default
+ * Returns null if the value is not a positive integer within bounds
+ */
+function parseItemLimit(value) {
+  if (value === undefined) return DEFAULT_ITEM_LIMIT;
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ITEM_LIMIT) {
+    return null;
+  }
+
+  return limit;
+}
+
+/**
+ * Serve items from cache, or fetch, enrich and cache them
+ * An expired entry still within the stale window is served right away
+ * (stale: true) while a background fetch refreshes it
+ * @param {string} cacheKey - Cache entry for this exact query
+ * @param {Function} fetchActive - async () => search result from EbayClient
+ * @param {Object} options - { label: prefix for progress logs, marketplace }
+ * @returns {Promise<Object>} { data, cached, age (hours, cached only), stale,
+ *   refreshError (stale only, after a failed refresh) }
+ */
+async function getEnrichedResult(cacheKey, fetchActive, options) {
+  // Check cache
+  const cached = await cache.getEntry(cacheKey, { allowStale: true });
+  if (cached && !cached.stale) {
+    return { data: cached.data, cached: true, age: cached.age, stale: false };
+  }
+
+  if (cached) {
+    // After a failed refresh, keep serving the stale copy until the backoff ends
+    const failure = failedRefreshes.get(cacheKey);
+    const backingOff = failure && Date.now() < failure.retryAt;
+    if (!backingOff) {
+      refreshEnrichedResult(cacheKey, fetchActive, options).catch((error) => {
+        console.error(`[${options.label}] Background refresh failed:`, error.message);
+      });
+    }
+    return {
+      data: cached.data,
+      cached: true,
+      age: cached.age,
+      stale: true,
+      refreshError: backingOff ? describeRefreshFailure(cacheKey) : undefined,
+    };
+  }
+
+  const data = await refreshEnrichedResult(cacheKey, fetchActive, options);
+  return { data, cached: false, stale: false };
+}
+
+// Upstream fetches in flight, by cache key
+const inFlightFetches = new Map();
+
+// Last failed fetch per cache key, until one succeeds:
+// { failures (in a row), error, failedAt, retryAt }
+const failedRefreshes = new Map();
+const REFRESH_RETRY_BASE_MS = 60 * 1000;
+const REFRESH_RETRY_MAX_MS = 30 * 60 * 1000;
+
+/**
+ * Fetch, enrich and cache one query
+ * Concurrent calls for the same cache key share a single upstream fetch
+ * A failure is remembered so stale copies stop retrying it on every request;
+ * the wait doubles with each failure in a row
+ * @returns {Promise<Object>} the enriched result
+ */
+function refreshEnrichedResult(cacheKey, fetchActive, options) {
+  if (!inFlightFetches.has(cacheKey)) {
+    const pending = fetchEnrichedResult(cacheKey, fetchActive, options)
+      .then(
+        (result) => {
+          failedRefreshes.delete(cacheKey);
+          return result;
+        },
+        (error) => {
+          const failures = (failedRefreshes.get(cacheKey)?.failures || 0) + 1;
+          const failedAt = Date.now();
+          const delay = Math.min(
+            REFRESH_RETRY_BASE_MS * 2 ** (failures - 1),
+            REFRESH_RETRY_MAX_MS
+          );
+          failedRefreshes.set(cacheKey, {
+            failures,
+            error: error.message,
+            failedAt,
+            retryAt: failedAt + delay,
+          });
+          throw error;
+        }
+      )
+      .finally(() => inFlightFetches.delete(cacheKey));
+    inFlightFetches.set(cacheKey, pending);
+  }
+
+  return inFlightFetches.get(cacheKey);
+}
+
+/**
+ * The last failed fetch of a cache entry for response metadata, or undefined
+ */
+function describeRefreshFailure(cacheKey) {
+  const failure = failedRefreshes.get(cacheKey);
+  if (!failure) return undefined;
+
+  return {
+    error: failure.error,
+    failedAt: new Date(failure.failedAt).toISOString(),
+    retryAt: new Date(failure.retryAt).toISOString(),
+  };
+}
+
+/**
+ * Fetch and enrich items from eBay, then cache them and record a snapshot
+ */
+async function fetchEnrichedResult(cacheKey, fetchActive, { label, marketplace }) {
+  // Fetch fresh data
+  const activeData = await fetchActive();
+
+  if (!activeData.success) {
+    throw new Error("Failed to fetch data from eBay");
+  }
+
+  // Enrich with detailed data
+  const { items: enrichedItems, summary: enrichment } =
+    await ebayClient.enrichItemsWithDetails(activeData.items, {
+      onProgress: logEnrichmentProgress(label),
+      marketplace: marketplace.id,
+    });
+
+  const result = {
+    ...activeData,
+    items: enrichedItems,
+    // Clustering is pairwise over titles, so it runs once per fetch
+    duplicateGroups: duplicateDetector.group(enrichedItems),
+    metadata: {
+      ...activeData.metadata,
+      enrichment,
+    },
+  };
+
+  // Cache the result, and keep category fetches in the snapshot history
+  await cache.set(cacheKey, result);
+  if (result.categoryId) {
+    await snapshots.record(result);
+  }
+
+  return result;
+}
+
+/**
+ * Response metadata for a getEnrichedResult result
+ * Stale results say so, a fresh copy is being fetched in the background;
+ * refreshError is set while the last attempt has failed
+ */
+function formatResultMetadata({ data, cached, age, stale, refreshError }) {
+  return {
+    ...data.metadata,
+    cached,
+    ...(cached && { cacheAge: formatCacheAge(age) }),
+    stale,
+    ...(refreshError && { refreshError }),
+  };
+}
+
+/**
+ * Format an enriched result as items/stats/metadata for API responses
+ * Category results are scored against the previous snapshot of each item
+ * With dedupe, each cluster of duplicate listings becomes one item (its
+ * representative, with the rest under `cluster.members`) and stats are
+ * computed over the representatives
+ */
+async function formatAnalysis(result, { orderBy, priceBasis, dedupe = false } = {}) {
+  const { data } = result;
+  const history = data.categoryId
+    ? await snapshots.getPreviousObservations(data)
+    : null;
+  const trends = analyzer.analyzeTrends(data.items, history);
+  // Entries cached before duplicateGroups existed are clustered here
+  const clusters = duplicateDetector.describeGroups(
+    data.items,
+    data.duplicateGroups ?? duplicateDetector.group(data.items)
+  );
+  const representatives = clusters.map((cluster) => cluster.representative);
+  const stats = analyzer.calculateCategoryStats(
+    dedupe ? representatives : data.items,
+    { priceBasis }
+  );
+
+  const formatted = new Map(
+    data.items.map((item, index) => [
+      item,
+      {
+        ...analyzer.extractMetrics(item),
+        trend: trends[index],
+        velocity: analyzer.calculateVelocity(item, history),
+        priceOutlier: analyzer.getPriceOutlier(item, stats),
+      },
+    ])
+  );
+
+  const items = dedupe
+    ? clusters.map(({ representative, items: members, ...cluster }) => ({
+        ...formatted.get(representative),
+        cluster: {
+          ...cluster,
+          members: members
+            .filter((item) => item !== representative)
+            .map((item) => formatted.get(item)),
+        },
+      }))
+    : data.items.map((item) => formatted.get(item));
+
+  if (orderBy) {
+    const getValue = ITEM_ORDERINGS[orderBy];
+    // Highest first, items without a value (no history yet) last
+    items.sort((a, b) => (getValue(b) ?? -Infinity) - (getValue(a) ?? -Infinity));
+  }
+
+  return {
+    items,
+    stats,
+    duplicates: {
+      clusters: clusters.filter((cluster) => cluster.size > 1).length,
+      duplicateListings: data.items.length - clusters.length,
+      uniqueListings: clusters.length,
+      deduped: dedupe,
+    },
+    velocity: analyzer.summarizeVelocity(data.items, history),
+    refinements: analyzer.analyzeRefinements(data.refinements, data.total),
+    metadata: formatResultMetadata(result),
+  };
+}
+
+// Fields the analyzed items can be ordered by with ?orderBy=
+const ITEM_ORDERINGS = {
+  trend: (item) => item.trend.score,
+  unitsPerDay: (item) => item.velocity?.unitsPerDay,
+  watchersPerDay: (item) => item.velocity?.watchersPerDay,
+  revenuePerDay: (item) => item.velocity?.revenuePerDay,
+};
+
+/**
+ * Parse a category request's limit, filters, aspects and sort, and the
+ * cache entry they select
+ * @returns {Object} { limit, filters, aspects, sort, cacheKey }
+ */
+function parseCategoryQuery(id, query, marketplace) {
+  const limit = parseItemLimit(query.limit);
+  if (limit === null) {
+    throw new FilterValidationError(
+      `limit must be an integer between 1 and ${MAX_ITEM_LIMIT}`
+    );
+  }
+
+  const filters = parseListingFilterQuery(query);
+  const aspects = parseAspectFilterQuery(query);
+  const sort = normalizeSortOrder(query.sort);
+
+  const cacheKey = buildCategoryCacheKey(id, {
+    limit,
+    filters: getListingFiltersKey(filters),
+    aspects: getAspectFiltersKey(aspects),
+    sort,
+    marketplace: marketplaceKey(marketplace),
+  });
+
+  return { limit, filters, aspects, sort, cacheKey };
+}
+
+/**
+ * Parse a category request, then serve its items from cache or eBay
+ * (shared by the category routes, so they hit the same cache entry)
+ * With refresh, the cache is bypassed and the entry refetched
+ * @returns {Promise<Object>} { filters, aspects, cacheKey, result } with result from getEnrichedResult
+ */
+async function getCategoryResult(id, query, marketplace, { refresh = false } = {}) {
+  const { limit, filters, aspects, sort, cacheKey } = parseCategoryQuery(
+    id,
+    query,
+    marketplace
+  );
+  const fetchActive = () =>
+    ebayClient.findItemsByCategory(id, limit, {
+      filters,
+      aspects,
+      sort,
+      marketplace: marketplace.id,
+    });
+  const options = { label: `category ${id}`, marketplace };
+
+  const result = refresh
+    ? {
+        data: await refreshEnrichedResult(cacheKey, fetchActive, options),
+        cached: false,
+        stale: false,
+      }
+    : await getEnrichedResult(cacheKey, fetchActive, options);
+
+  return { filters, aspects, cacheKey, result };
+}
+
+/**
+ * Validate ?orderBy=, null keeps eBay's order
+ */
+function parseOrderBy(value) {
+  if (value === undefined || value === "") return null;
+
+  if (!Object.hasOwn(ITEM_ORDERINGS, value)) {
+    throw new FilterValidationError(
+      `Invalid orderBy: ${value} (allowed: ${Object.keys(ITEM_ORDERINGS).join(", ")})`
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Validate ?priceBasis=, the price the distribution stats are computed on
+ */
+function parsePriceBasis(value) {
+  if (value === undefined || value === "") return "price";
+
+  if (!Object.hasOwn(PRICE_BASES, value)) {
+    throw new FilterValidationError(
+      `Invalid priceBasis: ${value} (allowed: ${Object.keys(PRICE_BASES).join(", ")})`
+    );
+  }
+
+  return value;
+}
+
 /**
  * GET /api/category/:id
  * Returns trending items for a specific category
+ * Query: ?limit=N - number of items to fetch (default 100, paginated past 200)
+ * Filters: ?condition=NEW,USED &minPrice &maxPrice &currency
+ *          &buyingOptions=FIXED_PRICE,AUCTION,BEST_OFFER &itemLocationCountry=US
+ *          &returnsAccepted=true &freeShipping=true
+ *          &sellerAccountTypes=BUSINESS &sellers=name1,name2
+ * Aspects: ?aspect=Brand:Apple|Samsung (repeat for more aspects)
+ * Sort: ?sort=price|-price|newlyListed|endingSoonest (default Best Match)
+ * Order: ?orderBy=trend|unitsPerDay|watchersPerDay|revenuePerDay re-orders
+ *        the fetched items, highest first
+ * Price stats: ?priceBasis=landed computes the distribution on price + shipping
+ * Duplicates: ?dedupe=true collapses duplicate listings into one item per cluster
+ * Marketplace: ?marketplace=EBAY_US|EBAY_GB|EBAY_DE|EBAY_AU
  */
 app.get("/api/category/:id", async (req, res) => {
   try {
     const { id } = req.params;
-    const category = getCategoryById(id);
+    const marketplace = parseMarketplace(req.query.marketplace);
+    if (!marketplace) {
+      return rejectMarketplace(res, req.query.marketplace);
+    }
+
+    const category = await resolveCategory(id, marketplace);
 
     if (!category) {
       return res
@@ -71,54 +578,502 @@ app.get("/api/category/:id", async (req, res) => {
         .json({ success: false, error: "Category not found" });
     }
 
-    const cacheKey = `category_${id}`;
-
-    // Check cache
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      const age = cache.getCacheAge(cacheKey);
-      return res.json({
-        success: true,
-        category,
-        items: cached.items.map((item) => analyzer.extractMetrics(item)),
-        stats: analyzer.calculateCategoryStats(cached.items),
-        metadata: {
-          ...cached.metadata,
-          cached: true,
-          cacheAge: formatCacheAge(age),
-        },
+    const orderBy = parseOrderBy(req.query.orderBy);
+    const priceBasis = parsePriceBasis(req.query.priceBasis);
+    const dedupe = toBoolean(req.query.dedupe, "dedupe") || false;
+    const { filters, aspects, result } = await getCategoryResult(
+      id,
+      req.query,
+      marketplace
+    );
+
+    // Return formatted data
+    res.json({
+      success: true,
+      category,
+      marketplace,
+      filters,
+      aspects,
+      ...(await formatAnalysis(result, { orderBy, priceBasis, dedupe })),
+    });
+  } catch (error) {
+    if (error instanceof FilterValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    console.error("API Error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/category/:id/freshness
+ * Cache state of a category query, for clients waiting on a background
+ * refresh: never fetches from eBay or starts a refresh
+ * Accepts the same limit, filters, aspects, sort and marketplace as /api/category/:id
+ * Returns { cached, stale, refreshing, refreshError }
+ */
+app.get("/api/category/:id/freshness", async (req, res) => {
+  try {
+    const marketplace = parseMarketplace(req.query.marketplace);
+    if (!marketplace) {
+      return rejectMarketplace(res, req.query.marketplace);
+    }
+
+    const { cacheKey } = parseCategoryQuery(
+      req.params.id,
+      req.query,
+      marketplace
+    );
+    const cached = await cache.getEntry(cacheKey, { allowStale: true });
+    const refreshing = inFlightFetches.has(cacheKey);
+    const refreshError = refreshing ? undefined : describeRefreshFailure(cacheKey);
+
+    res.json({
+      success: true,
+      cached: Boolean(cached),
+      stale: cached?.stale ?? false,
+      refreshing,
+      ...(refreshError && { refreshError }),
+    });
+  } catch (error) {
+    if (error instanceof FilterValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    console.error("API Error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/category/:id/sellers
+ * Seller concentration for a category: listings and units sold per seller,
+ * top 5/10 share, HHI, top-rated/promoted share and feedback bands
+ * Accepts the same limit, filters, aspects, sort and marketplace as /api/category/:id
+ */
+app.get("/api/category/:id/sellers", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const marketplace = parseMarketplace(req.query.marketplace);
+    if (!marketplace) {
+      return rejectMarketplace(res, req.query.marketplace);
+    }
+
+    const category = await resolveCategory(id, marketplace);
+    if (!category) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Category not found" });
+    }
+
+    const { filters, aspects, result } = await getCategoryResult(
+      id,
+      req.query,
+      marketplace
+    );
+
+    res.json({
+      success: true,
+      category,
+      marketplace,
+      filters,
+      aspects,
+      sellers: analyzer.analyzeSellers(result.data.items),
+      metadata: formatResultMetadata(result),
+    });
+  } catch (error) {
+    if (error instanceof FilterValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    console.error("API Error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Parse a positive integer query parameter (?days=N, ?terms=N), null if it is anything else
+ */
+function parsePositiveInt(value, fallback) {
+  if (value === undefined) return fallback;
+
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * GET /api/category/:id/history
+ * Category stats for every snapshot in the last N days
+ * Query: ?days=7 (default), plus the same limit, filters, aspects, sort and
+ *        marketplace as /api/category/:id (only snapshots of that query count)
+ */
+app.get("/api/category/:id/history", async (req, res) => {
+  const marketplace = parseMarketplace(req.query.marketplace);
+  if (!marketplace) {
+    return rejectMarketplace(res, req.query.marketplace);
+  }
+
+  const days = parsePositiveInt(req.query.days, 7);
+  if (days === null) {
+    return res
+      .status(400)
+      .json({ success: false, error: "days must be a positive integer" });
+  }
+
+  try {
+    const { limit, filters, aspects, sort } = parseCategoryQuery(
+      req.params.id,
+      req.query,
+      marketplace
+    );
+
+    res.json({
+      success: true,
+      history: await snapshots.getCategoryStats(req.params.id, {
+        days,
+        query: { marketplace: marketplace.id, filters, aspects, sort, limit },
+      }),
+    });
+  } catch (error) {
+    if (error instanceof FilterValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    console.error("API Error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/category/:id/keywords
+ * Title words and two-word phrases ranked by listings using them, weighted
+ * by watchers and units sold, plus terms gaining share since the previous snapshot
+ * Query: ?terms=25 (per list, max 100), plus the same limit, filters,
+ *        aspects, sort and marketplace as /api/category/:id
+ */
+app.get("/api/category/:id/keywords", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const marketplace = parseMarketplace(req.query.marketplace);
+    if (!marketplace) {
+      return rejectMarketplace(res, req.query.marketplace);
+    }
+
+    const category = await resolveCategory(id, marketplace);
+    if (!category) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Category not found" });
+    }
+
+    const terms = parsePositiveInt(req.query.terms, 25);
+    if (terms === null || terms > 100) {
+      return res.status(400).json({
+        success: false,
+        error: "terms must be an integer between 1 and 100",
       });
     }
 
-    // Fetch fresh data
-    const activeData = await ebayClient.findItemsByCategory(id, 100);
+    const { filters, aspects, result } = await getCategoryResult(
+      id,
+      req.query,
+      marketplace
+    );
+    const previous = await snapshots.getPreviousSnapshot(result.data);
+
+    res.json({
+      success: true,
+      category,
+      marketplace,
+      filters,
+      aspects,
+      keywords: {
+        ...keywordAnalyzer.analyze(result.data.items, {
+          previousItems: previous?.items,
+          limit: terms,
+        }),
+        previousSnapshot: previous?.timestamp || null,
+      },
+    });
+  } catch (error) {
+    if (error instanceof FilterValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    console.error("API Error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/category/:id/market
+ * Active listings compared with recent sales: average active vs sold price,
+ * sell-through rate and sold price trend
+ * Query: ?days=30 (default, max 90), plus the same limit, filters, aspects,
+ *        sort and marketplace as /api/category/:id for the active side
+ */
+app.get("/api/category/:id/market", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const marketplace = parseMarketplace(req.query.marketplace);
+    if (!marketplace) {
+      return rejectMarketplace(res, req.query.marketplace);
+    }
+
+    const category = await resolveCategory(id, marketplace);
+    if (!category) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Category not found" });
+    }
 
-    if (!activeData.success) {
-      throw new Error("Failed to fetch category data from eBay");
+    const days = parsePositiveInt(req.query.days, DEFAULT_SOLD_DAYS);
+    if (days === null || days > 90) {
+      return res.status(400).json({
+        success: false,
+        error: "days must be an integer between 1 and 90",
+      });
     }
 
-    // Enrich with detailed data
-    const enrichedItems = await ebayClient.enrichItemsWithDetails(
-      activeData.items
+    const { filters, aspects, result } = await getCategoryResult(
+      id,
+      req.query,
+      marketplace
     );
+    const sold = await soldData.getSoldItems(id, {
+      marketplace: marketplace.id,
+      days,
+    });
 
-    const result = {
-      ...activeData,
-      items: enrichedItems,
-    };
+    res.json({
+      success: true,
+      category,
+      marketplace,
+      filters,
+      aspects,
+      comparison: analyzer.compareWithSoldItems(result.data.items, sold, {
+        activeTotal: result.data.total,
+      }),
+    });
+  } catch (error) {
+    if (error instanceof FilterValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    console.error("API Error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
 
-    // Cache the result
-    cache.set(cacheKey, result);
+/**
+ * GET /api/items/:itemId/history
+ * Every snapshot observation of one item (price, watchers, sold, remaining)
+ * Query: ?days=N (default: all retained), ?marketplace=EBAY_GB
+ */
+app.get("/api/items/:itemId/history", async (req, res) => {
+  const days = parsePositiveInt(req.query.days, undefined);
+  if (days === null) {
+    return res
+      .status(400)
+      .json({ success: false, error: "days must be a positive integer" });
+  }
+
+  try {
+    const observations = await snapshots.getItemSnapshots(req.params.itemId, {
+      days,
+      marketplace: req.query.marketplace,
+    });
+
+    res.json({ success: true, itemId: req.params.itemId, observations });
+  } catch (error) {
+    console.error("API Error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/search
+ * Returns trending items matching a keyword search
+ * Query: ?q=airpods pro (required), ?category=293, ?limit=N
+ * Accepts the same listing filters, sort, orderBy, priceBasis, dedupe and marketplace as /api/category/:id
+ */
+app.get("/api/search", async (req, res) => {
+  try {
+    // A repeated ?q= arrives as an array
+    if (req.query.q !== undefined && typeof req.query.q !== "string") {
+      return res
+        .status(400)
+        .json({ success: false, error: "Query parameter q must be given once" });
+    }
+
+    const q = (req.query.q || "").trim();
+    const categoryId = req.query.category;
+
+    if (!q) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Query parameter q is required" });
+    }
+
+    const marketplace = parseMarketplace(req.query.marketplace);
+    if (!marketplace) {
+      return rejectMarketplace(res, req.query.marketplace);
+    }
+
+    const category = categoryId
+      ? await resolveCategory(categoryId, marketplace)
+      : null;
+    if (categoryId && !category) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Category not found" });
+    }
+
+    const limit = parseItemLimit(req.query.limit);
+    if (limit === null) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be an integer between 1 and ${MAX_ITEM_LIMIT}`,
+      });
+    }
+
+    const filters = parseListingFilterQuery(req.query);
+    const aspects = parseAspectFilterQuery(req.query);
+    const sort = normalizeSortOrder(req.query.sort);
+    const orderBy = parseOrderBy(req.query.orderBy);
+    const priceBasis = parsePriceBasis(req.query.priceBasis);
+    const dedupe = toBoolean(req.query.dedupe, "dedupe") || false;
+
+    const result = await getEnrichedResult(
+      buildSearchCacheKey(q, {
+        category: categoryId,
+        limit,
+        filters: getListingFiltersKey(filters),
+        aspects: getAspectFiltersKey(aspects),
+        sort,
+        marketplace: marketplaceKey(marketplace),
+      }),
+      () =>
+        ebayClient.searchItems({
+          q,
+          categoryIds: categoryId ? [categoryId] : [],
+          filters,
+          aspects,
+          sort,
+          marketplace: marketplace.id,
+          limit,
+        }),
+      { label: `search "${q}"`, marketplace }
+    );
 
-    // Return formatted data
     res.json({
       success: true,
       category,
-      items: enrichedItems.map((item) => analyzer.extractMetrics(item)),
-      stats: analyzer.calculateCategoryStats(enrichedItems),
-      metadata: {
-        ...result.metadata,
-        cached: false,
+      marketplace,
+      query: { q, categoryId: categoryId || null },
+      filters,
+      aspects,
+      ...(await formatAnalysis(result, { orderBy, priceBasis, dedupe })),
+    });
+  } catch (error) {
+    if (error instanceof FilterValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    console.error("API Error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Admin routes need ADMIN_TOKEN as a bearer token, and are disabled
+ * (503) while ADMIN_TOKEN is unset
+ */
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res
+      .status(503)
+      .json({ success: false, error: "Admin API disabled (set ADMIN_TOKEN)" });
+  }
+
+  const [scheme, provided = ""] = (req.get("Authorization") || "").split(" ");
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(provided);
+  const authorized =
+    scheme === "Bearer" &&
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected);
+
+  if (!authorized) {
+    return res.status(401).json({ success: false, error: "Unauthorized" });
+  }
+
+  next();
+}
+
+app.use("/api/admin", requireAdmin);
+
+/**
+ * Cache entry info with human-readable age and size
+ */
+function formatCacheEntry(entry) {
+  return {
+    ...entry,
+    ageText: formatDuration(entry.age),
+    sizeText: formatBytes(entry.size),
+  };
+}
+
+/**
+ * GET /api/admin/cache
+ * Cache backend, total size and every entry (newest first) with its age,
+ * size and state (fresh, stale or expired)
+ */
+app.get("/api/admin/cache", async (req, res) => {
+  try {
+    const stats = await cache.getStats();
+    if (!stats) {
+      return res
+        .status(500)
+        .json({ success: false, error: "Could not read the cache" });
+    }
+
+    res.json({
+      success: true,
+      cache: {
+        ...stats,
+        totalSizeText: formatBytes(stats.totalSize),
+        oldestCache: stats.oldestCache && formatCacheEntry(stats.oldestCache),
+        newestCache: stats.newestCache && formatCacheEntry(stats.newestCache),
+        entries: stats.entries
+          .sort((a, b) => a.age - b.age)
+          .map(formatCacheEntry),
       },
     });
   } catch (error) {
@@ -130,15 +1085,162 @@ app.get("/api/category/:id", async (req, res) => {
   }
 });
 
+/**
+ * DELETE /api/admin/cache/:key
+ * Remove one cache entry (URL-encode the key)
+ */
+app.delete("/api/admin/cache/:key", async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    if (!(await cache.delete(key))) {
+      return res
+        .status(404)
+        .json({ success: false, error: `No cache entry ${key}` });
+    }
+
+    res.json({ success: true, deleted: key });
+  } catch (error) {
+    console.error("API Error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/cache/refresh/:categoryId
+ * Refetch a category from eBay now and replace its cache entry, whatever
+ * its age. Accepts the same limit, filters, aspects, sort and marketplace
+ * as /api/category/:id, which pick the entry to refresh
+ */
+app.post("/api/admin/cache/refresh/:categoryId", async (req, res) => {
+  try {
+    const { categoryId } = req.params;
+    const marketplace = parseMarketplace(req.query.marketplace);
+    if (!marketplace) {
+      return rejectMarketplace(res, req.query.marketplace);
+    }
+
+    const category = await resolveCategory(categoryId, marketplace);
+
+    if (!category) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Category not found" });
+    }
+
+    const { cacheKey, result } = await getCategoryResult(
+      categoryId,
+      req.query,
+      marketplace,
+      { refresh: true }
+    );
+
+    res.json({
+      success: true,
+      category,
+      marketplace,
+      key: cacheKey,
+      items: result.data.items.length,
+      metadata: formatResultMetadata(result),
+    });
+  } catch (error) {
+    if (error instanceof FilterValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    console.error("API Error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Categories the scheduler keeps warm: REFRESH_CATEGORIES (comma-separated
+ * IDs from CATEGORIES) or every category available on the marketplace
+ */
+function getScheduledCategoryIds(marketplace) {
+  const available = getCategoriesForMarketplace(marketplace.id).map(
+    (category) => category.id
+  );
+  const configured = (process.env.REFRESH_CATEGORIES || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  if (configured.length === 0) {
+    return available;
+  }
+
+  const unknown = configured.filter((id) => !available.includes(id));
+  if (unknown.length > 0) {
+    throw new Error(
+      `REFRESH_CATEGORIES: ${unknown.join(", ")} not in CATEGORIES on ${marketplace.id}`
+    );
+  }
+
+  return configured;
+}
+
+/**
+ * The scheduler's schedules and categories from REFRESH_SCHEDULE and
+ * REFRESH_CATEGORIES; REFRESH_CATEGORIES is only checked when a schedule is
+ * set. A bad setting leaves the scheduler off (reported by /api/health)
+ * rather than stopping the API
+ * @returns {Object} { schedules, categoryIds, configError }
+ */
+function getSchedulerConfig(marketplace) {
+  try {
+    const schedules = parseSchedules(process.env.REFRESH_SCHEDULE);
+    const categoryIds =
+      schedules.length > 0 ? getScheduledCategoryIds(marketplace) : [];
+    return { schedules, categoryIds, configError: null };
+  } catch (error) {
+    console.error("Refresh scheduler disabled:", error.message);
+    return { schedules: [], categoryIds: [], configError: error.message };
+  }
+}
+
+// Background refresh of the default view (default limit and filters) of
+// each category on the default marketplace, the entry visitors hit first
+const scheduledMarketplace = parseMarketplace();
+const scheduler = new RefreshScheduler({
+  ...getSchedulerConfig(scheduledMarketplace),
+  // One search page per 200 items, then a details call per item and an
+  // item group call per variation listing, plus an OAuth token
+  estimatedCalls:
+    Math.ceil(DEFAULT_ITEM_LIMIT / 200) + DEFAULT_ITEM_LIMIT * 2 + 1,
+  refreshCategory: (id) =>
+    getCategoryResult(id, {}, scheduledMarketplace, { refresh: true }),
+  // Every request sent while a category refreshes is charged, visitors'
+  // requests in the meantime included, so the budget errs on the safe side
+  countCalls: () => ebayClient.requestCount,
+  isCached: (id) =>
+    cache.has(parseCategoryQuery(id, {}, scheduledMarketplace).cacheKey),
+});
+
 /**
  * GET /api/health
- * Health check endpoint
+ * Health check endpoint, with the refresh scheduler's last run, next run,
+ * call budget and recent failures
  */
 app.get("/api/health", (req, res) => {
-  res.json({ status: "ok", timestamp: new Date().toISOString() });
+  res.json({
+    status: "ok",
+    timestamp: new Date().toISOString(),
+    scheduler: scheduler.getStatus(),
+  });
 });
 
+// Upgrade or quarantine data written by older versions before serving it
+await migrateStores({ cache, snapshots });
+
 app.listen(PORT, () => {
   console.log(`TrendSpotter API running on port ${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/api/health`);
+  scheduler.start();
 });
@@ -0,0 +1,222 @@
+import fs from 'fs';
+import path from 'path';
+import { AxiosError } from 'axios';
+
+/**
+ * Record-and-replay cassettes for EbayClient
+ * A cassette is a JSON file of request/response pairs. Record mode wraps the
+ * real transport and writes every exchange (auth scrubbed); replay mode serves
+ * the recorded exchanges without touching the network
+ */
+
+const CASSETTE_VERSION = 1;
+const REDACTED = '[REDACTED]';
+const SENSITIVE_HEADERS = ['authorization', 'cookie', 'set-cookie'];
+
+/**
+ * Thrown in replay mode when a request has no recorded counterpart
+ */
+export class CassetteMismatchError extends Error {
+  constructor(request, cassettePath) {
+    super(`No cassette entry for ${request.method.toUpperCase()} ${request.path}${
+      request.query ? `?${request.query}` : ''
+    } in ${cassettePath}`);
+    this.name = 'CassetteMismatchError';
+    this.request = request;
+  }
+}
+
+/**
+ * Normalize an axios request config into a host-independent match key
+ * so cassettes replay against any base URL
+ */
+function describeRequest(config) {
+  const url = new URL(config.url);
+
+  for (const [name, value] of Object.entries(config.params || {})) {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(name, value);
+    }
+  }
+  url.searchParams.sort();
+
+  const method = (config.method || 'get').toLowerCase();
+  const query = url.searchParams.toString();
+
+  return {
+    method,
+    path: url.pathname,
+    query,
+    key: `${method} ${url.pathname}?${query}`,
+  };
+}
+
+/**
+ * Remove credentials from recorded headers
+ */
+function scrubHeaders(headers = {}) {
+  const scrubbed = {};
+
+  for (const [name, value] of Object.entries(headers)) {
+    scrubbed[name] = SENSITIVE_HEADERS.includes(name.toLowerCase()) ? REDACTED : value;
+  }
+
+  return scrubbed;
+}
+
+/**
+ * Remove access tokens from recorded OAuth responses
+ */
+function scrubBody(data) {
+  if (data && typeof data === 'object' && data.access_token) {
+    return { ...data, access_token: REDACTED };
+  }
+  return data;
+}
+
+/**
+ * Load a cassette file, returning an empty cassette if it doesn't exist
+ */
+export function loadCassette(cassettePath) {
+  if (!fs.existsSync(cassettePath)) {
+    return { version: CASSETTE_VERSION, recordedAt: null, interactions: [] };
+  }
+
+  return JSON.parse(fs.readFileSync(cassettePath, 'utf-8'));
+}
+
+/**
+ * Wrap a transport so every exchange is recorded to a cassette file
+ * Failed requests with a response (4xx/5xx) are recorded too. Exchanges are
+ * kept in memory and written once, by flush() or when the process exits
+ */
+export function createRecordingTransport(cassettePath, transport) {
+  const cassette = { version: CASSETTE_VERSION, recordedAt: new Date().toISOString(), interactions: [] };
+  fs.mkdirSync(path.dirname(cassettePath), { recursive: true });
+  let unsaved = false;
+
+  // Synchronous so it can run in an exit handler
+  const flush = () => {
+    if (!unsaved) return;
+    fs.writeFileSync(cassettePath, JSON.stringify(cassette, null, 2), 'utf-8');
+    unsaved = false;
+  };
+
+  process.once('exit', flush);
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    // Save, then let the signal end the process as it would have
+    process.once(signal, () => {
+      flush();
+      process.kill(process.pid, signal);
+    });
+  }
+
+  const record = (config, response) => {
+    const request = describeRequest(config);
+
+    cassette.interactions.push({
+      request: {
+        method: request.method,
+        path: request.path,
+        query: request.query,
+        headers: scrubHeaders(config.headers),
+      },
+      response: {
+        status: response.status,
+        headers: scrubHeaders(response.headers?.toJSON?.() || response.headers),
+        data: scrubBody(response.data),
+      },
+    });
+    unsaved = true;
+  };
+
+  const recordingTransport = async (config) => {
+    try {
+      const response = await transport(config);
+      record(config, response);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        record(config, error.response);
+      }
+      throw error;
+    }
+  };
+  recordingTransport.flush = flush;
+
+  return recordingTransport;
+}
+
+/**
+ * Serve recorded exchanges from a cassette file
+ * Identical requests are answered in recorded order; once a request's
+ * recordings are used up the last one keeps being served
+ */
+export function createReplayTransport(cassettePath) {
+  if (!fs.existsSync(cassettePath)) {
+    throw new Error(`Cassette not found: ${cassettePath}`);
+  }
+
+  const cassette = loadCassette(cassettePath);
+  const queues = new Map();
+
+  for (const interaction of cassette.interactions) {
+    const key = `${interaction.request.method} ${interaction.request.path}?${interaction.request.query}`;
+    if (!queues.has(key)) queues.set(key, []);
+    queues.get(key).push(interaction.response);
+  }
+
+  return async (config) => {
+    const request = describeRequest(config);
+    const queue = queues.get(request.key);
+
+    if (!queue) {
+      throw new CassetteMismatchError(request, cassettePath);
+    }
+
+    const recorded = queue.length > 1 ? queue.shift() : queue[0];
+    const response = {
+      status: recorded.status,
+      statusText: '',
+      headers: recorded.headers,
+      data: recorded.data,
+      config,
+    };
+
+    // Mirror axios: non-2xx responses reject
+    if (response.status < 200 || response.status >= 300) {
+      throw new AxiosError(
+        `Request failed with status code ${response.status}`,
+        response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+        config,
+        null,
+        response
+      );
+    }
+
+    return response;
+  };
+}
+
+/**
+ * Build the transport for a cassette mode ('record' or 'replay')
+ * Returns the base transport unchanged when no cassette is configured
+ */
+export function createCassetteTransport(cassette, transport) {
+  if (!cassette?.mode) return transport;
+
+  if (!cassette.path) {
+    throw new Error('A cassette path is required when a cassette mode is set (EBAY_CASSETTE)');
+  }
+
+  const cassettePath = path.resolve(cassette.path);
+
+  switch (cassette.mode) {
+    case 'record':
+      return createRecordingTransport(cassettePath, transport);
+    case 'replay':
+      return createReplayTransport(cassettePath);
+    default:
+      throw new Error(`Unknown cassette mode "${cassette.mode}" (expected "record" or "replay")`);
+  }
+}
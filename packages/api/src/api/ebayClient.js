@@ -1,18 +1,94 @@
 import axios from 'axios';
+import path from 'path';
 import dotenv from 'dotenv';
+import { DEFAULT_CONCURRENCY, mapWithConcurrency } from '../utils/concurrency.js';
+import { withRetry } from '../utils/retry.js';
+import { createCassetteTransport, CassetteMismatchError } from './cassette.js';
+import {
+  BEST_MATCH,
+  normalizeAspectFilters,
+  normalizeListingFilters,
+  normalizeSortOrder,
+  serializeAspectFilter,
+  serializeListingFilters,
+} from './listingFilters.js';
+import { DEFAULT_MARKETPLACE_ID, getMarketplaceById } from '@ebay-analyzer/shared/marketplaces';
 
 dotenv.config();
 
-const EBAY_BROWSE_API_URL = 'https://api.ebay.com/buy/browse/v1';
-const EBAY_OAUTH_URL = 'https://api.ebay.com/identity/v1/oauth2/token';
+// Production host; override with EBAY_API_BASE_URL (e.g. the local mock server)
+const EBAY_API_BASE_URL = 'https://api.ebay.com';
+const BROWSE_API_PATH = '/buy/browse/v1';
+const TAXONOMY_API_PATH = '/commerce/taxonomy/v1';
+const INSIGHTS_API_PATH = '/buy/marketplace_insights/v1_beta';
+const OAUTH_PATH = '/identity/v1/oauth2/token';
+
+// OAuth scopes; Marketplace Insights is a limited-release API with its own scope
+const BASE_SCOPE = 'https://api.ebay.com/oauth/api_scope';
+const INSIGHTS_SCOPE = 'https://api.ebay.com/oauth/api_scope/buy.marketplace.insights';
+
+// Marketplace Insights only returns sales from the last 90 days
+const MAX_SALES_DAYS = 90;
+
+// Browse API search limits
+const MAX_PAGE_SIZE = 200;
+const MAX_RESULT_WINDOW = 10000;
+
+// Requested on the first search page only - refinements describe the whole result set
+const REFINEMENT_FIELDGROUPS = 'MATCHING_ITEMS,ASPECT_REFINEMENTS,CATEGORY_REFINEMENTS';
+
+/**
+ * Thrown when the app isn't approved for Marketplace Insights: eBay refuses
+ * the token scope (invalid_scope) or the endpoint (403)
+ */
+export class InsightsAccessError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InsightsAccessError';
+  }
+}
 
 class EbayClient {
-  constructor() {
-    this.appId = process.env.EBAY_APP_ID;
-    this.certId = process.env.EBAY_CERT_ID;
-    this.marketplace = process.env.EBAY_MARKETPLACE || 'EBAY_US';
-    this.accessToken = null;
-    this.tokenExpiry = null;
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - eBay API host (defaults to EBAY_API_BASE_URL or production)
+   * @param {Function} options.transport - Sends an axios-style request config, resolves to { data, status, headers }
+   * @param {Object} options.cassette - { mode: 'record' | 'replay', path } (defaults to EBAY_CASSETTE_MODE / EBAY_CASSETTE)
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || process.env.EBAY_API_BASE_URL || EBAY_API_BASE_URL).replace(/\/+$/, '');
+    this.browseApiUrl = process.env.EBAY_BROWSE_API_URL || `${this.baseUrl}${BROWSE_API_PATH}`;
+    this.taxonomyApiUrl = `${this.baseUrl}${TAXONOMY_API_PATH}`;
+    this.insightsApiUrl = `${this.baseUrl}${INSIGHTS_API_PATH}`;
+    this.oauthUrl = process.env.EBAY_OAUTH_URL || `${this.baseUrl}${OAUTH_PATH}`;
+    this.cassette = options.cassette || {
+      mode: process.env.EBAY_CASSETTE_MODE,
+      path: process.env.EBAY_CASSETTE,
+    };
+    // Every request that reaches eBay, token requests and retries included
+    // (replayed cassette exchanges aren't counted)
+    this.requestCount = 0;
+    const send = options.transport || axios.request.bind(axios);
+    this.transport = createCassetteTransport(this.cassette, (config) => {
+      this.requestCount++;
+      return send(config);
+    });
+    this.isProduction = this.baseUrl === EBAY_API_BASE_URL;
+
+    // Local stand-ins and replayed cassettes don't check credentials, so placeholders are fine there
+    const needsCredentials = this.isProduction && this.cassette.mode !== 'replay';
+    this.appId = process.env.EBAY_APP_ID || (needsCredentials ? undefined : 'local-dev-app');
+    this.certId = process.env.EBAY_CERT_ID || (needsCredentials ? undefined : 'local-dev-cert');
+    this.marketplace = process.env.EBAY_MARKETPLACE || DEFAULT_MARKETPLACE_ID;
+    const enrichConcurrency = parseInt(process.env.EBAY_ENRICH_CONCURRENCY);
+    this.enrichConcurrency = enrichConcurrency > 0 ? enrichConcurrency : DEFAULT_CONCURRENCY;
+    this.retryOptions = {
+      maxRetries: parseInt(process.env.EBAY_MAX_RETRIES || 3),
+      baseDelayMs: parseInt(process.env.EBAY_RETRY_BASE_DELAY_MS || 500),
+    };
+    // Access tokens and in-flight token requests, per OAuth scope
+    this.tokens = new Map();
+    this.tokenRequests = new Map();
 
     if (!this.appId || !this.certId) {
       throw new Error('EBAY_APP_ID and EBAY_CERT_ID are required. Please set them in .env file');
@@ -21,86 +97,256 @@ class EbayClient {
 
   /**
    * Get OAuth access token (client credentials flow)
+   * @param {string} scope - OAuth scope (defaults to the public Buy API scope)
    */
-  async getAccessToken() {
+  async getAccessToken(scope = BASE_SCOPE) {
     // Return cached token if still valid
-    if (this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
-      return this.accessToken;
+    const token = this.tokens.get(scope);
+    if (token && Date.now() < token.expiry) {
+      return token.accessToken;
     }
 
+    // Share one token request between concurrent callers
+    if (!this.tokenRequests.has(scope)) {
+      this.tokenRequests.set(scope, this.requestAccessToken(scope).finally(() => {
+        this.tokenRequests.delete(scope);
+      }));
+    }
+
+    return this.tokenRequests.get(scope);
+  }
+
+  /**
+   * Request a new OAuth token from eBay, retrying transient failures
+   */
+  async requestAccessToken(scope = BASE_SCOPE) {
     try {
       const credentials = Buffer.from(`${this.appId}:${this.certId}`).toString('base64');
 
-      const response = await axios.post(
-        EBAY_OAUTH_URL,
-        'grant_type=client_credentials&scope=https://api.ebay.com/oauth/api_scope',
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-            'Authorization': `Basic ${credentials}`,
-          },
-        }
-      );
+      const response = await withRetry(() => this.transport({
+        method: 'post',
+        url: this.oauthUrl,
+        data: `grant_type=client_credentials&scope=${scope}`,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Authorization': `Basic ${credentials}`,
+        },
+      }), this.retryOptions);
 
-      this.accessToken = response.data.access_token;
-      // Set expiry to 5 minutes before actual expiry for safety
-      this.tokenExpiry = Date.now() + (response.data.expires_in - 300) * 1000;
+      this.tokens.set(scope, {
+        accessToken: response.data.access_token,
+        // Set expiry to 5 minutes before actual expiry for safety
+        expiry: Date.now() + (response.data.expires_in - 300) * 1000,
+      });
 
-      return this.accessToken;
+      return response.data.access_token;
 
     } catch (error) {
       console.error('OAuth error:', error.response?.data || error.message);
-      throw new Error('Failed to get OAuth token. Check your EBAY_APP_ID and EBAY_CERT_ID.');
+      throw new Error('Failed to get OAuth token. Check your EBAY_APP_ID and EBAY_CERT_ID.', { cause: error });
     }
   }
 
+  /**
+   * Drop the cached token so the next call fetches a fresh one
+   */
+  invalidateToken(scope = BASE_SCOPE) {
+    this.tokens.delete(scope);
+  }
+
+  /**
+   * Send an authenticated request to eBay through the shared retry layer
+   * - 429, 5xx and socket errors are retried with jittered backoff / Retry-After
+   * - 401 refreshes the OAuth token once, then retries immediately
+   * - Other 4xx errors (e.g. 404) fail straight away
+   * @param {Object} config - axios request config (url, params, headers), plus an optional OAuth `scope`
+   * @param {Object} stats - Optional counter object, `stats.retries` is incremented per retry
+   * @returns {Promise<Object>} Response body
+   */
+  async request({ scope = BASE_SCOPE, ...config }, stats = null) {
+    let tokenRefreshed = false;
+
+    const send = async () => {
+      const token = await this.getAccessToken(scope);
+      const response = await this.transport({
+        method: 'get',
+        ...config,
+        headers: {
+          ...config.headers,
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+      return response.data;
+    };
+
+    return withRetry(async () => {
+      try {
+        return await send();
+      } catch (error) {
+        if (error.response?.status !== 401 || tokenRefreshed) {
+          throw error;
+        }
+
+        // Token was rejected (revoked or expired early) - refresh it once
+        tokenRefreshed = true;
+        this.invalidateToken(scope);
+        if (stats) stats.retries++;
+        return await send();
+      }
+    }, {
+      ...this.retryOptions,
+      onRetry: ({ attempt, delay, error }) => {
+        if (stats) stats.retries++;
+        console.warn(
+          `Retrying ${config.url} (attempt ${attempt}/${this.retryOptions.maxRetries}) in ${delay}ms:`,
+          error.response?.status || error.code || error.message
+        );
+      },
+    });
+  }
+
   /**
    * Fetches trending products from a specific category
    * Uses eBay's Browse API - all data is real and verifiable
    * @param {string} categoryId - eBay category ID
-   * @param {number} limit - Number of items to fetch (max 200)
+   * @param {number} limit - Number of items to fetch (max 10,000)
+   * @param {Object} options
+   * @param {Object} options.filters - Listing filters (see listingFilters.js)
+   * @param {Object} options.aspects - Aspect filters, e.g. { Brand: ['Apple'] }
+   * @param {string} options.sort - price, -price, newlyListed or endingSoonest (default Best Match)
+   * @param {string} options.marketplace - Marketplace ID (defaults to EBAY_MARKETPLACE)
    * @returns {Promise<Object>} API response with metadata for credibility
    */
-  async findItemsByCategory(categoryId, limit = 20) {
+  async findItemsByCategory(categoryId, limit = 20, { filters, aspects, sort, marketplace } = {}) {
+    const result = await this.searchItems({
+      categoryIds: [categoryId],
+      filters,
+      aspects,
+      sort,
+      marketplace,
+      limit,
+    });
+
+    if (result.items.length === 0) {
+      throw new Error('Failed to fetch data from eBay: No items found in this category');
+    }
+
+    return { ...result, categoryId };
+  }
+
+  /**
+   * Search listings by keyword and/or category
+   * Walks `offset` page by page until the item budget is met, the search
+   * runs out of results, or eBay's 10,000 result window is reached
+   * @param {Object} query
+   * @param {string} query.q - Keywords (e.g. "airpods pro")
+   * @param {string[]} query.categoryIds - Restrict to these category IDs
+   * @param {Object} query.filters - Listing filters, layered over the defaults (see listingFilters.js)
+   * @param {Object} query.aspects - Aspect filters, e.g. { Brand: ['Apple'] } (needs exactly one category)
+   * @param {string} query.sort - price, -price, newlyListed or endingSoonest (omit for Best Match)
+   * @param {string} query.marketplace - Marketplace ID (defaults to EBAY_MARKETPLACE)
+   * @param {number} query.limit - Number of items to fetch (max 10,000)
+   * @returns {Promise<Object>} API response with metadata for credibility
+   */
+  async searchItems({
+    q,
+    categoryIds = [],
+    filters = {},
+    aspects = {},
+    sort,
+    marketplace = this.marketplace,
+    limit = 20,
+  } = {}) {
+    const keywords = q?.trim();
+    // Throws FilterValidationError before any request is made
+    const listingFilters = normalizeListingFilters(filters);
+    const filter = serializeListingFilters(listingFilters);
+    const aspectFilters = normalizeAspectFilters(aspects);
+    const aspectFilter = serializeAspectFilter(categoryIds, aspectFilters);
+    const sortOrder = normalizeSortOrder(sort);
+
+    if (!keywords && categoryIds.length === 0) {
+      throw new Error('A keyword query or at least one category ID is required');
+    }
+
     try {
-      const token = await this.getAccessToken();
+      const budget = Math.max(1, Math.min(limit, MAX_RESULT_WINDOW));
+      // eBay requires offset to be a multiple of limit, so the page size stays fixed
+      const pageSize = Math.min(budget, MAX_PAGE_SIZE);
 
       const params = {
-        category_ids: categoryId,
-        limit: Math.min(limit, 200),
-        // Default sort = "Best Match" - eBay's algorithm for popular/relevant items
-        filter: 'price:[1..],buyingOptions:{FIXED_PRICE}',
+        q: keywords || undefined,
+        category_ids: categoryIds.length > 0 ? categoryIds.join(',') : undefined,
+        filter: filter || undefined,
+        aspect_filter: aspectFilter || undefined,
+        // No sort = "Best Match" - eBay's algorithm for popular/relevant items
+        sort: sortOrder || undefined,
       };
 
-      const response = await axios.get(`${EBAY_BROWSE_API_URL}/item_summary/search`, {
-        params,
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'X-EBAY-C-MARKETPLACE-ID': this.marketplace,
-          'X-EBAY-C-ENDUSERCTX': 'contextualLocation=country=US',
-        },
-      });
+      const itemsById = new Map();
+      const stats = { retries: 0 };
+      let total = 0;
+      let offset = 0;
+      let pagesFetched = 0;
+      let duplicatesRemoved = 0;
+      let refinements = null;
+
+      while (itemsById.size < budget && offset + pageSize <= MAX_RESULT_WINDOW) {
+        const pageParams = offset === 0 ? { ...params, fieldgroups: REFINEMENT_FIELDGROUPS } : params;
+        const data = await this.fetchSearchPage(pageParams, offset, pageSize, { stats, marketplace });
+        const pageItems = data.itemSummaries || [];
+
+        pagesFetched++;
+        total = data.total || 0;
+        if (offset === 0) {
+          refinements = this.parseRefinements(data.refinement);
+        }
 
-      const data = response.data;
+        for (const item of pageItems) {
+          if (itemsById.has(item.itemId)) {
+            duplicatesRemoved++;
+          } else if (itemsById.size < budget) {
+            itemsById.set(item.itemId, item);
+          }
+        }
 
-      if (!data.itemSummaries || data.itemSummaries.length === 0) {
-        throw new Error('No items found in this category');
+        offset += pageSize;
+
+        // Last page reached
+        if (pageItems.length < pageSize || !data.next || offset >= total) {
+          break;
+        }
       }
 
       return {
         success: true,
-        items: data.itemSummaries,
-        total: data.total || 0,
-        limit: data.limit || limit,
-        offset: data.offset || 0,
-        categoryId,
-        source: 'eBay Browse API (Official)',
-        apiEndpoint: EBAY_BROWSE_API_URL,
+        items: [...itemsById.values()],
+        total,
+        limit: budget,
+        offset: 0,
+        refinements,
+        query: {
+          q: keywords || null,
+          categoryIds,
+          filters: listingFilters,
+          filter,
+          aspects: aspectFilters,
+          sort: sortOrder || BEST_MATCH,
+          marketplace,
+        },
+        source: this.describeSource(),
+        apiEndpoint: this.browseApiUrl,
         timestamp: new Date().toISOString(),
         metadata: {
           ack: 'Success',
           timestamp: new Date().toISOString(),
-          totalPages: Math.ceil((data.total || 0) / limit),
+          pageSize,
+          pagesFetched,
+          totalPages: Math.ceil(Math.min(total, MAX_RESULT_WINDOW) / pageSize),
+          duplicatesRemoved,
+          retries: stats.retries,
+          sort: sortOrder || BEST_MATCH,
+          marketplace,
         }
       };
 
@@ -111,33 +357,89 @@ class EbayClient {
   }
 
   /**
-   * Get detailed item info including watch count, quantity sold
-   * @param {string} itemId - Item ID from search results
+   * Flatten a search response's `refinement` block into match counts
+   * @param {Object} refinement - aspectDistributions / categoryDistributions from eBay
+   * @returns {Object|null} { dominantCategoryId, aspects: [{ name, values: [{ value, count }] }],
+   *   categories: [{ id, name, count }] }, or null if eBay sent no refinements
    */
-  async getItemDetails(itemId) {
-    try {
-      const token = await this.getAccessToken();
+  parseRefinements(refinement) {
+    if (!refinement) return null;
+
+    return {
+      dominantCategoryId: refinement.dominantCategoryId || null,
+      aspects: (refinement.aspectDistributions || []).map(aspect => ({
+        name: aspect.localizedAspectName,
+        values: (aspect.aspectValueDistributions || []).map(value => ({
+          value: value.localizedAspectValue,
+          count: value.matchCount || 0,
+        })),
+      })),
+      categories: (refinement.categoryDistributions || []).map(category => ({
+        id: category.categoryId,
+        name: category.categoryName,
+        count: category.matchCount || 0,
+      })),
+    };
+  }
 
-      const response = await axios.get(`${EBAY_BROWSE_API_URL}/item/${itemId}`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'X-EBAY-C-MARKETPLACE-ID': this.marketplace,
-        },
-      });
+  /**
+   * Describe where responses come from, for result attribution
+   */
+  describeSource() {
+    if (this.cassette.mode === 'replay') {
+      return `eBay Browse API (replayed from ${path.basename(this.cassette.path)})`;
+    }
+    return this.isProduction ? 'eBay Browse API (Official)' : `eBay Browse API (${this.baseUrl})`;
+  }
 
-      const data = response.data;
+  /**
+   * Write the exchanges recorded so far to the cassette (record mode only;
+   * they are also written when the process exits)
+   */
+  flushCassette() {
+    this.transport.flush?.();
+  }
 
-      // Log availability fields for debugging (first item only)
-      if (!this._loggedAvailability) {
-        console.log('eBay API fields for item:', itemId);
-        console.log('  watchCount:', data.watchCount);
-        console.log('  estimatedAvailabilities:', JSON.stringify(data.estimatedAvailabilities, null, 2));
-        console.log('  quantityLimitPerBuyer:', data.quantityLimitPerBuyer);
-        this._loggedAvailability = true;
-      }
+  /**
+   * Marketplace headers for Browse API calls
+   * The contextual location matches the marketplace's country so shipping
+   * costs and availability are estimated for a buyer on that site
+   */
+  marketplaceHeaders(marketplaceId = this.marketplace) {
+    const marketplace = getMarketplaceById(marketplaceId);
+
+    return {
+      'X-EBAY-C-MARKETPLACE-ID': marketplaceId,
+      ...(marketplace && {
+        'X-EBAY-C-ENDUSERCTX': `contextualLocation=country=${marketplace.country}`,
+      }),
+    };
+  }
 
-      return data;
+  /**
+   * Fetch a single page of item summaries from the search endpoint
+   * @param {Object} params - Search query parameters (without limit/offset)
+   * @param {number} offset - Result offset (must be a multiple of limit)
+   * @param {number} limit - Page size (max 200)
+   * @param {Object} context - { stats: optional retry counter, marketplace }
+   */
+  async fetchSearchPage(params, offset, limit, { stats = null, marketplace } = {}) {
+    return this.request({
+      url: `${this.browseApiUrl}/item_summary/search`,
+      params: { ...params, limit, offset },
+      headers: this.marketplaceHeaders(marketplace),
+    }, stats);
+  }
 
+  /**
+   * Get detailed item info including watch count, quantity sold
+   * Returns null if the item could not be fetched
+   * @param {string} itemId - Item ID from search results
+   * @param {Object} context - { marketplace }
+   */
+  async getItemDetails(itemId, context = {}) {
+    try {
+      return await this.fetchItemDetails(itemId, context);
     } catch (error) {
       console.warn(`Could not fetch details for item ${itemId}:`, error.message);
       return null;
@@ -145,141 +447,298 @@ class EbayClient {
   }
 
   /**
-   * Get item group details and aggregate data across all variations
+   * Fetch detailed item info, throwing on failure
+   * @param {string} itemId - Item ID from search results
+   * @param {Object} context - { stats: optional retry counter, marketplace }
    */
-  async getItemGroupDetails(itemGroupId) {
-    try {
-      const token = await this.getAccessToken();
-
-      const response = await axios.get(`${EBAY_BROWSE_API_URL}/item/get_items_by_item_group`, {
-        params: { item_group_id: itemGroupId },
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'X-EBAY-C-MARKETPLACE-ID': this.marketplace,
-        },
-      });
-
-      const data = response.data;
-
-      if (!data.items || data.items.length === 0) {
-        return null;
-      }
+  async fetchItemDetails(itemId, { stats = null, marketplace } = {}) {
+    const data = await this.request({
+      url: `${this.browseApiUrl}/item/${itemId}`,
+      headers: this.marketplaceHeaders(marketplace),
+    }, stats);
+
+    // Log availability fields for debugging (first item only)
+    if (!this._loggedAvailability) {
+      console.log('eBay API fields for item:', itemId);
+      console.log('  watchCount:', data.watchCount);
+      console.log('  estimatedAvailabilities:', JSON.stringify(data.estimatedAvailabilities, null, 2));
+      console.log('  quantityLimitPerBuyer:', data.quantityLimitPerBuyer);
+      this._loggedAvailability = true;
+    }
 
-      // Aggregate across all variations
-      const allVariations = data.items;
+    return data;
+  }
 
-      // Find cheapest price
-      const cheapestVariation = allVariations.reduce((min, item) => {
-        const price = parseFloat(item.price?.value || Infinity);
-        const minPrice = parseFloat(min.price?.value || Infinity);
-        return price < minPrice ? item : min;
-      }, allVariations[0]);
+  /**
+   * Get item group details and aggregate data across all variations
+   * Returns null if the group could not be fetched
+   */
+  async getItemGroupDetails(itemGroupId, context = {}) {
+    try {
+      return await this.fetchItemGroupDetails(itemGroupId, context);
+    } catch (error) {
+      console.warn(`Could not fetch item group ${itemGroupId}:`, error.message);
+      return null;
+    }
+  }
 
-      // Sum total sold quantity across all variations
-      const totalSold = allVariations.reduce((sum, item) => {
-        return sum + (item.estimatedAvailabilities?.[0]?.estimatedSoldQuantity || 0);
-      }, 0);
+  /**
+   * Fetch item group details and aggregate across variations, throwing on failure
+   * Returns null if the group has no variations
+   * @param {Object} context - { stats: optional retry counter, marketplace }
+   */
+  async fetchItemGroupDetails(itemGroupId, { stats = null, marketplace } = {}) {
+    const data = await this.request({
+      url: `${this.browseApiUrl}/item/get_items_by_item_group`,
+      params: { item_group_id: itemGroupId },
+      headers: this.marketplaceHeaders(marketplace),
+    }, stats);
+
+    if (!data.items || data.items.length === 0) {
+      return null;
+    }
 
-      // Sum total remaining quantity
-      const totalRemaining = allVariations.reduce((sum, item) => {
-        return sum + (item.estimatedAvailabilities?.[0]?.estimatedRemainingQuantity || 0);
-      }, 0);
+    // Aggregate across all variations
+    const allVariations = data.items;
+
+    // Find cheapest price
+    const cheapestVariation = allVariations.reduce((min, item) => {
+      const price = parseFloat(item.price?.value || Infinity);
+      const minPrice = parseFloat(min.price?.value || Infinity);
+      return price < minPrice ? item : min;
+    }, allVariations[0]);
+
+    // Sum total sold quantity across all variations
+    const totalSold = allVariations.reduce((sum, item) => {
+      return sum + (item.estimatedAvailabilities?.[0]?.estimatedSoldQuantity || 0);
+    }, 0);
+
+    // Sum total remaining quantity
+    const totalRemaining = allVariations.reduce((sum, item) => {
+      return sum + (item.estimatedAvailabilities?.[0]?.estimatedRemainingQuantity || 0);
+    }, 0);
+
+    // Return aggregated data using cheapest variation as base
+    return {
+      ...cheapestVariation,
+      // Override with aggregated quantities
+      estimatedAvailabilities: [{
+        ...cheapestVariation.estimatedAvailabilities?.[0],
+        estimatedSoldQuantity: totalSold,
+        estimatedRemainingQuantity: totalRemaining,
+      }],
+    };
+  }
 
-      // Return aggregated data using cheapest variation as base
-      return {
-        ...cheapestVariation,
-        // Override with aggregated quantities
-        estimatedAvailabilities: [{
-          ...cheapestVariation.estimatedAvailabilities?.[0],
-          estimatedSoldQuantity: totalSold,
-          estimatedRemainingQuantity: totalRemaining,
-        }],
-      };
+  /**
+   * Fetch the full category tree for a marketplace from the Taxonomy API
+   * Looks up the marketplace's default tree ID, then downloads that tree
+   * @param {string} marketplaceId - Marketplace ID (defaults to EBAY_MARKETPLACE)
+   * @returns {Promise<Object>} { categoryTreeId, categoryTreeVersion, rootCategoryNode }
+   */
+  async getCategoryTree(marketplaceId = this.marketplace) {
+    try {
+      const { categoryTreeId } = await this.request({
+        url: `${this.taxonomyApiUrl}/get_default_category_tree_id`,
+        params: { marketplace_id: marketplaceId },
+      });
 
+      return await this.request({
+        url: `${this.taxonomyApiUrl}/category_tree/${categoryTreeId}`,
+      });
     } catch (error) {
-      console.warn(`Could not fetch item group ${itemGroupId}:`, error.message);
-      return null;
+      const message = error.response?.data?.errors?.[0]?.message || error.message;
+      throw new Error(`Failed to fetch category tree from eBay: ${message}`);
     }
   }
 
   /**
    * Enrich item summaries with detailed data (watchCount, quantitySold, etc.)
+   * Runs through a bounded worker pool to stay under eBay's rate limits
+   * @param {Array} items - Item summaries from search results
+   * @param {Object} options
+   * @param {number} options.concurrency - Max detail requests in flight
+   * @param {Function} options.onProgress - Called with { completed, total, failed } after each item
+   * @param {string} options.marketplace - Marketplace the items were found on
+   * @returns {Promise<Object>} { items, summary: { total, enriched, failed: [{ itemId, stage, error }], retries } }
    */
-  async enrichItemsWithDetails(items) {
-    console.log('Fetching detailed data for items...');
+  async enrichItemsWithDetails(items, {
+    concurrency = this.enrichConcurrency,
+    onProgress,
+    marketplace = this.marketplace,
+  } = {}) {
+    console.log(`Fetching detailed data for ${items.length} items (concurrency ${concurrency})...`);
+
+    const failed = [];
+    const stats = { retries: 0 };
+    let completed = 0;
+    let failedItems = 0;
 
-    const enrichedItems = await Promise.all(
-      items.map(async (item) => {
-        let details = await this.getItemDetails(item.itemId);
+    const enrichedItems = await mapWithConcurrency(items, concurrency, async (item) => {
+      let details = null;
+      let itemFailed = false;
+
+      try {
+        details = await this.fetchItemDetails(item.itemId, { stats, marketplace });
 
         // If this is an item group (has variations), fetch aggregated data
         if (details?.primaryItemGroup?.itemGroupId) {
-          const groupDetails = await this.getItemGroupDetails(details.primaryItemGroup.itemGroupId);
-          if (groupDetails) {
-            details = groupDetails;
+          const groupId = details.primaryItemGroup.itemGroupId;
+          try {
+            const groupDetails = await this.fetchItemGroupDetails(groupId, { stats, marketplace });
+            if (groupDetails) {
+              details = groupDetails;
+            }
+          } catch (error) {
+            if (error instanceof CassetteMismatchError) throw error;
+            // Keep the single-variation details, but report the group failure
+            failed.push({ itemId: item.itemId, stage: 'itemGroup', error: error.message });
+            itemFailed = true;
           }
         }
+      } catch (error) {
+        // Replay must match the recording exactly - don't paper over gaps
+        if (error instanceof CassetteMismatchError) throw error;
+        failed.push({ itemId: item.itemId, stage: 'details', error: error.message });
+        itemFailed = true;
+      }
 
-        if (details) {
-          return {
-            ...item,
-            // Engagement data
-            watchCount: details.watchCount,
-            quantitySold: details.estimatedAvailabilities?.[0]?.estimatedSoldQuantity,
-
-            // Price (use cheapest from variations)
-            price: details.price,
-            marketingPrice: details.marketingPrice,
-
-            // Images - check both additionalImages and images fields
-            imageUrl: details.image?.imageUrl || item.image?.imageUrl,
-            additionalImages: details.additionalImages || details.images || [],
-
-            // Item details
-            title: details.title || item.title,
-            shortDescription: details.shortDescription,
-            categoryPath: details.categoryPath,
-
-            // Shipping
-            shippingCost: details.shippingOptions?.[0]?.shippingCost,
-            shippingType: details.shippingOptions?.[0]?.type,
-            shipToLocations: details.shipToLocations?.regionIncluded,
-
-            // Return policy
-            returnsAccepted: details.returnTerms?.returnsAccepted,
-            returnPeriod: details.returnTerms?.returnPeriod?.value + ' ' + details.returnTerms?.returnPeriod?.unit,
-            returnShippingPayer: details.returnTerms?.returnShippingCostPayer,
-
-            // Availability/Stock
-            availabilityThreshold: details.estimatedAvailabilities?.[0]?.availabilityThreshold,
-            availabilityThresholdType: details.estimatedAvailabilities?.[0]?.availabilityThresholdType,
-            estimatedAvailableQuantity: details.estimatedAvailabilities?.[0]?.estimatedAvailableQuantity,
-            estimatedRemainingQuantity: details.estimatedAvailabilities?.[0]?.estimatedRemainingQuantity,
-            deliveryOptions: details.estimatedAvailabilities?.[0]?.deliveryOptions,
-
-            // Location
-            itemLocationCity: details.itemLocation?.city,
-            itemLocationState: details.itemLocation?.stateOrProvince,
-            itemLocationCountry: details.itemLocation?.country,
-          };
-        }
+      completed++;
+      if (itemFailed) failedItems++;
+      onProgress?.({ completed, total: items.length, failed: failedItems });
+
+      return details ? this.mergeItemDetails(item, details) : item;
+    });
 
-        return item;
-      })
-    );
+    if (failed.length > 0) {
+      console.warn(`Could not fully enrich ${failedItems} of ${items.length} items`);
+    }
 
-    return enrichedItems;
+    return {
+      items: enrichedItems,
+      summary: {
+        total: items.length,
+        enriched: items.length - failed.filter(f => f.stage === 'details').length,
+        failed,
+        retries: stats.retries,
+      },
+    };
   }
 
   /**
-   * Get completed/sold listings to analyze price trends
-   * Browse API doesn't support sold items search, so we return empty
+   * Merge item detail fields into an item summary
    */
-  async findCompletedItems(categoryId, limit = 20) {
-    // Browse API doesn't have a direct equivalent for sold items
-    // This would require the Trading API or third-party data
-    console.warn('Sold items data not available in Browse API');
-    return { success: false, items: [], reason: 'Browse API does not support sold items search' };
+  mergeItemDetails(item, details) {
+    return {
+      ...item,
+      // Engagement data
+      watchCount: details.watchCount,
+      quantitySold: details.estimatedAvailabilities?.[0]?.estimatedSoldQuantity,
+
+      // Price (use cheapest from variations)
+      price: details.price,
+      marketingPrice: details.marketingPrice,
+
+      // Images - check both additionalImages and images fields
+      imageUrl: details.image?.imageUrl || item.image?.imageUrl,
+      additionalImages: details.additionalImages || details.images || [],
+
+      // Item details
+      title: details.title || item.title,
+      shortDescription: details.shortDescription,
+      categoryPath: details.categoryPath,
+
+      // Shipping
+      shippingCost: details.shippingOptions?.[0]?.shippingCost,
+      shippingType: details.shippingOptions?.[0]?.type,
+      shipToLocations: details.shipToLocations?.regionIncluded,
+
+      // Return policy
+      returnsAccepted: details.returnTerms?.returnsAccepted,
+      returnPeriod: details.returnTerms?.returnPeriod?.value + ' ' + details.returnTerms?.returnPeriod?.unit,
+      returnShippingPayer: details.returnTerms?.returnShippingCostPayer,
+
+      // Availability/Stock
+      availabilityThreshold: details.estimatedAvailabilities?.[0]?.availabilityThreshold,
+      availabilityThresholdType: details.estimatedAvailabilities?.[0]?.availabilityThresholdType,
+      estimatedAvailableQuantity: details.estimatedAvailabilities?.[0]?.estimatedAvailableQuantity,
+      estimatedRemainingQuantity: details.estimatedAvailabilities?.[0]?.estimatedRemainingQuantity,
+      deliveryOptions: details.estimatedAvailabilities?.[0]?.deliveryOptions,
+
+      // Location
+      itemLocationCity: details.itemLocation?.city,
+      itemLocationState: details.itemLocation?.stateOrProvince,
+      itemLocationCountry: details.itemLocation?.country,
+
+      // Product identifiers (item details only, used to spot duplicate listings)
+      gtin: details.gtin,
+      epid: details.epid || item.epid,
+    };
+  }
+
+  /**
+   * Get sold listings from the last N days to analyze price trends
+   * Uses the Marketplace Insights item_sales/search endpoint, a limited
+   * release API: apps without access get an InsightsAccessError, other
+   * failures a plain Error, so callers can fall back (see soldData.js)
+   * @param {string} categoryId - eBay category ID
+   * @param {number} limit - Number of sales to fetch (paginated past 200)
+   * @param {Object} options - { q, days (max 90), marketplace }
+   * @returns {Promise<Object>} { success, items: itemSales entries, total, query, source, timestamp }
+   */
+  async findCompletedItems(categoryId, limit = 200, { q, days = MAX_SALES_DAYS, marketplace = this.marketplace } = {}) {
+    const window = Math.min(Math.max(days, 1), MAX_SALES_DAYS);
+    const end = new Date();
+    const start = new Date(end.getTime() - window * 24 * 60 * 60 * 1000);
+    const budget = Math.max(1, Math.min(limit, MAX_RESULT_WINDOW));
+    const pageSize = Math.min(budget, MAX_PAGE_SIZE);
+
+    const params = {
+      q: q?.trim() || undefined,
+      category_ids: categoryId,
+      filter: `lastSoldDate:[${start.toISOString()}..${end.toISOString()}]`,
+    };
+
+    try {
+      const sales = [];
+      let total = 0;
+      let offset = 0;
+
+      while (sales.length < budget && offset + pageSize <= MAX_RESULT_WINDOW) {
+        const data = await this.request({
+          scope: INSIGHTS_SCOPE,
+          url: `${this.insightsApiUrl}/item_sales/search`,
+          params: { ...params, limit: pageSize, offset },
+          headers: this.marketplaceHeaders(marketplace),
+        });
+        const page = data.itemSales || [];
+
+        total = data.total || 0;
+        sales.push(...page.slice(0, budget - sales.length));
+        offset += pageSize;
+
+        if (page.length < pageSize || offset >= total) {
+          break;
+        }
+      }
+
+      return {
+        success: true,
+        items: sales,
+        total,
+        query: { categoryId, q: params.q || null, days: window, marketplace },
+        source: this.isProduction
+          ? 'eBay Marketplace Insights API (Official)'
+          : `eBay Marketplace Insights API (${this.baseUrl})`,
+        apiEndpoint: this.insightsApiUrl,
+        timestamp: new Date().toISOString(),
+      };
+    } catch (error) {
+      if (error.response?.status === 403 || error.cause?.response?.data?.error === 'invalid_scope') {
+        throw new InsightsAccessError('Failed to fetch sold items from eBay: this app has no Marketplace Insights access');
+      }
+      throw new Error(`Failed to fetch sold items from eBay: ${error.message}`);
+    }
   }
 }
 
@@ -0,0 +1,325 @@
+import crypto from 'crypto';
+
+/**
+ * Listing filters and sort orders for Browse API searches
+ * Validates a typed filter object and serializes it into eBay's filter grammar
+ * (e.g. `price:[10..50],priceCurrency:USD,buyingOptions:{AUCTION|FIXED_PRICE}`)
+ */
+
+export const BUYING_OPTIONS = ['FIXED_PRICE', 'AUCTION', 'BEST_OFFER', 'CLASSIFIED_AD'];
+
+export const SELLER_ACCOUNT_TYPES = ['BUSINESS', 'INDIVIDUAL'];
+
+// eBay condition IDs by name
+export const CONDITIONS = {
+  NEW: '1000',
+  OPEN_BOX: '1500',
+  CERTIFIED_REFURBISHED: '2000',
+  EXCELLENT_REFURBISHED: '2010',
+  VERY_GOOD_REFURBISHED: '2020',
+  GOOD_REFURBISHED: '2030',
+  SELLER_REFURBISHED: '2500',
+  LIKE_NEW: '2750',
+  USED: '3000',
+  VERY_GOOD: '4000',
+  GOOD: '5000',
+  ACCEPTABLE: '6000',
+  FOR_PARTS: '7000',
+};
+
+// Fixed-price listings with a real price (skips $0 placeholders)
+export const DEFAULT_LISTING_FILTERS = {
+  minPrice: 1,
+  buyingOptions: ['FIXED_PRICE'],
+};
+
+// Browse API sort values; no sort means eBay's "Best Match"
+export const BEST_MATCH = 'bestMatch';
+export const SORT_ORDERS = {
+  [BEST_MATCH]: 'eBay Best Match',
+  price: 'Price + shipping: lowest first',
+  '-price': 'Price + shipping: highest first',
+  newlyListed: 'Newly listed',
+  endingSoonest: 'Ending soonest',
+};
+
+/**
+ * Thrown when a filter value can't be expressed in eBay's filter grammar
+ */
+export class FilterValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FilterValidationError';
+  }
+}
+
+/**
+ * Accept either an array or a comma-separated string
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(v => String(v).trim()).filter(Boolean);
+}
+
+function toUpperList(value) {
+  return toList(value).map(v => v.toUpperCase());
+}
+
+function toPrice(value, name) {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const price = Number(value);
+  if (!Number.isFinite(price) || price < 0) {
+    throw new FilterValidationError(`${name} must be a non-negative number`);
+  }
+  return price;
+}
+
+/**
+ * Parse a true/false query value, undefined when it is missing
+ */
+export function toBoolean(value, name) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw new FilterValidationError(`${name} must be true or false`);
+}
+
+function assertAllowed(values, allowed, name) {
+  const invalid = values.filter(v => !allowed.includes(v));
+  if (invalid.length > 0) {
+    throw new FilterValidationError(
+      `Invalid ${name}: ${invalid.join(', ')} (allowed: ${allowed.join(', ')})`
+    );
+  }
+}
+
+/**
+ * Validate and normalize a filter object, layered over the defaults
+ * Unknown values throw a FilterValidationError
+ * @param {Object} input - conditions, minPrice, maxPrice, currency, buyingOptions,
+ *   itemLocationCountry, returnsAccepted, freeShipping, sellerAccountTypes, sellers
+ * @returns {Object} Normalized filters with empty fields removed
+ */
+export function normalizeListingFilters(input = {}) {
+  const merged = { ...DEFAULT_LISTING_FILTERS };
+  for (const [name, value] of Object.entries(input)) {
+    if (value !== undefined) merged[name] = value;
+  }
+
+  const filters = {
+    conditions: toUpperList(merged.conditions),
+    minPrice: toPrice(merged.minPrice, 'minPrice'),
+    maxPrice: toPrice(merged.maxPrice, 'maxPrice'),
+    currency: merged.currency ? String(merged.currency).toUpperCase() : undefined,
+    buyingOptions: toUpperList(merged.buyingOptions),
+    itemLocationCountry: merged.itemLocationCountry
+      ? String(merged.itemLocationCountry).toUpperCase()
+      : undefined,
+    returnsAccepted: toBoolean(merged.returnsAccepted, 'returnsAccepted'),
+    freeShipping: toBoolean(merged.freeShipping, 'freeShipping'),
+    sellerAccountTypes: toUpperList(merged.sellerAccountTypes),
+    sellers: toList(merged.sellers),
+  };
+
+  assertAllowed(filters.conditions, Object.keys(CONDITIONS), 'condition');
+  assertAllowed(filters.buyingOptions, BUYING_OPTIONS, 'buying option');
+  assertAllowed(filters.sellerAccountTypes, SELLER_ACCOUNT_TYPES, 'seller account type');
+
+  if (filters.minPrice !== undefined && filters.maxPrice !== undefined &&
+      filters.minPrice > filters.maxPrice) {
+    throw new FilterValidationError('minPrice cannot be greater than maxPrice');
+  }
+  if (filters.currency && !/^[A-Z]{3}$/.test(filters.currency)) {
+    throw new FilterValidationError('currency must be a 3-letter ISO code (e.g. USD)');
+  }
+  if (filters.itemLocationCountry && !/^[A-Z]{2}$/.test(filters.itemLocationCountry)) {
+    throw new FilterValidationError('itemLocationCountry must be a 2-letter country code (e.g. US)');
+  }
+  if (filters.sellers.some(seller => /[|{}]/.test(seller))) {
+    throw new FilterValidationError('Seller usernames cannot contain |, { or }');
+  }
+
+  // Drop empty values so equal filters always look the same
+  for (const [name, value] of Object.entries(filters)) {
+    if (value === undefined || (Array.isArray(value) && value.length === 0)) {
+      delete filters[name];
+    }
+  }
+
+  return filters;
+}
+
+/**
+ * Serialize normalized filters into eBay's filter grammar
+ */
+export function serializeListingFilters(filters) {
+  const parts = [];
+
+  if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+    parts.push(`price:[${filters.minPrice ?? ''}..${filters.maxPrice ?? ''}]`);
+    if (filters.currency) {
+      parts.push(`priceCurrency:${filters.currency}`);
+    }
+  }
+  if (filters.buyingOptions?.length) {
+    parts.push(`buyingOptions:{${filters.buyingOptions.join('|')}}`);
+  }
+  if (filters.conditions?.length) {
+    parts.push(`conditionIds:{${filters.conditions.map(c => CONDITIONS[c]).join('|')}}`);
+  }
+  if (filters.itemLocationCountry) {
+    parts.push(`itemLocationCountry:${filters.itemLocationCountry}`);
+  }
+  if (filters.returnsAccepted !== undefined) {
+    parts.push(`returnsAccepted:${filters.returnsAccepted}`);
+  }
+  if (filters.freeShipping) {
+    parts.push('maxDeliveryCost:0');
+  }
+  if (filters.sellerAccountTypes?.length) {
+    parts.push(`sellerAccountTypes:{${filters.sellerAccountTypes.join('|')}}`);
+  }
+  if (filters.sellers?.length) {
+    parts.push(`sellers:{${filters.sellers.join('|')}}`);
+  }
+
+  return parts.join(',');
+}
+
+/**
+ * Read filters from Express query parameters
+ * e.g. ?condition=NEW,USED&minPrice=10&maxPrice=50&buyingOptions=AUCTION,BEST_OFFER
+ */
+export function parseListingFilterQuery(query = {}) {
+  return normalizeListingFilters({
+    conditions: query.condition ?? query.conditions,
+    minPrice: query.minPrice,
+    maxPrice: query.maxPrice,
+    currency: query.currency,
+    buyingOptions: query.buyingOptions,
+    itemLocationCountry: query.itemLocationCountry,
+    returnsAccepted: query.returnsAccepted,
+    freeShipping: query.freeShipping,
+    sellerAccountTypes: query.sellerAccountTypes,
+    sellers: query.sellers,
+  });
+}
+
+/**
+ * Short stable identifier for a filter set, for cache keys
+ * Returns null for the default filters so existing cache keys stay the same
+ */
+export function getListingFiltersKey(filters) {
+  const serialized = serializeListingFilters(filters);
+  if (serialized === serializeListingFilters(normalizeListingFilters())) {
+    return null;
+  }
+
+  return crypto.createHash('sha1').update(serialized).digest('hex').slice(0, 10);
+}
+
+/**
+ * Validate and normalize aspect filters, e.g. { Brand: ['Apple', 'Samsung'] }
+ * Names and values are matched exactly by eBay, so only whitespace is trimmed
+ * @returns {Object} Aspects with sorted names and values, empty entries removed
+ */
+export function normalizeAspectFilters(input = {}) {
+  const aspects = {};
+
+  for (const [name, values] of Object.entries(input || {})) {
+    const aspectName = String(name).trim();
+    const list = (Array.isArray(values) ? values : [values])
+      .map(v => String(v ?? '').trim())
+      .filter(Boolean);
+
+    if (!aspectName || list.length === 0) continue;
+
+    // These delimit names, values and aspects in eBay's aspect_filter grammar
+    if ([aspectName, ...list].some(v => /[|{},]/.test(v))) {
+      throw new FilterValidationError('Aspect names and values cannot contain |, {, } or ,');
+    }
+
+    aspects[aspectName] = [...new Set(list)].sort();
+  }
+
+  return Object.fromEntries(
+    Object.keys(aspects).sort().map(name => [name, aspects[name]])
+  );
+}
+
+/**
+ * Serialize aspect filters into eBay's aspect_filter grammar
+ * e.g. categoryId:9355,Brand:{Apple|Samsung}
+ * eBay only applies aspect filters within exactly one category
+ */
+export function serializeAspectFilter(categoryIds, aspects) {
+  const names = Object.keys(aspects);
+  if (names.length === 0) return '';
+
+  if (categoryIds.length !== 1) {
+    throw new FilterValidationError('Aspect filters require exactly one category');
+  }
+
+  return [
+    `categoryId:${categoryIds[0]}`,
+    ...names.map(name => `${name}:{${aspects[name].join('|')}}`),
+  ].join(',');
+}
+
+/**
+ * Read aspect filters from Express query parameters
+ * e.g. ?aspect=Brand:Apple|Samsung&aspect=Storage Capacity:256 GB
+ */
+export function parseAspectFilterQuery(query = {}) {
+  const aspects = {};
+
+  // Repeated ?aspect= parameters arrive as an array
+  const entries = query.aspect === undefined ? [] : [].concat(query.aspect).map(String);
+
+  for (const entry of entries) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new FilterValidationError(
+        `Invalid aspect: ${entry} (expected Name:Value or Name:Value1|Value2)`
+      );
+    }
+
+    const name = entry.slice(0, separator);
+    aspects[name] = [...(aspects[name] || []), ...entry.slice(separator + 1).split('|')];
+  }
+
+  return normalizeAspectFilters(aspects);
+}
+
+/**
+ * Short stable identifier for an aspect filter set, for cache keys
+ * Returns null when no aspects are selected
+ */
+export function getAspectFiltersKey(aspects) {
+  if (Object.keys(aspects).length === 0) {
+    return null;
+  }
+
+  return crypto.createHash('sha1').update(JSON.stringify(aspects)).digest('hex').slice(0, 10);
+}
+
+/**
+ * Validate a sort order, returning the value to send to eBay
+ * Returns null for Best Match, which eBay applies when `sort` is omitted
+ */
+export function normalizeSortOrder(sort) {
+  if (sort === undefined || sort === null || sort === '' || sort === BEST_MATCH) {
+    return null;
+  }
+
+  // A repeated ?sort= arrives as an array, which hasOwn would stringify
+  if (typeof sort !== 'string' || !Object.hasOwn(SORT_ORDERS, sort)) {
+    throw new FilterValidationError(
+      `Invalid sort: ${sort} (allowed: ${Object.keys(SORT_ORDERS).join(', ')})`
+    );
+  }
+
+  return sort;
+}
@@ -0,0 +1,215 @@
+import { buildSoldCacheKey } from '../utils/cache.js';
+import { InsightsAccessError } from './ebayClient.js';
+
+/**
+ * Sold listing data for market comparisons
+ * The Browse API only sees active listings, so sales come from a provider:
+ * - MarketplaceInsightsProvider: eBay's item_sales/search (limited release)
+ * - SnapshotSoldProvider: sales inferred from quantitySold growth between
+ *   snapshots of the same category
+ * Every provider implements
+ *   getSoldItems(categoryId, { marketplace, days, limit }) ->
+ *     Promise<{ available, source, days, items, soldListings, activeListings, reason }>
+ * with items normalized to { itemId, title, price, currency, quantity, soldAt }
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const DEFAULT_SOLD_DAYS = 30;
+
+/**
+ * Sales from the Marketplace Insights API, cached like active results
+ * Once eBay says the app has no access, the API isn't asked again for
+ * SOLD_DATA_ACCESS_RETRY_HOURS (default 24)
+ */
+export class MarketplaceInsightsProvider {
+  /**
+   * @param {Object} options
+   * @param {import('./ebayClient.js').default} options.client
+   * @param {import('../utils/cache.js').default} options.cache
+   * @param {number} options.accessRetryMs - How long a missing access is remembered
+   */
+  constructor({
+    client,
+    cache,
+    accessRetryMs = parseFloat(process.env.SOLD_DATA_ACCESS_RETRY_HOURS || 24) * HOUR_MS,
+  }) {
+    this.name = 'marketplace-insights';
+    this.client = client;
+    this.cache = cache;
+    this.accessRetryMs = accessRetryMs;
+    this.noAccessUntil = 0;
+  }
+
+  async getSoldItems(categoryId, { marketplace = this.client.marketplace, days = DEFAULT_SOLD_DAYS, limit = 200 } = {}) {
+    const cacheKey = buildSoldCacheKey(categoryId, { days, limit, marketplace });
+    const cached = await this.cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    if (Date.now() < this.noAccessUntil) {
+      return this.noAccess();
+    }
+
+    let result;
+    try {
+      result = await this.client.findCompletedItems(categoryId, limit, { days, marketplace });
+    } catch (error) {
+      if (!(error instanceof InsightsAccessError)) throw error;
+
+      this.noAccessUntil = Date.now() + this.accessRetryMs;
+      console.warn(`${error.message}, not asking again until ${new Date(this.noAccessUntil).toISOString()}`);
+      return this.noAccess();
+    }
+
+    const sold = {
+      available: true,
+      source: result.source,
+      days: result.query.days,
+      soldListings: result.total,
+      activeListings: null,
+      items: result.items.map(sale => ({
+        itemId: sale.itemId,
+        title: sale.title || null,
+        price: parseFloat(sale.lastSoldPrice?.value || 0),
+        currency: sale.lastSoldPrice?.currency || 'USD',
+        quantity: parseInt(sale.totalSoldQuantity || 1),
+        soldAt: sale.lastSoldDate || null,
+      })),
+      timestamp: result.timestamp,
+    };
+
+    await this.cache.set(cacheKey, sold);
+    return sold;
+  }
+
+  noAccess() {
+    return {
+      available: false,
+      source: 'eBay Marketplace Insights API',
+      reason: `This app has no Marketplace Insights access (checked again after ${new Date(this.noAccessUntil).toISOString()})`,
+    };
+  }
+}
+
+/**
+ * Sales inferred from snapshot history
+ * Each increase of an item's quantitySold between two snapshots counts as
+ * that many units sold at the later snapshot's price; a drop means the
+ * counter was reset (relisted item) and is skipped
+ */
+export class SnapshotSoldProvider {
+  /**
+   * @param {Object} options
+   * @param {import('../utils/snapshotStore.js').default} options.snapshots
+   */
+  constructor({ snapshots }) {
+    this.name = 'snapshots';
+    this.snapshots = snapshots;
+  }
+
+  async getSoldItems(categoryId, { marketplace, days = DEFAULT_SOLD_DAYS } = {}) {
+    const snapshots = await this.snapshots.getSnapshots(categoryId, { days, marketplace });
+    if (snapshots.length < 2) {
+      return {
+        available: false,
+        source: 'Snapshot history',
+        reason: 'Not enough snapshot history yet (fetch this category at least twice)',
+      };
+    }
+
+    const previousById = new Map();
+    const items = [];
+
+    for (const snapshot of snapshots) {
+      for (const item of snapshot.items) {
+        const previous = previousById.get(item.itemId);
+        const sold = item.quantitySold === null ? null : parseInt(item.quantitySold);
+
+        if (previous !== undefined && previous !== null && sold !== null && sold > previous) {
+          items.push({
+            itemId: item.itemId,
+            title: item.title,
+            price: item.price,
+            currency: item.currency,
+            quantity: sold - previous,
+            soldAt: snapshot.timestamp,
+          });
+        }
+
+        if (sold !== null) {
+          previousById.set(item.itemId, sold);
+        }
+      }
+    }
+
+    const first = Date.parse(snapshots[0].timestamp);
+    const last = Date.parse(snapshots[snapshots.length - 1].timestamp);
+
+    return {
+      available: true,
+      source: `Snapshot history (${snapshots.length} snapshots)`,
+      days: Math.round(((last - first) / DAY_MS) * 10) / 10,
+      soldListings: new Set(items.map(sale => sale.itemId)).size,
+      // Only tracked listings can show up as sold, so they are the comparable base
+      activeListings: previousById.size,
+      items,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
+/**
+ * Try providers in order and return the first one that has data
+ */
+export class SoldDataService {
+  /**
+   * @param {Object[]} providers - Objects implementing getSoldItems
+   */
+  constructor(providers) {
+    this.providers = providers;
+  }
+
+  async getSoldItems(categoryId, options = {}) {
+    const reasons = [];
+
+    for (const provider of this.providers) {
+      try {
+        const sold = await provider.getSoldItems(categoryId, options);
+        if (sold.available) {
+          return sold;
+        }
+        reasons.push(sold.reason);
+      } catch (error) {
+        reasons.push(error.message);
+      }
+    }
+
+    return { available: false, items: [], reason: reasons.join('; ') || 'No sold data provider configured' };
+  }
+}
+
+/**
+ * Build the sold-data service selected by SOLD_DATA_PROVIDER
+ * 'auto' (default) tries Marketplace Insights, then snapshot history;
+ * 'marketplace-insights' or 'snapshots' use only that provider
+ */
+export function createSoldDataService({ client, cache, snapshots, provider = process.env.SOLD_DATA_PROVIDER || 'auto' }) {
+  const insights = new MarketplaceInsightsProvider({ client, cache });
+  const history = new SnapshotSoldProvider({ snapshots });
+
+  switch (provider) {
+    case 'marketplace-insights':
+      return new SoldDataService([insights]);
+    case 'snapshots':
+      return new SoldDataService([history]);
+    case 'auto':
+      return new SoldDataService([insights, history]);
+    default:
+      throw new Error(`Unknown SOLD_DATA_PROVIDER: ${provider} (use auto, marketplace-insights or snapshots)`);
+  }
+}
+
+export default SoldDataService;
@@ -0,0 +1,276 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getCategoriesForMarketplace } from '@ebay-analyzer/shared/categories';
+import { buildTaxonomyCacheKey } from '../utils/cache.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * eBay category taxonomy
+ * Loads the full category tree for a marketplace from the Taxonomy API,
+ * falling back to a bundled fixture (or the curated top-level list) when
+ * the API can't be reached, and answers lookups over the whole tree
+ */
+
+const FIXTURE_DIR = path.join(__dirname, '../../fixtures');
+
+// ID of the Taxonomy API's root node, the parent of every top-level category
+export const ROOT_CATEGORY_ID = '0';
+
+// How long a fallback tree is reused before the API is tried again
+const FALLBACK_TREE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Category tree for one marketplace, flattened into an ID index
+ * Nodes look like { id, name, parentId, level, leaf }
+ */
+export class CategoryTree {
+  /**
+   * @param {Object} tree
+   * @param {string} tree.marketplace - Marketplace ID
+   * @param {string} tree.treeId - Taxonomy API category tree ID
+   * @param {string} tree.version - Taxonomy API category tree version
+   * @param {string} tree.source - 'taxonomy-api', 'fixture' or 'curated'
+   * @param {Object[]} tree.nodes - Flattened nodes, root included
+   */
+  constructor({ marketplace, treeId, version, source, nodes }) {
+    this.marketplace = marketplace;
+    this.treeId = treeId;
+    this.version = version;
+    this.source = source;
+    this.nodes = nodes;
+    this.byId = new Map();
+    this.childIds = new Map();
+
+    for (const node of nodes) {
+      this.byId.set(node.id, node);
+
+      if (node.parentId !== null) {
+        if (!this.childIds.has(node.parentId)) {
+          this.childIds.set(node.parentId, []);
+        }
+        this.childIds.get(node.parentId).push(node.id);
+      }
+    }
+  }
+
+  /**
+   * Build a tree from a Taxonomy API category_tree response
+   */
+  static fromTaxonomyResponse(response, marketplace, source = 'taxonomy-api') {
+    const nodes = [];
+    const stack = [{ node: response.rootCategoryNode, parentId: null }];
+
+    while (stack.length > 0) {
+      const { node, parentId } = stack.pop();
+      const children = node.childCategoryTreeNodes || [];
+
+      nodes.push({
+        id: node.category.categoryId,
+        name: node.category.categoryName,
+        parentId,
+        level: node.categoryTreeNodeLevel,
+        leaf: children.length === 0,
+      });
+
+      // Push in reverse so children keep eBay's order once popped
+      for (let i = children.length - 1; i >= 0; i--) {
+        stack.push({ node: children[i], parentId: node.category.categoryId });
+      }
+    }
+
+    return new CategoryTree({
+      marketplace,
+      treeId: response.categoryTreeId,
+      version: response.categoryTreeVersion,
+      source,
+      nodes,
+    });
+  }
+
+  /**
+   * Get a category node by ID
+   */
+  getCategoryById(id) {
+    return this.byId.get(String(id)) || null;
+  }
+
+  /**
+   * Get the direct children of a category (top-level categories by default)
+   */
+  getChildren(parentId = ROOT_CATEGORY_ID) {
+    return (this.childIds.get(String(parentId)) || []).map(id => this.byId.get(id));
+  }
+
+  /**
+   * Get the ancestors of a category, top-level first (the root is left out)
+   */
+  getAncestors(id) {
+    const ancestors = [];
+    let node = this.getCategoryById(id);
+
+    while (node && node.parentId !== null && node.parentId !== ROOT_CATEGORY_ID) {
+      node = this.byId.get(node.parentId);
+      ancestors.unshift(node);
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * Find categories whose name contains the query (case-insensitive)
+   * Exact matches come first, then prefix matches, then shallower categories
+   */
+  findByName(query, limit = 20) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return [];
+
+    const rank = (node) => {
+      const name = node.name.toLowerCase();
+      if (name === needle) return 0;
+      if (name.startsWith(needle)) return 1;
+      return 2;
+    };
+
+    return this.nodes
+      .filter(node => node.id !== ROOT_CATEGORY_ID && node.name.toLowerCase().includes(needle))
+      .sort((a, b) => rank(a) - rank(b) || a.level - b.level || a.name.localeCompare(b.name))
+      .slice(0, limit);
+  }
+
+  /**
+   * Describe a category by its path, e.g. "Consumer Electronics > Virtual Reality"
+   */
+  describe(id) {
+    const node = this.getCategoryById(id);
+    if (!node) return null;
+
+    return [...this.getAncestors(id), node].map(n => n.name).join(' > ');
+  }
+
+  /**
+   * Plain object for caching
+   */
+  toJSON() {
+    return {
+      marketplace: this.marketplace,
+      treeId: this.treeId,
+      version: this.version,
+      source: this.source,
+      nodes: this.nodes,
+    };
+  }
+}
+
+/**
+ * Build a one-level tree from the curated top-level categories
+ * Used for marketplaces that have no bundled fixture
+ */
+function buildCuratedTree(marketplace) {
+  const nodes = [
+    { id: ROOT_CATEGORY_ID, name: 'Root', parentId: null, level: 0, leaf: false },
+    ...getCategoriesForMarketplace(marketplace).map(cat => ({
+      id: cat.id,
+      name: cat.name,
+      parentId: ROOT_CATEGORY_ID,
+      level: 1,
+      leaf: true,
+    })),
+  ];
+
+  return new CategoryTree({ marketplace, treeId: null, version: null, source: 'curated', nodes });
+}
+
+/**
+ * Load the bundled fixture tree for a marketplace, or the curated list if there is none
+ */
+export function loadFallbackTree(marketplace, fixtureDir = FIXTURE_DIR) {
+  const fixturePath = path.join(fixtureDir, `category_tree_${marketplace}.json`);
+
+  if (!fs.existsSync(fixturePath)) {
+    return buildCuratedTree(marketplace);
+  }
+
+  const response = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+  return CategoryTree.fromTaxonomyResponse(response, marketplace, 'fixture');
+}
+
+/**
+ * Loads and caches category trees per marketplace
+ * Trees are kept in memory and in the CacheManager; a tree fetched from
+ * the API is shared by every caller until it is CACHE_DURATION old. A
+ * fallback tree is never cached on disk and only kept in memory for a few
+ * minutes, so the API is tried again soon after an outage
+ */
+export class TaxonomyService {
+  /**
+   * @param {Object} options
+   * @param {import('./ebayClient.js').default} options.client - EbayClient used for Taxonomy API calls
+   * @param {import('../utils/cache.js').default} options.cache - CacheManager for fetched trees
+   * @param {string} options.fixtureDir - Directory holding category_tree_<MARKETPLACE>.json fixtures
+   */
+  constructor({ client, cache, fixtureDir = FIXTURE_DIR }) {
+    this.client = client;
+    this.cache = cache;
+    this.fixtureDir = fixtureDir;
+    this.trees = new Map();
+    this.treeRequests = new Map();
+  }
+
+  /**
+   * Get the category tree for a marketplace
+   * @param {string} marketplace - Marketplace ID (defaults to the client's marketplace)
+   * @returns {Promise<CategoryTree>}
+   */
+  async getTree(marketplace = this.client.marketplace) {
+    const loaded = this.trees.get(marketplace);
+    if (loaded && Date.now() < loaded.expiresAt) {
+      return loaded.tree;
+    }
+
+    // Share one load between concurrent callers, the tree can be large
+    if (!this.treeRequests.has(marketplace)) {
+      this.treeRequests.set(marketplace, this.loadTree(marketplace).then(({ tree, expiresAt }) => {
+        this.trees.set(marketplace, { tree, expiresAt });
+        return tree;
+      }).finally(() => {
+        this.treeRequests.delete(marketplace);
+      }));
+    }
+
+    return this.treeRequests.get(marketplace);
+  }
+
+  /**
+   * Load a tree from the cache, the Taxonomy API, or the fallback, in that order
+   * @returns {Promise<Object>} { tree, expiresAt } - when to stop reusing the tree (ms)
+   */
+  async loadTree(marketplace) {
+    const cacheKey = buildTaxonomyCacheKey(marketplace);
+    const cached = await this.cache.getEntry(cacheKey);
+
+    if (cached) {
+      const ageMs = cached.age * 60 * 60 * 1000;
+      return {
+        tree: new CategoryTree(cached.data),
+        expiresAt: Date.now() + this.cache.cacheDuration - ageMs,
+      };
+    }
+
+    try {
+      const response = await this.client.getCategoryTree(marketplace);
+      const tree = CategoryTree.fromTaxonomyResponse(response, marketplace);
+      await this.cache.set(cacheKey, tree.toJSON());
+      console.log(`Loaded ${tree.nodes.length - 1} categories for ${marketplace} (tree version ${tree.version})`);
+      return { tree, expiresAt: Date.now() + this.cache.cacheDuration };
+    } catch (error) {
+      const tree = loadFallbackTree(marketplace, this.fixtureDir);
+      console.warn(`Using ${tree.source} category tree for ${marketplace}:`, error.message);
+      return { tree, expiresAt: Date.now() + FALLBACK_TREE_TTL_MS };
+    }
+  }
+}
+
+export default TaxonomyService;
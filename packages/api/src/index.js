@@ -1,27 +1,91 @@
 #!/usr/bin/env node
 
+import { parseArgs } from "node:util";
 import inquirer from "inquirer";
 import chalk from "chalk";
 import EbayClient from "./api/ebayClient.js";
+import { TaxonomyService, ROOT_CATEGORY_ID } from "./api/taxonomy.js";
 import { TrendAnalyzer } from "./utils/trendAnalyzer.js";
+import { KeywordAnalyzer } from "./utils/keywordAnalyzer.js";
 import { ProductFormatter } from "./utils/formatter.js";
-import { CacheManager } from "./utils/cache.js";
+import {
+  CacheManager,
+  buildCategoryCacheKey,
+  buildSearchCacheKey,
+} from "./utils/cache.js";
+import { SnapshotStore } from "./utils/snapshotStore.js";
+import { migrateStores } from "./utils/migrations.js";
+import { createSoldDataService } from "./api/soldData.js";
+import {
+  BEST_MATCH,
+  BUYING_OPTIONS,
+  CONDITIONS,
+  DEFAULT_LISTING_FILTERS,
+  SORT_ORDERS,
+  getListingFiltersKey,
+  normalizeListingFilters,
+  normalizeSortOrder,
+} from "./api/listingFilters.js";
 import {
   getCategoryChoices,
   getCategoryById,
+  localizeCategory,
 } from "@ebay-analyzer/shared/categories";
+import {
+  DEFAULT_MARKETPLACE_ID,
+  MARKETPLACES,
+  getMarketplaceById,
+  getMarketplaceChoices,
+} from "@ebay-analyzer/shared/marketplaces";
 
 /**
  * TrendSpotter - eBay Category Analyzer
  * Main CLI application
  */
 
+const ITEM_LIMIT_CHOICES = [20, 100, 200, 500, 1000];
+
+// Category menu entry that switches to a search of the whole category tree
+const FIND_CATEGORY = "__find__";
+
 class TrendSpotter {
-  constructor() {
+  constructor(args = process.argv.slice(2)) {
     this.ebayClient = new EbayClient();
     this.analyzer = new TrendAnalyzer();
+    this.keywordAnalyzer = new KeywordAnalyzer();
     this.formatter = new ProductFormatter();
     this.cache = new CacheManager();
+    this.snapshots = new SnapshotStore();
+    this.taxonomy = new TaxonomyService({
+      client: this.ebayClient,
+      cache: this.cache,
+    });
+    this.soldData = createSoldDataService({
+      client: this.ebayClient,
+      cache: this.cache,
+      snapshots: this.snapshots,
+    });
+
+    // --marketplace EBAY_GB skips the marketplace prompt
+    // --landed computes price stats on price + shipping
+    // `cache <subcommand>` runs a cache command instead of the menus, with
+    // --limit for cache refresh and --json for cache inspect
+    const { values, positionals } = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        marketplace: { type: "string", short: "m" },
+        landed: { type: "boolean" },
+        limit: { type: "string" },
+        json: { type: "boolean" },
+      },
+    });
+    this.marketplaceFlag = values.marketplace?.toUpperCase();
+    this.priceBasis = values.landed ? "landed" : "price";
+    this.marketplace = this.ebayClient.marketplace;
+    this.command = positionals;
+    this.limitFlag = values.limit;
+    this.jsonOutput = values.json || false;
   }
 
   /**
@@ -31,47 +95,580 @@ class TrendSpotter {
     try {
       this.printHeader();
 
-      // Select category
-      const { categoryId } = await inquirer.prompt([
+      this.marketplace = await this.selectMarketplace();
+
+      // Choose between browsing a category and a keyword search
+      const { mode } = await inquirer.prompt([
         {
           type: "list",
-          name: "categoryId",
-          message: "Select an eBay category to analyze:",
-          choices: getCategoryChoices(),
-          pageSize: 12,
+          name: "mode",
+          message: "What would you like to analyze?",
+          choices: [
+            { name: "Browse a category", value: "category" },
+            { name: "Search by keyword", value: "search" },
+          ],
         },
       ]);
 
-      const category = getCategoryById(categoryId);
-      console.log(chalk.gray(`\nAnalyzing ${category.name}...\n`));
-
-      // Fetch data (with caching)
-      const data = await this.fetchCategoryData(categoryId);
+      const { title, data } =
+        mode === "search"
+          ? await this.runSearch()
+          : await this.runCategory();
 
       // Analyze trends
-      const results = this.analyzeProducts(data.items);
+      const results = await this.analyzeProducts(data);
+
+      // Sold listings for the market comparison (categories only)
+      const soldData = data.categoryId
+        ? await this.soldData.getSoldItems(data.categoryId, {
+            marketplace: this.marketplace,
+          })
+        : null;
 
       // Display results
-      this.displayResults(category, results, data);
+      await this.displayResults({ name: title }, results, data, soldData);
 
       // Ask to continue
       await this.askToContinue();
     } catch (error) {
-      console.error(this.formatter.formatError(error));
+      console.error(
+        this.formatter.formatError(error, { cacheBackend: this.cache.backend })
+      );
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Run a command given on the command line:
+   *   cache stats                  - backend, total size and every entry
+   *   cache clear [key]            - remove one entry, or all of them
+   *   cache refresh <categoryId>   - refetch a category now (--limit, --marketplace)
+   *   cache inspect <key>          - one entry's age, size and state (--json for all of it)
+   */
+  async runCommand() {
+    const [command, subcommand, target] = this.command;
+
+    try {
+      if (command !== "cache") {
+        throw new Error(`Unknown command: ${command} (available: cache)`);
+      }
+
+      switch (subcommand) {
+        case "stats":
+          await this.showCacheStats();
+          break;
+        case "clear":
+          await this.clearCache(target);
+          break;
+        case "refresh":
+          await this.refreshCategory(target);
+          break;
+        case "inspect":
+          await this.inspectCacheEntry(target);
+          break;
+        default:
+          throw new Error(
+            "Usage: cache stats | clear [key] | refresh <categoryId> | inspect <key>"
+          );
+      }
+    } catch (error) {
+      console.error(chalk.red(`\n${error.message}\n`));
       process.exit(1);
     }
+
+    process.exit(0);
+  }
+
+  /**
+   * cache stats
+   */
+  async showCacheStats() {
+    const stats = await this.cache.getStats();
+    if (!stats) {
+      throw new Error("Could not read the cache");
+    }
+
+    console.log(this.formatter.formatCacheStats(stats));
+  }
+
+  /**
+   * cache clear [key]
+   */
+  async clearCache(key) {
+    if (!key) {
+      const cleared = await this.cache.clearAll();
+      console.log(chalk.green(`\nCleared ${cleared} cache entries\n`));
+      return;
+    }
+
+    if (!(await this.cache.delete(key))) {
+      throw new Error(`No cache entry ${key}`);
+    }
+    console.log(chalk.green(`\nDeleted ${key}\n`));
+  }
+
+  /**
+   * cache refresh <categoryId>: refetch the entry the category menu would
+   * use for --limit items (default 20) and replace it, whatever its age
+   */
+  async refreshCategory(categoryId) {
+    if (!categoryId) {
+      throw new Error("Usage: cache refresh <categoryId> [--limit N] [--marketplace ID]");
+    }
+
+    const limit = parseInt(this.limitFlag ?? ITEM_LIMIT_CHOICES[0]);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error("--limit must be a positive integer");
+    }
+
+    if (this.marketplaceFlag) {
+      this.marketplace = await this.selectMarketplace();
+    }
+
+    const tree = await this.taxonomy.getTree(this.marketplace);
+    if (!tree.getCategoryById(categoryId)) {
+      throw new Error(`Category not found: ${categoryId}`);
+    }
+
+    console.log(
+      chalk.gray(
+        `\nRefreshing ${this.getCategoryName(tree, categoryId)} (${limit} items, ${this.marketplace})...\n`
+      )
+    );
+    const data = await this.fetchCategoryData(categoryId, limit, {
+      refresh: true,
+    });
+    console.log(chalk.green(`Cached ${data.items.length} items\n`));
+  }
+
+  /**
+   * cache inspect <key>
+   */
+  async inspectCacheEntry(key) {
+    if (!key) {
+      throw new Error("Usage: cache inspect <key> [--json]");
+    }
+
+    const entry = await this.cache.inspect(key);
+    if (!entry) {
+      throw new Error(`No cache entry ${key}`);
+    }
+
+    console.log(
+      this.jsonOutput
+        ? JSON.stringify(entry, null, 2)
+        : this.formatter.formatCacheEntry(entry)
+    );
+  }
+
+  /**
+   * Use the --marketplace flag if given, otherwise ask
+   */
+  async selectMarketplace() {
+    if (this.marketplaceFlag) {
+      if (!getMarketplaceById(this.marketplaceFlag)) {
+        throw new Error(
+          `Unsupported marketplace: ${this.marketplaceFlag} (supported: ${Object.keys(
+            MARKETPLACES
+          ).join(", ")})`
+        );
+      }
+      return this.marketplaceFlag;
+    }
+
+    const { marketplace } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "marketplace",
+        message: "Select an eBay marketplace:",
+        choices: getMarketplaceChoices(),
+        default: this.marketplace,
+      },
+    ]);
+
+    return marketplace;
+  }
+
+  /**
+   * Cache key part for the current marketplace (omitted for the default site)
+   */
+  getMarketplaceKey() {
+    return this.marketplace === DEFAULT_MARKETPLACE_ID ? null : this.marketplace;
+  }
+
+  /**
+   * Category flow: pick a category and item budget, then fetch
+   */
+  async runCategory() {
+    const category = await this.selectCategory();
+
+    const limit = await this.promptItemLimit();
+    const sort = await this.promptSortOrder();
+    const filters = await this.promptListingFilters();
+
+    console.log(chalk.gray(`\nAnalyzing ${category.name}...\n`));
+
+    // Fetch data (with caching)
+    const data = await this.fetchCategoryData(category.id, limit, {
+      filters,
+      sort,
+    });
+
+    return { title: category.name, data };
+  }
+
+  /**
+   * Pick a top-level category (or find one by name), then drill down the
+   * category tree level by level until a leaf or "Analyze" is chosen
+   * @returns {Promise<{id: string, name: string}>}
+   */
+  async selectCategory() {
+    const tree = await this.taxonomy.getTree(this.marketplace);
+
+    const { categoryId } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "categoryId",
+        message: "Select an eBay category to analyze:",
+        choices: [
+          ...getCategoryChoices(this.marketplace),
+          new inquirer.Separator(),
+          { name: "Find a category by name...", value: FIND_CATEGORY },
+        ],
+        pageSize: 12,
+      },
+    ]);
+
+    let currentId =
+      categoryId === FIND_CATEGORY ? await this.findCategory(tree) : categoryId;
+
+    while (tree.getChildren(currentId).length > 0) {
+      const { parentId } = tree.getCategoryById(currentId);
+      const { nextId } = await inquirer.prompt([
+        {
+          type: "list",
+          name: "nextId",
+          message: `${tree.describe(currentId)}:`,
+          choices: [
+            {
+              name: `Analyze all of ${this.getCategoryName(tree, currentId)}`,
+              value: currentId,
+            },
+            ...(parentId !== ROOT_CATEGORY_ID
+              ? [{ name: "Back up one level", value: parentId }]
+              : []),
+            new inquirer.Separator(),
+            ...tree.getChildren(currentId).map((child) => ({
+              name: child.leaf ? child.name : `${child.name} ›`,
+              value: child.id,
+              short: child.name,
+            })),
+          ],
+          pageSize: 15,
+        },
+      ]);
+
+      if (nextId === currentId) break;
+      currentId = nextId;
+    }
+
+    return { id: currentId, name: this.getCategoryName(tree, currentId) };
   }
 
   /**
-   * Fetch category data from eBay API (with caching)
+   * Search the category tree by name until the user picks a match
    */
-  async fetchCategoryData(categoryId) {
-    const cacheKey = `category_${categoryId}`;
+  async findCategory(tree) {
+    while (true) {
+      const { query } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "query",
+          message: "Category name (e.g. vr headsets):",
+          validate: (value) =>
+            value.trim().length > 0 || "Please enter part of a category name",
+        },
+      ]);
 
+      const matches = tree.findByName(query);
+      if (matches.length === 0) {
+        console.log(chalk.yellow(`No categories match "${query.trim()}"`));
+        continue;
+      }
+
+      const { categoryId } = await inquirer.prompt([
+        {
+          type: "list",
+          name: "categoryId",
+          message: "Select a category:",
+          choices: matches.map((node) => ({
+            name: tree.describe(node.id),
+            value: node.id,
+            short: node.name,
+          })),
+          pageSize: 12,
+        },
+      ]);
+
+      return categoryId;
+    }
+  }
+
+  /**
+   * Display name for a category: localized curated name, else the tree's name
+   */
+  getCategoryName(tree, categoryId) {
+    const curated = getCategoryById(categoryId);
+    if (curated) {
+      return localizeCategory(curated, this.marketplace).name;
+    }
+
+    return tree.getCategoryById(categoryId)?.name || categoryId;
+  }
+
+  /**
+   * Search flow: enter keywords, optionally narrow to a category, then fetch
+   */
+  async runSearch() {
+    const { q, categoryId } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "q",
+        message: "Search keywords (e.g. airpods pro):",
+        validate: (value) =>
+          value.trim().length > 0 || "Please enter at least one keyword",
+        filter: (value) => value.trim(),
+      },
+      {
+        type: "list",
+        name: "categoryId",
+        message: "Limit the search to a category?",
+        choices: [
+          { name: "All categories", value: null, short: "All categories" },
+          ...getCategoryChoices(this.marketplace),
+        ],
+        pageSize: 12,
+      },
+    ]);
+
+    const limit = await this.promptItemLimit();
+    const sort = await this.promptSortOrder();
+    const filters = await this.promptListingFilters();
+
+    const category = categoryId
+      ? localizeCategory(getCategoryById(categoryId), this.marketplace)
+      : null;
+    const title = category ? `"${q}" in ${category.name}` : `"${q}"`;
+    console.log(chalk.gray(`\nSearching ${title}...\n`));
+
+    // Fetch data (with caching)
+    const data = await this.fetchSearchData(q, categoryId, limit, {
+      filters,
+      sort,
+    });
+
+    return { title, data };
+  }
+
+  /**
+   * Ask how many items to analyze (paginated past 200)
+   */
+  async promptItemLimit() {
+    const { limit } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "limit",
+        message: "How many items should be analyzed?",
+        choices: ITEM_LIMIT_CHOICES.map((value) => ({
+          name: `${value} items`,
+          value,
+        })),
+        default: 0,
+      },
+    ]);
+
+    return limit;
+  }
+
+  /**
+   * Ask which order eBay should return results in
+   * Returns null for Best Match
+   */
+  async promptSortOrder() {
+    const { sort } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "sort",
+        message: "Sort results by:",
+        choices: Object.entries(SORT_ORDERS).map(([value, name]) => ({
+          name,
+          value,
+        })),
+        default: BEST_MATCH,
+      },
+    ]);
+
+    return normalizeSortOrder(sort);
+  }
+
+  /**
+   * Ask for optional listing filters (condition, price band, format, location...)
+   * Returns normalized filters; the defaults when the user skips
+   */
+  async promptListingFilters() {
+    const { applyFilters } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "applyFilters",
+        message: "Apply listing filters (condition, price, format, location)?",
+        default: false,
+      },
+    ]);
+
+    if (!applyFilters) return normalizeListingFilters();
+
+    const validatePrice = (value) =>
+      value === "" ||
+      (Number.isFinite(Number(value)) && Number(value) >= 0) ||
+      "Enter a non-negative number, or leave blank";
+
+    const answers = await inquirer.prompt([
+      {
+        type: "checkbox",
+        name: "conditions",
+        message: "Conditions (none selected = any):",
+        choices: Object.keys(CONDITIONS),
+        pageSize: 13,
+      },
+      {
+        type: "checkbox",
+        name: "buyingOptions",
+        message: "Buying formats:",
+        choices: BUYING_OPTIONS.map((option) => ({
+          name: option,
+          checked: DEFAULT_LISTING_FILTERS.buyingOptions.includes(option),
+        })),
+      },
+      {
+        type: "input",
+        name: "minPrice",
+        message: "Minimum price (blank = none):",
+        default: String(DEFAULT_LISTING_FILTERS.minPrice),
+        validate: validatePrice,
+      },
+      {
+        type: "input",
+        name: "maxPrice",
+        message: "Maximum price (blank = none):",
+        validate: validatePrice,
+      },
+      {
+        type: "input",
+        name: "itemLocationCountry",
+        message: "Item location country code, e.g. US (blank = any):",
+        validate: (value) =>
+          value === "" ||
+          /^[a-z]{2}$/i.test(value) ||
+          "Enter a 2-letter country code",
+      },
+      {
+        type: "confirm",
+        name: "returnsAccepted",
+        message: "Only listings that accept returns?",
+        default: false,
+      },
+      {
+        type: "confirm",
+        name: "freeShipping",
+        message: "Only listings with free shipping?",
+        default: false,
+      },
+      {
+        type: "list",
+        name: "sellerAccountTypes",
+        message: "Seller account type:",
+        choices: [
+          { name: "Any", value: [] },
+          { name: "Business sellers", value: ["BUSINESS"] },
+          { name: "Individual sellers", value: ["INDIVIDUAL"] },
+        ],
+      },
+    ]);
+
+    return normalizeListingFilters({
+      ...answers,
+      // Blank answers mean "any"; null clears the default minimum price
+      minPrice: answers.minPrice === "" ? null : answers.minPrice,
+      maxPrice: answers.maxPrice || undefined,
+      itemLocationCountry: answers.itemLocationCountry || undefined,
+      returnsAccepted: answers.returnsAccepted || undefined,
+      freeShipping: answers.freeShipping || undefined,
+    });
+  }
+
+  /**
+   * Fetch category data from eBay API (with caching, skipped with refresh)
+   */
+  async fetchCategoryData(
+    categoryId,
+    limit = 20,
+    { filters = {}, sort, refresh = false } = {}
+  ) {
+    return this.fetchEnrichedData(
+      buildCategoryCacheKey(categoryId, {
+        limit,
+        filters: getListingFiltersKey(normalizeListingFilters(filters)),
+        sort,
+        marketplace: this.getMarketplaceKey(),
+      }),
+      () =>
+        this.ebayClient.findItemsByCategory(categoryId, limit, {
+          filters,
+          sort,
+          marketplace: this.marketplace,
+        }),
+      { refresh }
+    );
+  }
+
+  /**
+   * Fetch keyword search results from eBay API (with caching)
+   */
+  async fetchSearchData(
+    q,
+    categoryId = null,
+    limit = 20,
+    { filters = {}, sort } = {}
+  ) {
+    return this.fetchEnrichedData(
+      buildSearchCacheKey(q, {
+        category: categoryId,
+        limit,
+        filters: getListingFiltersKey(normalizeListingFilters(filters)),
+        sort,
+        marketplace: this.getMarketplaceKey(),
+      }),
+      () =>
+        this.ebayClient.searchItems({
+          q,
+          categoryIds: categoryId ? [categoryId] : [],
+          filters,
+          sort,
+          marketplace: this.marketplace,
+          limit,
+        })
+    );
+  }
+
+  /**
+   * Serve cached data, or fetch and enrich it and cache the result
+   * With refresh, always fetch and replace the cached copy
+   */
+  async fetchEnrichedData(cacheKey, fetchActive, { refresh = false } = {}) {
     // Check cache first
-    const cached = this.cache.get(cacheKey);
+    const cached = refresh ? null : await this.cache.get(cacheKey);
     if (cached) {
-      const age = this.cache.getCacheAge(cacheKey);
+      const age = await this.cache.getCacheAge(cacheKey);
       console.log(
         chalk.yellow(`Using cached data (${age.toFixed(1)} hours old)\n`)
       );
@@ -81,43 +678,80 @@ class TrendSpotter {
     // Fetch fresh data
     console.log(chalk.gray("Fetching live data from eBay API...\n"));
 
-    const activeData = await this.ebayClient.findItemsByCategory(
-      categoryId,
-      20
-    );
+    const activeData = await fetchActive();
 
     if (!activeData.success) {
-      throw new Error("Failed to fetch category data from eBay");
+      throw new Error("Failed to fetch data from eBay");
     }
 
     // Enrich with detailed data (watchCount, quantitySold)
-    const enrichedItems = await this.ebayClient.enrichItemsWithDetails(
-      activeData.items
-    );
+    const { items: enrichedItems, summary: enrichment } =
+      await this.ebayClient.enrichItemsWithDetails(activeData.items, {
+        marketplace: this.marketplace,
+        onProgress: ({ completed, total, failed }) => {
+          process.stdout.write(
+            chalk.gray(
+              `\rEnriching items: ${completed}/${total}` +
+                (failed > 0 ? chalk.yellow(` (${failed} failed)`) : "")
+            )
+          );
+        },
+      });
+    process.stdout.write("\n\n");
+
+    if (enrichment.failed.length > 0) {
+      console.log(
+        chalk.yellow(
+          `${enrichment.failed.length} enrichment request(s) failed, showing search data where details are missing:\n`
+        )
+      );
+      enrichment.failed.forEach(({ itemId, stage, error }) => {
+        console.log(chalk.gray(`  • ${itemId} (${stage}): ${error}`));
+      });
+      console.log();
+    }
 
     const result = {
       ...activeData,
       items: enrichedItems,
-      soldItems: [],
+      metadata: {
+        ...activeData.metadata,
+        enrichment,
+      },
     };
 
-    // Cache the result
-    this.cache.set(cacheKey, result);
+    // Cache the result, and keep category fetches in the snapshot history
+    await this.cache.set(cacheKey, result);
+    if (result.categoryId) {
+      await this.snapshots.record(result);
+    }
 
     return result;
   }
 
   /**
-   * Extract metrics from products (no sorting, API already sorted by price)
+   * Extract metrics and trends from products (no sorting, keep API order)
+   * Category results are scored against the previous snapshot of each item
    */
-  analyzeProducts(items) {
+  async analyzeProducts(data) {
+    const { items } = data;
+    const history = data.categoryId
+      ? await this.snapshots.getPreviousObservations(data)
+      : null;
+    const stats = this.analyzer.calculateCategoryStats(items, {
+      priceBasis: this.priceBasis,
+    });
     const products = [];
 
     for (let i = 0; i < items.length; i++) {
       const item = items[i];
       try {
-        const metrics = this.analyzer.extractMetrics(item);
-        const trend = { symbol: "", label: "" }; // No trend analysis
+        const metrics = {
+          ...this.analyzer.extractMetrics(item),
+          velocity: this.analyzer.calculateVelocity(item, history),
+          priceOutlier: this.analyzer.getPriceOutlier(item, stats),
+        };
+        const trend = this.analyzer.analyzeTrend(item, items, history);
 
         products.push({
           item,
@@ -138,24 +772,47 @@ class TrendSpotter {
   /**
    * Display formatted results
    */
-  displayResults(category, products, data) {
+  async displayResults(category, products, data, soldData = null) {
     // Category summary
-    const stats = this.analyzer.calculateCategoryStats(data.items);
+    const stats = this.analyzer.calculateCategoryStats(data.items, {
+      priceBasis: this.priceBasis,
+    });
     console.log(
       this.formatter.formatCategorySummary(category.name, stats, data.metadata)
     );
 
+    // Seller landscape
+    console.log(
+      this.formatter.formatSellerSummary(
+        this.analyzer.analyzeSellers(data.items)
+      )
+    );
+
+    // Title keywords, compared with the previous snapshot of a category
+    const previous = data.categoryId
+      ? await this.snapshots.getPreviousSnapshot(data)
+      : null;
+    console.log(
+      this.formatter.formatKeywordSummary(
+        this.keywordAnalyzer.analyze(data.items, {
+          previousItems: previous?.items,
+        })
+      )
+    );
+
     // Market comparison
-    if (data.soldItems && data.soldItems.length > 0) {
+    if (soldData) {
       const comparison = this.analyzer.compareWithSoldItems(
         data.items,
-        data.soldItems
+        soldData,
+        { activeTotal: data.total }
       );
       console.log(this.formatter.formatMarketComparison(comparison));
     }
 
-    // Top 100 trending products (eBay's Best Match algorithm)
-    console.log(chalk.bold("Top 100 TRENDING PRODUCTS (eBay Best Match):\n"));
+    // Top products in the order eBay returned them
+    const sortLabel = SORT_ORDERS[data.metadata?.sort || BEST_MATCH];
+    console.log(chalk.bold(`Top 20 TRENDING PRODUCTS (${sortLabel}):\n`));
 
     products.slice(0, 20).forEach((product, index) => {
       console.log(
@@ -187,14 +844,14 @@ Sorted by eBay's "Best Match" algorithm - shows popular & relevant items
   }
 
   /**
-   * Ask user if they want to analyze another category
+   * Ask user if they want to run another analysis
    */
   async askToContinue() {
     const { continueAnalysis } = await inquirer.prompt([
       {
         type: "confirm",
         name: "continueAnalysis",
-        message: "Analyze another category?",
+        message: "Run another analysis?",
         default: true,
       },
     ]);
@@ -208,9 +865,11 @@ Sorted by eBay's "Best Match" algorithm - shows popular & relevant items
   }
 }
 
-// Run the application
+// Run the application (or a command), once data from older versions is upgraded
 const app = new TrendSpotter();
-app.run().catch((error) => {
-  console.error(chalk.red("Fatal error:"), error.message);
-  process.exit(1);
-});
+migrateStores({ cache: app.cache, snapshots: app.snapshots })
+  .then(() => (app.command.length > 0 ? app.runCommand() : app.run()))
+  .catch((error) => {
+    console.error(chalk.red("Fatal error:"), error.message);
+    process.exit(1);
+  });
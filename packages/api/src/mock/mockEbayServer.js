@@ -0,0 +1,668 @@
+import crypto from "crypto";
+import express from "express";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Local stand-in for the eBay APIs used by EbayClient
+ * Serves OAuth tokens, item summary search, item details and item groups
+ * from the cached category JSON in data/, category trees from the
+ * Taxonomy API fixtures in fixtures/, and synthetic Marketplace Insights
+ * sales derived from the cached items, so the API, CLI and web app can be
+ * developed without live credentials or network access
+ */
+
+const DEFAULT_DATA_DIR = path.join(__dirname, "../../data");
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, "../../fixtures");
+const PRODUCTION_HOST = "https://api.ebay.com";
+
+// Fields added by EbayClient.enrichItemsWithDetails, not part of a search summary
+const ENRICHED_FIELDS = [
+  "watchCount",
+  "quantitySold",
+  "imageUrl",
+  "shortDescription",
+  "categoryPath",
+  "shippingCost",
+  "shippingType",
+  "shipToLocations",
+  "returnsAccepted",
+  "returnPeriod",
+  "returnShippingPayer",
+  "availabilityThreshold",
+  "availabilityThresholdType",
+  "estimatedAvailableQuantity",
+  "estimatedRemainingQuantity",
+  "deliveryOptions",
+  "itemLocationCity",
+  "itemLocationState",
+  "itemLocationCountry",
+  "gtin",
+];
+
+/**
+ * Load every cached item from category_*.json files, de-duplicated by itemId
+ */
+export function loadFixtureItems(dataDir = DEFAULT_DATA_DIR) {
+  const itemsById = new Map();
+
+  const files = fs
+    .readdirSync(dataDir)
+    .filter((file) => /^category_.*\.json$/.test(file));
+
+  for (const file of files) {
+    try {
+      const cached = JSON.parse(
+        fs.readFileSync(path.join(dataDir, file), "utf-8")
+      );
+      const categoryId = cached.data?.categoryId;
+
+      for (const item of cached.data?.items || []) {
+        if (!item.itemId || itemsById.has(item.itemId)) continue;
+        itemsById.set(item.itemId, { ...item, fixtureCategoryId: categoryId });
+      }
+    } catch (error) {
+      console.warn(`Skipping unreadable fixture ${file}:`, error.message);
+    }
+  }
+
+  return [...itemsById.values()];
+}
+
+/**
+ * Load Taxonomy API category trees from category_tree_*.json fixtures,
+ * keyed by every marketplace each tree applies to
+ */
+export function loadFixtureCategoryTrees(fixtureDir = DEFAULT_FIXTURE_DIR) {
+  const trees = new Map();
+
+  if (!fs.existsSync(fixtureDir)) {
+    return trees;
+  }
+
+  const files = fs
+    .readdirSync(fixtureDir)
+    .filter((file) => /^category_tree_.*\.json$/.test(file));
+
+  for (const file of files) {
+    try {
+      const tree = JSON.parse(
+        fs.readFileSync(path.join(fixtureDir, file), "utf-8")
+      );
+
+      for (const marketplaceId of tree.applicableMarketplaceIds || []) {
+        trees.set(marketplaceId, tree);
+      }
+    } catch (error) {
+      console.warn(`Skipping unreadable fixture ${file}:`, error.message);
+    }
+  }
+
+  return trees;
+}
+
+/**
+ * Strip enrichment-only fields to recreate an item_summary/search entry
+ */
+function toItemSummary(item) {
+  const summary = { ...item };
+  for (const field of [...ENRICHED_FIELDS, "fixtureCategoryId"]) {
+    delete summary[field];
+  }
+  return summary;
+}
+
+/**
+ * Rebuild an item/{id} response from an enriched cache entry
+ */
+function toItemDetails(item) {
+  const [, legacyId, variationId] = item.itemId.split("|");
+  const [periodValue, periodUnit] = (item.returnPeriod || "").split(" ");
+
+  const details = {
+    ...toItemSummary(item),
+    image: { imageUrl: item.imageUrl || item.image?.imageUrl },
+    additionalImages: item.additionalImages || [],
+    shortDescription: item.shortDescription,
+    categoryPath: item.categoryPath,
+    watchCount: item.watchCount,
+    shippingOptions: [
+      {
+        ...item.shippingOptions?.[0],
+        shippingCost: item.shippingCost || item.shippingOptions?.[0]?.shippingCost,
+        type: item.shippingType,
+      },
+    ],
+    shipToLocations: { regionIncluded: item.shipToLocations || [] },
+    returnTerms: {
+      returnsAccepted: item.returnsAccepted || false,
+      returnPeriod: periodValue
+        ? { value: Number(periodValue), unit: periodUnit }
+        : undefined,
+      returnShippingCostPayer: item.returnShippingPayer,
+    },
+    estimatedAvailabilities: [
+      {
+        estimatedSoldQuantity: item.quantitySold,
+        estimatedRemainingQuantity: item.estimatedRemainingQuantity,
+        estimatedAvailableQuantity: item.estimatedAvailableQuantity,
+        availabilityThreshold: item.availabilityThreshold,
+        availabilityThresholdType: item.availabilityThresholdType,
+        deliveryOptions: item.deliveryOptions,
+      },
+    ],
+    itemLocation: {
+      ...item.itemLocation,
+      city: item.itemLocationCity,
+      stateOrProvince: item.itemLocationState,
+      country: item.itemLocationCountry || item.itemLocation?.country,
+    },
+  };
+
+  // Variation listings belong to an item group keyed by the legacy item ID
+  if (variationId && variationId !== "0") {
+    details.primaryItemGroup = {
+      itemGroupId: legacyId,
+      itemGroupType: item.itemGroupType || "SELLER_DEFINED_VARIATIONS",
+    };
+  }
+
+  return details;
+}
+
+/**
+ * Check whether an item belongs to any of the requested categories
+ */
+function matchesCategory(item, categoryIds) {
+  if (categoryIds.length === 0) return true;
+
+  const itemCategoryIds = new Set([
+    item.fixtureCategoryId,
+    ...(item.leafCategoryIds || []),
+    ...(item.categories || []).map((c) => c.categoryId),
+  ]);
+
+  return categoryIds.some((id) => itemCategoryIds.has(id));
+}
+
+/**
+ * Stable pseudo-random number in [0, 1) for an item, so synthetic sales
+ * don't change between requests
+ */
+function seededRandom(itemId, salt) {
+  const hash = crypto.createHash("sha1").update(`${itemId}:${salt}`).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Synthesize a Marketplace Insights itemSales entry for a cached item
+ * A slice of its lifetime quantitySold is placed in the last 90 days, at a
+ * price a little below or above today's asking price
+ */
+function toItemSale(item, now) {
+  const price = parseFloat(item.price?.value || 0);
+  const soldDaysAgo = seededRandom(item.itemId, "date") * 90;
+  const priceFactor = 0.85 + seededRandom(item.itemId, "price") * 0.2;
+
+  return {
+    itemId: item.itemId,
+    title: item.title,
+    image: item.image,
+    itemWebUrl: item.itemWebUrl,
+    condition: item.condition,
+    conditionId: item.conditionId,
+    categories: item.categories,
+    lastSoldPrice: {
+      value: (price * priceFactor).toFixed(2),
+      currency: item.price?.currency || "USD",
+    },
+    lastSoldDate: new Date(now - soldDaysAgo * 24 * 60 * 60 * 1000).toISOString(),
+    totalSoldQuantity: Math.max(1, Math.round(item.quantitySold * 0.05)),
+  };
+}
+
+/**
+ * Split an eBay filter expression into { name: value } pairs
+ * Commas inside {..} and [..] belong to the value
+ */
+function parseFilter(filter = "") {
+  const parts = {};
+  let depth = 0;
+  let current = "";
+
+  for (const char of `${filter},`) {
+    if (char === "{" || char === "[") depth++;
+    if (char === "}" || char === "]") depth--;
+
+    if (char === "," && depth === 0) {
+      const [name, ...rest] = current.split(":");
+      if (name) parts[name.trim()] = rest.join(":").trim();
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+
+  return parts;
+}
+
+/**
+ * Apply the filters the mock understands (price, buyingOptions,
+ * conditionIds, itemLocationCountry, returnsAccepted, maxDeliveryCost)
+ */
+function matchesFilter(item, filters) {
+  const listValues = (value) => value.replace(/[{}]/g, "").split("|");
+
+  if (filters.price) {
+    const [min, max] = filters.price.replace(/[[\]]/g, "").split("..");
+    const price = parseFloat(item.price?.value || 0);
+    if (min && price < parseFloat(min)) return false;
+    if (max && price > parseFloat(max)) return false;
+  }
+  if (filters.buyingOptions) {
+    const wanted = listValues(filters.buyingOptions);
+    if (!(item.buyingOptions || []).some((o) => wanted.includes(o))) {
+      return false;
+    }
+  }
+  if (filters.conditionIds) {
+    if (!listValues(filters.conditionIds).includes(item.conditionId)) {
+      return false;
+    }
+  }
+  if (filters.itemLocationCountry) {
+    if (item.itemLocation?.country !== filters.itemLocationCountry) {
+      return false;
+    }
+  }
+  if (filters.returnsAccepted) {
+    if (String(Boolean(item.returnsAccepted)) !== filters.returnsAccepted) {
+      return false;
+    }
+  }
+  if (filters.maxDeliveryCost !== undefined) {
+    const cost = parseFloat(
+      item.shippingOptions?.[0]?.shippingCost?.value ?? Infinity
+    );
+    if (cost > parseFloat(filters.maxDeliveryCost)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Order matches like the Browse API sort parameter
+ * No sort keeps fixture order, standing in for Best Match
+ */
+function sortItems(items, sort) {
+  const landedCost = (item) =>
+    parseFloat(item.price?.value || 0) +
+    parseFloat(item.shippingOptions?.[0]?.shippingCost?.value || 0);
+  const time = (value) => (value ? Date.parse(value) : Infinity);
+
+  const comparators = {
+    price: (a, b) => landedCost(a) - landedCost(b),
+    "-price": (a, b) => landedCost(b) - landedCost(a),
+    newlyListed: (a, b) =>
+      time(b.itemCreationDate) - time(a.itemCreationDate) || 0,
+    endingSoonest: (a, b) => time(a.itemEndDate) - time(b.itemEndDate) || 0,
+  };
+
+  return comparators[sort] ? [...items].sort(comparators[sort]) : items;
+}
+
+/**
+ * Aspects the mock can derive from fixture items, which carry no item
+ * specifics - the first word of the title stands in for the brand
+ */
+function getItemAspects(item) {
+  return {
+    Brand: item.title?.split(/\s+/)[0] || "Unbranded",
+    Condition: item.condition || "Unknown",
+  };
+}
+
+/**
+ * Apply a parsed aspect_filter (categoryId:293,Brand:{Apple|Samsung})
+ */
+function matchesAspects(item, aspectFilter) {
+  const { categoryId, ...aspects } = aspectFilter;
+  const itemAspects = getItemAspects(item);
+
+  return Object.entries(aspects).every(([name, value]) =>
+    value.replace(/[{}]/g, "").split("|").includes(itemAspects[name])
+  );
+}
+
+/**
+ * Count items per key, most common first
+ */
+function countBy(items, getKey) {
+  const counts = new Map();
+  for (const item of items) {
+    const key = getKey(item);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+/**
+ * Build the search response's refinement block for the requested fieldgroups
+ */
+function buildRefinement(items, fieldgroups) {
+  const refinement = {};
+
+  if (fieldgroups.includes("CATEGORY_REFINEMENTS")) {
+    const leafCategories = countBy(
+      items.filter((item) => item.categories?.length),
+      (item) => JSON.stringify(item.categories[0])
+    );
+
+    refinement.dominantCategoryId = leafCategories[0]
+      ? JSON.parse(leafCategories[0][0]).categoryId
+      : undefined;
+    refinement.categoryDistributions = leafCategories.map(([key, matchCount]) => ({
+      ...JSON.parse(key),
+      matchCount,
+    }));
+  }
+
+  if (fieldgroups.includes("ASPECT_REFINEMENTS")) {
+    refinement.aspectDistributions = ["Brand", "Condition"].map((name) => ({
+      localizedAspectName: name,
+      aspectValueDistributions: countBy(
+        items,
+        (item) => getItemAspects(item)[name]
+      )
+        .slice(0, 20)
+        .map(([localizedAspectValue, matchCount]) => ({
+          localizedAspectValue,
+          matchCount,
+        })),
+    }));
+  }
+
+  return refinement;
+}
+
+/**
+ * Build an eBay-style error response body
+ */
+function ebayError(errorId, message) {
+  return {
+    errors: [{ errorId, domain: "API_BROWSE", category: "REQUEST", message }],
+  };
+}
+
+/**
+ * Point api.ebay.com hrefs in fixture data at the mock host
+ */
+function rewriteHosts(body, req) {
+  const host = `${req.protocol}://${req.get("host")}`;
+  return JSON.parse(JSON.stringify(body).split(PRODUCTION_HOST).join(host));
+}
+
+/**
+ * Create the mock eBay Express app
+ * @param {Object} options
+ * @param {string} options.dataDir - Directory holding category_*.json fixtures
+ * @param {number} options.failureRate - Share of Browse calls answered with 503 (0-1), for exercising retries
+ */
+export function createMockEbayApp({
+  dataDir = DEFAULT_DATA_DIR,
+  fixtureDir = DEFAULT_FIXTURE_DIR,
+  failureRate = 0,
+} = {}) {
+  const app = express();
+  const items = loadFixtureItems(dataDir);
+  const categoryTrees = loadFixtureCategoryTrees(fixtureDir);
+
+  app.use(express.urlencoded({ extended: false }));
+
+  /**
+   * POST /identity/v1/oauth2/token
+   * Client credentials grant - any Basic credentials are accepted
+   */
+  app.post("/identity/v1/oauth2/token", (req, res) => {
+    if (!req.get("authorization")?.startsWith("Basic ")) {
+      return res.status(401).json({
+        error: "invalid_client",
+        error_description: "client authentication failed",
+      });
+    }
+
+    res.json({
+      access_token: `mock-token-${Date.now()}`,
+      expires_in: 7200,
+      token_type: "Application Access Token",
+    });
+  });
+
+  // Browse, Taxonomy and Insights endpoints require a bearer token, and can be made flaky on purpose
+  app.use(
+    ["/buy/browse/v1", "/commerce/taxonomy/v1", "/buy/marketplace_insights/v1_beta"],
+    (req, res, next) => {
+      if (!req.get("authorization")?.startsWith("Bearer ")) {
+        return res
+          .status(401)
+          .json(ebayError(1001, "Invalid access token"));
+      }
+
+      if (failureRate > 0 && Math.random() < failureRate) {
+        return res
+          .status(503)
+          .json(ebayError(2001, "Service unavailable (simulated)"));
+      }
+
+      next();
+    }
+  );
+
+  /**
+   * GET /buy/browse/v1/item_summary/search
+   * Supports category_ids, q, filter, aspect_filter, sort, fieldgroups, limit and offset
+   */
+  app.get("/buy/browse/v1/item_summary/search", (req, res) => {
+    const categoryIds = (req.query.category_ids || "")
+      .split(",")
+      .filter(Boolean);
+    const keywords = (req.query.q || "").toLowerCase().split(/\s+/).filter(Boolean);
+    const filters = parseFilter(req.query.filter);
+    const aspectFilter = parseFilter(req.query.aspect_filter);
+    const fieldgroups = (req.query.fieldgroups || "MATCHING_ITEMS").split(",");
+    const limit = Math.min(parseInt(req.query.limit || 50), 200);
+    const offset = parseInt(req.query.offset || 0);
+
+    if (offset % limit !== 0) {
+      return res
+        .status(400)
+        .json(ebayError(12023, "The offset must be a multiple of the limit."));
+    }
+
+    const matches = sortItems(
+      items.filter(
+        (item) =>
+          matchesCategory(item, categoryIds) &&
+          matchesFilter(item, filters) &&
+          matchesAspects(item, aspectFilter) &&
+          keywords.every((word) => item.title?.toLowerCase().includes(word))
+      ),
+      req.query.sort
+    );
+
+    const page = matches.slice(offset, offset + limit).map(toItemSummary);
+    const baseHref = `${req.protocol}://${req.get("host")}${req.path}`;
+    const pageHref = (pageOffset) => {
+      const params = new URLSearchParams({
+        ...req.query,
+        limit,
+        offset: pageOffset,
+      });
+      return `${baseHref}?${params}`;
+    };
+
+    res.json(
+      rewriteHosts(
+        {
+          href: pageHref(offset),
+          total: matches.length,
+          limit,
+          offset,
+          ...(offset + limit < matches.length && {
+            next: pageHref(offset + limit),
+          }),
+          ...(offset > 0 && { prev: pageHref(Math.max(0, offset - limit)) }),
+          ...(fieldgroups.includes("MATCHING_ITEMS") && { itemSummaries: page }),
+          ...((fieldgroups.includes("ASPECT_REFINEMENTS") ||
+            fieldgroups.includes("CATEGORY_REFINEMENTS")) && {
+            refinement: buildRefinement(matches, fieldgroups),
+          }),
+        },
+        req
+      )
+    );
+  });
+
+  /**
+   * GET /buy/browse/v1/item/get_items_by_item_group
+   * Returns every variation sharing the group's legacy item ID
+   */
+  app.get("/buy/browse/v1/item/get_items_by_item_group", (req, res) => {
+    const groupId = req.query.item_group_id;
+    const variations = items.filter(
+      (item) =>
+        item.itemId.split("|")[1] === groupId &&
+        item.itemId.split("|")[2] !== "0"
+    );
+
+    if (variations.length === 0) {
+      return res
+        .status(404)
+        .json(ebayError(11006, "The specified item group was not found."));
+    }
+
+    res.json(rewriteHosts({ items: variations.map(toItemDetails) }, req));
+  });
+
+  /**
+   * GET /buy/browse/v1/item/:itemId
+   */
+  app.get("/buy/browse/v1/item/:itemId", (req, res) => {
+    const item = items.find((i) => i.itemId === req.params.itemId);
+
+    if (!item) {
+      return res
+        .status(404)
+        .json(ebayError(11001, "The specified item Id was not found."));
+    }
+
+    res.json(rewriteHosts(toItemDetails(item), req));
+  });
+
+  /**
+   * GET /buy/marketplace_insights/v1_beta/item_sales/search
+   * Synthetic sales for cached items that have sold, see toItemSale
+   * Supports category_ids, q, filter=lastSoldDate:[from..to], limit and offset
+   */
+  app.get("/buy/marketplace_insights/v1_beta/item_sales/search", (req, res) => {
+    const categoryIds = (req.query.category_ids || "")
+      .split(",")
+      .filter(Boolean);
+    const keywords = (req.query.q || "").toLowerCase().split(/\s+/).filter(Boolean);
+    const [from, to] = (parseFilter(req.query.filter).lastSoldDate || "")
+      .replace(/[[\]]/g, "")
+      .split("..");
+    const limit = Math.min(parseInt(req.query.limit || 50), 200);
+    const offset = parseInt(req.query.offset || 0);
+
+    if (categoryIds.length === 0 && keywords.length === 0) {
+      return res
+        .status(400)
+        .json(ebayError(145001, "A category ID or keyword is required."));
+    }
+
+    const now = Date.now();
+    const sales = items
+      .filter(
+        (item) =>
+          item.quantitySold > 0 &&
+          matchesCategory(item, categoryIds) &&
+          keywords.every((word) => item.title?.toLowerCase().includes(word))
+      )
+      .map((item) => toItemSale(item, now))
+      .filter(
+        (sale) =>
+          (!from || sale.lastSoldDate >= from) &&
+          (!to || sale.lastSoldDate <= to)
+      )
+      .sort((a, b) => b.lastSoldDate.localeCompare(a.lastSoldDate));
+
+    res.json(
+      rewriteHosts(
+        {
+          href: `${req.protocol}://${req.get("host")}${req.originalUrl}`,
+          total: sales.length,
+          limit,
+          offset,
+          itemSales: sales.slice(offset, offset + limit),
+        },
+        req
+      )
+    );
+  });
+
+  /**
+   * GET /commerce/taxonomy/v1/get_default_category_tree_id
+   */
+  app.get("/commerce/taxonomy/v1/get_default_category_tree_id", (req, res) => {
+    const tree = categoryTrees.get(req.query.marketplace_id);
+
+    if (!tree) {
+      return res
+        .status(400)
+        .json(ebayError(62004, "The marketplace ID is not supported."));
+    }
+
+    res.json({
+      categoryTreeId: tree.categoryTreeId,
+      categoryTreeVersion: tree.categoryTreeVersion,
+    });
+  });
+
+  /**
+   * GET /commerce/taxonomy/v1/category_tree/:categoryTreeId
+   */
+  app.get("/commerce/taxonomy/v1/category_tree/:categoryTreeId", (req, res) => {
+    const tree = [...categoryTrees.values()].find(
+      (t) => t.categoryTreeId === req.params.categoryTreeId
+    );
+
+    if (!tree) {
+      return res
+        .status(404)
+        .json(ebayError(62005, "The category tree ID was not found."));
+    }
+
+    res.json(tree);
+  });
+
+  return app;
+}
+
+/**
+ * Start the mock eBay server
+ * @returns {Promise<import("http").Server>}
+ */
+export function startMockEbayServer({ port = 3002, ...options } = {}) {
+  const app = createMockEbayApp(options);
+
+  return new Promise((resolve) => {
+    const server = app.listen(port, () => resolve(server));
+  });
+}
+
+export default createMockEbayApp;
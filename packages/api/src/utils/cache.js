@@ -1,74 +1,200 @@
-import fs from 'fs';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createCacheBackend } from './cacheBackends.js';
+import { CACHE_SCHEMA_VERSION, SchemaError, migrateCacheEntry } from './migrations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
- * Simple file-based cache for eBay API responses
+ * Whether loading an entry failed because of the entry itself (bad JSON or
+ * a shape no migration handles), rather than a transient backend error
+ */
+function isUnusableEntry(error) {
+  return error instanceof SchemaError || error instanceof SyntaxError;
+}
+
+/**
+ * Cache for eBay API responses
  * Reduces API calls and improves performance
  * Automatically refreshes based on CACHE_DURATION setting
+ * Entries live in a pluggable backend (see cacheBackends.js), picked with
+ * CACHE_BACKEND: file (default), memory or sqlite
+ * Expired entries are kept for another CACHE_STALE_DURATION hours so callers
+ * can serve them while they refresh (stale-while-revalidate)
+ * Entries carry a schemaVersion; older ones are migrated on read and
+ * unusable ones quarantined (see migrations.js)
  */
 
 export class CacheManager {
-  constructor(cacheDir = null) {
-    this.cacheDir = cacheDir || path.join(__dirname, '../../data');
+  /**
+   * @param {Object} options
+   * @param {string} options.dataDir - Directory for the file backend and SQLite database
+   * @param {Object} options.backend - Backend instance, overrides CACHE_BACKEND
+   */
+  constructor({ dataDir = path.join(__dirname, '../../data'), backend = null } = {}) {
+    this.dataDir = dataDir;
     this.cacheDuration = parseInt(process.env.CACHE_DURATION || 8) * 60 * 60 * 1000; // hours to ms
+    this.staleDuration = parseFloat(process.env.CACHE_STALE_DURATION || 24) * 60 * 60 * 1000;
+    this.backend = backend || createCacheBackend({ dataDir });
+  }
 
-    // Ensure cache directory exists
-    if (!fs.existsSync(this.cacheDir)) {
-      fs.mkdirSync(this.cacheDir, { recursive: true });
+  /**
+   * Get cached data if valid, otherwise return null
+   */
+  async get(key) {
+    const cached = await this.read(key);
+    return cached ? cached.data : null;
+  }
+
+  /**
+   * Get cached data with its age, including expired data still within the
+   * stale window when allowStale is set
+   * @returns {Promise<Object|null>} { data, age (hours), stale }
+   */
+  async getEntry(key, { allowStale = false } = {}) {
+    const cached = await this.read(key, { allowStale });
+    if (!cached) {
+      return null;
     }
+
+    return {
+      data: cached.data,
+      age: (Date.now() - cached.timestamp) / (1000 * 60 * 60),
+      stale: cached.stale,
+    };
   }
 
   /**
-   * Get cached data if valid, otherwise return null
+   * Read a valid entry, quarantining unusable ones and dropping expired
+   * ones past the stale window (or any expired one unless allowStale is set)
+   * Backend errors (I/O, locks) read as a miss and leave the entry in place
    */
-  get(key) {
-    const filePath = this.getCacheFilePath(key);
+  async read(key, { allowStale = false } = {}) {
+    let cached;
+    try {
+      cached = await this.loadEntry(key);
+    } catch (error) {
+      console.error(`Error reading cache entry ${key}:`, error.message);
+      if (isUnusableEntry(error)) {
+        await this.quarantine(key);
+      }
+      return null;
+    }
+
+    if (!cached) {
+      return null;
+    }
+
+    // Check if cache is still valid
+    const age = Date.now() - cached.timestamp;
+    if (age > this.cacheDuration + this.staleDuration) {
+      // Cache expired
+      await this.delete(key);
+      return null;
+    }
+
+    // Expired, or migrated from a shape missing data, but kept for
+    // stale-while-revalidate
+    if (age > this.cacheDuration || cached.needsRefresh) {
+      return allowStale ? { ...cached, stale: true } : null;
+    }
 
-    if (!fs.existsSync(filePath)) {
+    return { ...cached, stale: false };
+  }
+
+  /**
+   * Read an entry and bring it to the current schema, saving the upgrade
+   * @throws {Error} when the entry can't be parsed or upgraded
+   */
+  async loadEntry(key) {
+    const stored = await this.backend.read(key);
+    if (!stored) {
       return null;
     }
 
+    const { record, migrated } = migrateCacheEntry(stored);
+    if (migrated) {
+      await this.backend.write(record);
+    }
+
+    return record;
+  }
+
+  /**
+   * Migrate every entry to the current schema, quarantining what can't be
+   * @returns {Promise<Object>} { scanned, migrated, quarantined }
+   */
+  async migrateAll() {
+    const report = { scanned: 0, migrated: 0, quarantined: 0 };
+
+    let entries;
     try {
-      const fileContent = fs.readFileSync(filePath, 'utf-8');
-      const cached = JSON.parse(fileContent);
-
-      // Check if cache is still valid
-      const age = Date.now() - cached.timestamp;
-      if (age > this.cacheDuration) {
-        // Cache expired
-        this.delete(key);
-        return null;
+      entries = await this.backend.list();
+    } catch (error) {
+      console.error('Error scanning cache:', error.message);
+      return report;
+    }
+
+    for (const entry of entries) {
+      report.scanned++;
+
+      try {
+        if (entry.corrupt) {
+          throw new SchemaError('Unreadable entry');
+        }
+
+        const stored = await this.backend.read(entry.key);
+        if (!stored) continue;
+
+        const { record, migrated } = migrateCacheEntry(stored);
+        if (migrated) {
+          await this.backend.write(record);
+          report.migrated++;
+        }
+      } catch (error) {
+        if (!isUnusableEntry(error)) {
+          console.error(`Error migrating cache entry ${entry.key}:`, error.message);
+          continue;
+        }
+
+        console.error(`Quarantining cache entry ${entry.key}:`, error.message);
+        if (await this.quarantine(entry.key)) {
+          report.quarantined++;
+        }
       }
+    }
 
-      return cached.data;
+    return report;
+  }
 
+  /**
+   * Set an unusable entry aside so it is never read again
+   */
+  async quarantine(key) {
+    try {
+      return await this.backend.quarantine(key);
     } catch (error) {
-      console.error('Error reading cache:', error.message);
-      this.delete(key); // Delete corrupted cache
-      return null;
+      console.error('Error quarantining cache:', error.message);
+      return false;
     }
   }
 
   /**
    * Store data in cache with timestamp
    */
-  set(key, data) {
-    const filePath = this.getCacheFilePath(key);
-
+  async set(key, data) {
     const cached = {
       key,
       timestamp: Date.now(),
       data,
       expiresAt: new Date(Date.now() + this.cacheDuration).toISOString(),
+      schemaVersion: CACHE_SCHEMA_VERSION,
     };
 
     try {
-      fs.writeFileSync(filePath, JSON.stringify(cached, null, 2), 'utf-8');
-      return true;
+      return await this.backend.write(cached);
     } catch (error) {
       console.error('Error writing cache:', error.message);
       return false;
@@ -78,38 +204,21 @@ export class CacheManager {
   /**
    * Delete cached data
    */
-  delete(key) {
-    const filePath = this.getCacheFilePath(key);
-
-    if (fs.existsSync(filePath)) {
-      try {
-        fs.unlinkSync(filePath);
-        return true;
-      } catch (error) {
-        console.error('Error deleting cache:', error.message);
-        return false;
-      }
+  async delete(key) {
+    try {
+      return await this.backend.remove(key);
+    } catch (error) {
+      console.error('Error deleting cache:', error.message);
+      return false;
     }
-
-    return false;
   }
 
   /**
-   * Clear all cache files
+   * Clear every cache entry
    */
-  clearAll() {
+  async clearAll() {
     try {
-      const files = fs.readdirSync(this.cacheDir);
-      let cleared = 0;
-
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          fs.unlinkSync(path.join(this.cacheDir, file));
-          cleared++;
-        }
-      }
-
-      return cleared;
+      return await this.backend.clear();
     } catch (error) {
       console.error('Error clearing cache:', error.message);
       return 0;
@@ -117,71 +226,87 @@ export class CacheManager {
   }
 
   /**
-   * Get cache age in hours
+   * Get cache age in hours, null when the entry is missing or expired
    */
-  getCacheAge(key) {
-    const filePath = this.getCacheFilePath(key);
-
-    if (!fs.existsSync(filePath)) {
+  async getCacheAge(key) {
+    const cached = await this.read(key);
+    if (!cached) {
       return null;
     }
 
-    try {
-      const fileContent = fs.readFileSync(filePath, 'utf-8');
-      const cached = JSON.parse(fileContent);
-      const ageMs = Date.now() - cached.timestamp;
-      return ageMs / (1000 * 60 * 60); // Convert to hours
-    } catch (error) {
+    const ageMs = Date.now() - cached.timestamp;
+    return ageMs / (1000 * 60 * 60); // Convert to hours
+  }
+
+  /**
+   * Read an entry whatever its age, for inspection
+   * @returns {Promise<Object|null>} the entry with age (ms), size (bytes) and
+   *   state: fresh, stale (served while refreshing) or expired
+   * @throws {Error} when the entry can't be parsed or upgraded
+   */
+  async inspect(key) {
+    const entry = await this.loadEntry(key);
+    if (!entry) {
       return null;
     }
+
+    const age = Date.now() - entry.timestamp;
+    const state = this.getState(age);
+    return {
+      ...entry,
+      age,
+      size: Buffer.byteLength(JSON.stringify(entry)),
+      // Migrated entries missing data are served as stale until refetched
+      state: state === 'fresh' && entry.needsRefresh ? 'stale' : state,
+    };
   }
 
   /**
-   * Check if cache exists and is valid
+   * Whether an entry of this age (ms) is fresh, stale or expired
    */
-  has(key) {
-    return this.get(key) !== null;
+  getState(age) {
+    if (age > this.cacheDuration + this.staleDuration) return 'expired';
+    if (age > this.cacheDuration) return 'stale';
+    return 'fresh';
   }
 
   /**
-   * Generate cache file path from key
+   * Check if cache exists and is valid
    */
-  getCacheFilePath(key) {
-    const sanitizedKey = key.replace(/[^a-z0-9_-]/gi, '_');
-    return path.join(this.cacheDir, `${sanitizedKey}.json`);
+  async has(key) {
+    return (await this.get(key)) !== null;
   }
 
   /**
    * Get cache statistics
+   * Ages are in ms; expired entries are listed until they are read past the stale window
    */
-  getStats() {
+  async getStats() {
     try {
-      const files = fs.readdirSync(this.cacheDir);
-      const cacheFiles = files.filter(f => f.endsWith('.json'));
+      const entries = (await this.backend.list()).filter(entry => !entry.corrupt);
 
       const stats = {
-        totalFiles: cacheFiles.length,
+        backend: this.backend.name,
+        totalEntries: entries.length,
         totalSize: 0,
         oldestCache: null,
         newestCache: null,
-        files: [],
+        entries: [],
       };
 
-      for (const file of cacheFiles) {
-        const filePath = path.join(this.cacheDir, file);
-        const stat = fs.statSync(filePath);
-        const content = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-
-        stats.totalSize += stat.size;
+      for (const entry of entries) {
+        stats.totalSize += entry.size;
 
+        const age = Date.now() - entry.timestamp;
         const cacheInfo = {
-          key: content.key,
-          age: Date.now() - content.timestamp,
-          expiresAt: content.expiresAt,
-          size: stat.size,
+          key: entry.key,
+          age,
+          expiresAt: entry.expiresAt,
+          size: entry.size,
+          state: this.getState(age),
         };
 
-        stats.files.push(cacheInfo);
+        stats.entries.push(cacheInfo);
 
         if (!stats.oldestCache || cacheInfo.age > stats.oldestCache.age) {
           stats.oldestCache = cacheInfo;
@@ -200,4 +325,53 @@ export class CacheManager {
   }
 }
 
+/**
+ * Build a cache key from a prefix and the options that shaped the result
+ * Every option that changes the fetched result set becomes part of the key
+ * so differently configured fetches never overwrite each other
+ */
+function buildCacheKey(prefix, options = {}) {
+  const parts = [prefix];
+
+  for (const [name, value] of Object.entries(options)) {
+    if (value !== undefined && value !== null && value !== '') {
+      parts.push(`${name}-${value}`);
+    }
+  }
+
+  return parts.join('_');
+}
+
+/**
+ * Build the cache key for a category fetch
+ */
+export function buildCategoryCacheKey(categoryId, options = {}) {
+  return buildCacheKey(`category_${categoryId}`, options);
+}
+
+/**
+ * Build the cache key for a keyword search
+ * The query is hashed so any text (slashes, quotes, very long queries) makes
+ * a safe, short key
+ */
+export function buildSearchCacheKey(query, options = {}) {
+  const normalized = query.trim().toLowerCase().replace(/\s+/g, ' ');
+  const hash = crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 10);
+  return buildCacheKey(`search_${hash}`, options);
+}
+
+/**
+ * Build the cache key for a category's sold listings
+ */
+export function buildSoldCacheKey(categoryId, options = {}) {
+  return buildCacheKey(`sold_${categoryId}`, options);
+}
+
+/**
+ * Build the cache key for a marketplace's category tree
+ */
+export function buildTaxonomyCacheKey(marketplaceId) {
+  return `taxonomy_${marketplaceId}`;
+}
+
 export default CacheManager;
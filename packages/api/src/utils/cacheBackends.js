@@ -0,0 +1,373 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Storage backends for CacheManager
+ * Every backend stores entries of the shape { key, timestamp, data, expiresAt }
+ * and implements the same async interface:
+ *   read(key)      -> entry or null
+ *   write(entry)   -> true/false
+ *   remove(key)    -> true when an entry was removed
+ *   clear()        -> number of entries removed
+ *   list()         -> [{ key, timestamp, expiresAt, size }] (size in bytes),
+ *                     with { key, corrupt: true } for entries that can't be parsed
+ *   quarantine(key) -> set an unusable entry aside, out of the cache
+ * Expiry and schema migrations are handled by CacheManager, backends only
+ * store and evict
+ */
+
+export const CACHE_BACKENDS = ['file', 'memory', 'sqlite'];
+
+/**
+ * Size-bounded in-memory LRU
+ * Nothing survives a restart, which suits hosts without a persistent disk
+ */
+export class MemoryCacheBackend {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxBytes - Evict least recently used entries beyond this size
+   */
+  constructor({ maxBytes = 64 * 1024 * 1024 } = {}) {
+    this.name = 'memory';
+    this.maxBytes = maxBytes;
+    this.totalBytes = 0;
+    // Map iteration follows insertion order, so re-inserting on every read
+    // keeps the least recently used entry first
+    this.entries = new Map();
+  }
+
+  async read(key) {
+    const stored = this.entries.get(key);
+    if (!stored) return null;
+
+    this.entries.delete(key);
+    this.entries.set(key, stored);
+    return stored.entry;
+  }
+
+  async write(entry) {
+    const size = Buffer.byteLength(JSON.stringify(entry));
+    if (size > this.maxBytes) {
+      console.error(`Cache entry ${entry.key} (${size} bytes) exceeds the memory cache size`);
+      return false;
+    }
+
+    await this.remove(entry.key);
+    this.entries.set(entry.key, { entry, size });
+    this.totalBytes += size;
+
+    for (const [key, stored] of this.entries) {
+      if (this.totalBytes <= this.maxBytes) break;
+      this.entries.delete(key);
+      this.totalBytes -= stored.size;
+    }
+
+    return true;
+  }
+
+  async remove(key) {
+    const stored = this.entries.get(key);
+    if (!stored) return false;
+
+    this.entries.delete(key);
+    this.totalBytes -= stored.size;
+    return true;
+  }
+
+  async clear() {
+    const cleared = this.entries.size;
+    this.entries.clear();
+    this.totalBytes = 0;
+    return cleared;
+  }
+
+  async list() {
+    return [...this.entries.values()].map(({ entry, size }) => ({
+      key: entry.key,
+      timestamp: entry.timestamp,
+      expiresAt: entry.expiresAt,
+      size,
+    }));
+  }
+
+  async quarantine(key) {
+    // Nothing to inspect later once the process exits
+    return this.remove(key);
+  }
+}
+
+/**
+ * One JSON file per entry in a directory (the original cache layout)
+ * Quarantined files are moved to a quarantine/ subdirectory
+ */
+export class FileCacheBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.cacheDir - Directory holding the <key>.json files
+   */
+  constructor({ cacheDir }) {
+    this.name = 'file';
+    this.cacheDir = cacheDir;
+    this.ready = fs.mkdir(cacheDir, { recursive: true });
+  }
+
+  async read(key) {
+    await this.ready;
+
+    let content;
+    try {
+      content = await fs.readFile(this.getFilePath(key), 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    return JSON.parse(content);
+  }
+
+  async write(entry) {
+    await this.ready;
+
+    // Write to a temporary file first so readers never see half an entry
+    const filePath = this.getFilePath(entry.key);
+    const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(entry), 'utf-8');
+    await fs.rename(tempPath, filePath);
+    return true;
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.getFilePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async clear() {
+    const files = await this.listFiles();
+    await Promise.all(files.map(file => fs.unlink(path.join(this.cacheDir, file))));
+    return files.length;
+  }
+
+  async list() {
+    const files = await this.listFiles();
+
+    const entries = await Promise.all(files.map(async (file) => {
+      const filePath = path.join(this.cacheDir, file);
+      try {
+        const [stat, content] = await Promise.all([
+          fs.stat(filePath),
+          fs.readFile(filePath, 'utf-8'),
+        ]);
+        const entry = JSON.parse(content);
+
+        return {
+          key: entry.key,
+          timestamp: entry.timestamp,
+          expiresAt: entry.expiresAt,
+          size: stat.size,
+        };
+      } catch (error) {
+        // Removed since readdir
+        if (error.code === 'ENOENT') return null;
+        return { key: file.replace(/\.json$/, ''), corrupt: true };
+      }
+    }));
+
+    return entries.filter(Boolean);
+  }
+
+  async quarantine(key) {
+    const quarantineDir = path.join(this.cacheDir, 'quarantine');
+    const filePath = this.getFilePath(key);
+
+    try {
+      await fs.mkdir(quarantineDir, { recursive: true });
+      await fs.rename(filePath, path.join(quarantineDir, path.basename(filePath)));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async listFiles() {
+    await this.ready;
+    const files = await fs.readdir(this.cacheDir);
+    return files.filter(file => file.endsWith('.json'));
+  }
+
+  /**
+   * Generate cache file path from key
+   */
+  getFilePath(key) {
+    const sanitizedKey = key.replace(/[^a-z0-9_-]/gi, '_');
+    return path.join(this.cacheDir, `${sanitizedKey}.json`);
+  }
+}
+
+/**
+ * Single SQLite database file
+ * better-sqlite3 is synchronous, but each statement is one indexed lookup
+ * or write, far cheaper than the JSON parsing around it
+ * The native module is only loaded once this backend is selected
+ */
+export class SqliteCacheBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.filename - Database file, ':memory:' for a throwaway database
+   */
+  constructor({ filename }) {
+    this.name = 'sqlite';
+    this.filename = filename;
+    this.ready = this.open();
+  }
+
+  /**
+   * Load better-sqlite3, open the database and prepare the statements
+   */
+  async open() {
+    const { default: Database } = await import('better-sqlite3');
+    if (this.filename !== ':memory:') {
+      await fs.mkdir(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS cache_entries (
+        key TEXT PRIMARY KEY,
+        timestamp INTEGER NOT NULL,
+        expires_at TEXT,
+        data TEXT NOT NULL,
+        schema_version INTEGER NOT NULL DEFAULT 0,
+        needs_refresh INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE TABLE IF NOT EXISTS cache_quarantine (
+        key TEXT PRIMARY KEY,
+        quarantined_at INTEGER NOT NULL,
+        timestamp INTEGER,
+        data TEXT
+      );
+    `);
+
+    // Databases created before entries were versioned lack these columns;
+    // their rows read as schema version 0 and get migrated by CacheManager
+    const columns = this.db.prepare('PRAGMA table_info(cache_entries)').all().map(column => column.name);
+    if (!columns.includes('schema_version')) {
+      this.db.exec('ALTER TABLE cache_entries ADD COLUMN schema_version INTEGER NOT NULL DEFAULT 0');
+    }
+    if (!columns.includes('needs_refresh')) {
+      this.db.exec('ALTER TABLE cache_entries ADD COLUMN needs_refresh INTEGER NOT NULL DEFAULT 0');
+    }
+
+    this.statements = {
+      read: this.db.prepare(`
+        SELECT key, timestamp, expires_at, data, schema_version, needs_refresh
+        FROM cache_entries WHERE key = ?
+      `),
+      write: this.db.prepare(`
+        INSERT INTO cache_entries (key, timestamp, expires_at, data, schema_version, needs_refresh)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (key) DO UPDATE SET
+          timestamp = excluded.timestamp, expires_at = excluded.expires_at, data = excluded.data,
+          schema_version = excluded.schema_version, needs_refresh = excluded.needs_refresh
+      `),
+      remove: this.db.prepare('DELETE FROM cache_entries WHERE key = ?'),
+      clear: this.db.prepare('DELETE FROM cache_entries'),
+      list: this.db.prepare('SELECT key, timestamp, expires_at, length(CAST(data AS BLOB)) AS size FROM cache_entries'),
+      quarantine: this.db.prepare(`
+        INSERT OR REPLACE INTO cache_quarantine (key, quarantined_at, timestamp, data)
+        SELECT key, ?, timestamp, data FROM cache_entries WHERE key = ?
+      `),
+    };
+    this.quarantineEntry = this.db.transaction((key) => {
+      this.statements.quarantine.run(Date.now(), key);
+      return this.statements.remove.run(key).changes > 0;
+    });
+  }
+
+  async read(key) {
+    await this.ready;
+
+    const row = this.statements.read.get(key);
+    if (!row) return null;
+
+    return {
+      key: row.key,
+      timestamp: row.timestamp,
+      data: JSON.parse(row.data),
+      expiresAt: row.expires_at,
+      schemaVersion: row.schema_version,
+      ...(row.needs_refresh && { needsRefresh: true }),
+    };
+  }
+
+  async write(entry) {
+    await this.ready;
+
+    this.statements.write.run(
+      entry.key,
+      entry.timestamp,
+      entry.expiresAt,
+      JSON.stringify(entry.data),
+      entry.schemaVersion ?? 0,
+      entry.needsRefresh ? 1 : 0
+    );
+    return true;
+  }
+
+  async remove(key) {
+    await this.ready;
+    return this.statements.remove.run(key).changes > 0;
+  }
+
+  async clear() {
+    await this.ready;
+    return this.statements.clear.run().changes;
+  }
+
+  async list() {
+    await this.ready;
+    return this.statements.list.all().map(row => ({
+      key: row.key,
+      timestamp: row.timestamp,
+      expiresAt: row.expires_at,
+      size: row.size,
+    }));
+  }
+
+  async quarantine(key) {
+    await this.ready;
+    return this.quarantineEntry(key);
+  }
+}
+
+/**
+ * Build the backend selected by CACHE_BACKEND
+ * File entries get a cache/ directory of their own, so clearing the cache
+ * never touches the fixtures kept in the data directory
+ * @param {Object} options
+ * @param {string} options.type - 'file' (default), 'memory' or 'sqlite'
+ * @param {string} options.dataDir - Directory for the file cache and the SQLite database
+ */
+export function createCacheBackend({ type = process.env.CACHE_BACKEND || 'file', dataDir }) {
+  switch (type) {
+    case 'file':
+      return new FileCacheBackend({ cacheDir: path.join(dataDir, 'cache') });
+    case 'memory':
+      return new MemoryCacheBackend({
+        maxBytes: parseFloat(process.env.CACHE_MEMORY_MAX_MB || 64) * 1024 * 1024,
+      });
+    case 'sqlite':
+      return new SqliteCacheBackend({
+        filename: process.env.CACHE_SQLITE_PATH || path.join(dataDir, 'cache.db'),
+      });
+    default:
+      throw new Error(`Unknown CACHE_BACKEND: ${type} (use ${CACHE_BACKENDS.join(', ')})`);
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Concurrency helpers
+ * Keeps bursts of eBay API calls under control so we don't trip rate limits
+ */
+
+// Pool size when the requested concurrency isn't a positive integer
+export const DEFAULT_CONCURRENCY = 5;
+
+/**
+ * Run an async worker over every item with at most `concurrency` calls in flight
+ * Results keep the same order as the input items
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of workers running at once
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Worker results in input order
+ */
+export async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  const requested = Number.isInteger(concurrency) && concurrency > 0 ? concurrency : DEFAULT_CONCURRENCY;
+  const poolSize = Math.max(1, Math.min(requested, items.length));
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: poolSize }, runWorker));
+
+  return results;
+}
+
+export default mapWithConcurrency;
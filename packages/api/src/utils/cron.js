@@ -0,0 +1,135 @@
+/**
+ * Cron expressions
+ * The standard five fields: minute hour day-of-month month day-of-week.
+ * Each field is `*`, a value, a range (1-5), a step (*\/15, 0-30/10, 5/20)
+ * or a comma-separated list of those. Day-of-week runs 0-6 from Sunday (7 is
+ * Sunday too) and, as in cron, when both day fields are restricted a day
+ * matching either one counts. Times are in the server's local time zone
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+// Stop looking for a next run after this long (e.g. "0 0 30 2 *")
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+export class CronExpressionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CronExpressionError';
+  }
+}
+
+/**
+ * Parse one field into the set of values it matches
+ */
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new CronExpressionError(`Invalid ${name} field: ${text}`);
+    }
+
+    const [, star, start, end, step] = match;
+    const from = star ? min : parseInt(start);
+    // A step without a range runs to the end of the field (5/20 = 5,25,45)
+    const to = star || (step && end === undefined) ? max : parseInt(end ?? start);
+    const stepBy = step ? parseInt(step) : 1;
+
+    if (from < min || to > max || from > to || stepBy < 1) {
+      throw new CronExpressionError(`Invalid ${name} field: ${text} (allowed: ${min}-${max})`);
+    }
+
+    for (let value = from; value <= to; value += stepBy) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+export class CronSchedule {
+  /**
+   * @param {string} expression - Five-field cron expression, e.g. "0 *\/6 * * *"
+   * @throws {CronExpressionError} when the expression is invalid or never matches
+   */
+  constructor(expression) {
+    this.expression = expression.trim();
+
+    const fields = this.expression.split(/\s+/);
+    if (fields.length !== FIELDS.length) {
+      throw new CronExpressionError(
+        `Cron expression needs 5 fields (minute hour day month weekday): ${expression}`
+      );
+    }
+
+    [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] =
+      fields.map((field, index) => parseField(field, FIELDS[index]));
+
+    if (this.daysOfWeek.has(7)) {
+      this.daysOfWeek.delete(7);
+      this.daysOfWeek.add(0);
+    }
+
+    // Fields starting with * don't restrict the day (cron's own rule)
+    this.anyDayOfMonth = fields[2].startsWith('*');
+    this.anyDayOfWeek = fields[4].startsWith('*');
+
+    if (!this.next()) {
+      throw new CronExpressionError(`Cron expression never matches: ${expression}`);
+    }
+  }
+
+  /**
+   * Whether a date's day matches the day-of-month and day-of-week fields
+   */
+  matchesDay(date) {
+    const dayOfMonth = this.daysOfMonth.has(date.getDate());
+    const dayOfWeek = this.daysOfWeek.has(date.getDay());
+
+    if (this.anyDayOfMonth || this.anyDayOfWeek) {
+      return dayOfMonth && dayOfWeek;
+    }
+    return dayOfMonth || dayOfWeek;
+  }
+
+  /**
+   * First matching minute after a date
+   * @returns {Date|null} null when nothing matches within five years
+   */
+  next(after = new Date()) {
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = after.getTime() + MAX_LOOKAHEAD_MS;
+
+    // Skip whole months, days and hours that can't match
+    while (date.getTime() <= limit) {
+      if (!this.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0);
+      } else if (!this.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0);
+      } else if (!this.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1);
+      } else {
+        return date;
+      }
+    }
+
+    return null;
+  }
+}
+
+export default CronSchedule;
@@ -0,0 +1,200 @@
+import { KeywordAnalyzer } from './keywordAnalyzer.js';
+
+/**
+ * Duplicate Detector
+ * Groups listings of the same product, whether listed by many sellers or
+ * relisted by one. Two listings land in the same cluster when they share an
+ * item group, an ePID or GTIN, a picture, or a near-identical title;
+ * clusters are transitive, so A~B and B~C puts all three together
+ */
+
+// GTIN values sellers enter when a product has none
+const PLACEHOLDER_IDS = new Set(['does not apply', 'n/a', 'na', 'none', '']);
+
+export class DuplicateDetector {
+  /**
+   * @param {Object} options
+   * @param {number} options.titleSimilarity - Jaccard similarity of title words (0-1) that counts as the same product
+   */
+  constructor({ titleSimilarity = parseFloat(process.env.DUPLICATE_TITLE_SIMILARITY || 0.8) } = {}) {
+    this.titleSimilarity = titleSimilarity;
+    this.keywords = new KeywordAnalyzer();
+  }
+
+  /**
+   * Cluster listings, largest clusters first
+   * Listings with no duplicate come back as clusters of one, so the result
+   * always covers every item
+   * @param {Object[]} items - Enriched Browse API items
+   * @returns {Object[]} [{ id, representative, items, size, matchedBy, priceMin,
+   *   priceMax, priceSpread, priceSpreadPercent, totalSold, sellers, currency }]
+   */
+  cluster(items) {
+    return this.describeGroups(items, this.group(items));
+  }
+
+  /**
+   * Find the clusters as plain item indexes, the expensive part of cluster()
+   * The groups are JSON-safe, so they can be cached with the items
+   * @param {Object[]} items - Enriched Browse API items
+   * @returns {Object[]} [{ indexes, matchedBy }]
+   */
+  group(items) {
+    const parent = items.map((_, index) => index);
+    const matchedBy = items.map(() => new Set());
+
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+    const union = (a, b, reason) => {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA !== rootB) parent[rootB] = rootA;
+      matchedBy[a].add(reason);
+      matchedBy[b].add(reason);
+    };
+
+    // Exact keys: first listing seen with a key absorbs every later one
+    const linkByKey = (reason, getKey) => {
+      const firstByKey = new Map();
+      items.forEach((item, index) => {
+        const key = getKey(item);
+        if (!key) return;
+        if (firstByKey.has(key)) {
+          union(firstByKey.get(key), index, reason);
+        } else {
+          firstByKey.set(key, index);
+        }
+      });
+    };
+
+    linkByKey('itemGroup', item => this.getItemGroupId(item));
+    linkByKey('epid', item => this.normalizeId(item.epid));
+    linkByKey('gtin', item => this.normalizeId(item.gtin));
+    linkByKey('image', item => this.getImageKey(item));
+
+    // Titles: pairwise word-set similarity
+    const titleWords = items.map(item => new Set(
+      this.keywords.tokenize(item.title || '').filter(Boolean)
+    ));
+    for (let a = 0; a < items.length; a++) {
+      for (let b = a + 1; b < items.length; b++) {
+        if (this.jaccard(titleWords[a], titleWords[b]) >= this.titleSimilarity) {
+          union(a, b, 'title');
+        }
+      }
+    }
+
+    const members = new Map();
+    items.forEach((item, index) => {
+      const root = find(index);
+      if (!members.has(root)) members.set(root, []);
+      members.get(root).push(index);
+    });
+
+    return [...members.values()].map(indexes => ({
+      indexes,
+      matchedBy: [...new Set(indexes.flatMap(i => [...matchedBy[i]]))],
+    }));
+  }
+
+  /**
+   * Turn groups from group() back into clusters of the same items
+   * @param {Object[]} items - The items the groups were found in
+   * @param {Object[]} groups - [{ indexes, matchedBy }]
+   * @returns {Object[]} Clusters as cluster() returns them
+   */
+  describeGroups(items, groups) {
+    return groups
+      .map(({ indexes, matchedBy }) => this.describeCluster(
+        indexes.map(i => items[i]),
+        matchedBy
+      ))
+      .sort((a, b) => b.size - a.size || b.totalSold - a.totalSold);
+  }
+
+  /**
+   * Summarize one cluster; the representative is its best-selling listing
+   * (then most watched, then cheapest)
+   */
+  describeCluster(clusterItems, matchedBy) {
+    const sold = (item) => parseInt(item.quantitySold || 0);
+    const price = (item) => parseFloat(item.price?.value || 0);
+
+    const representative = [...clusterItems].sort((a, b) =>
+      sold(b) - sold(a) ||
+      parseInt(b.watchCount || 0) - parseInt(a.watchCount || 0) ||
+      price(a) - price(b)
+    )[0];
+
+    const prices = clusterItems.map(price).filter(p => p > 0);
+    const priceMin = prices.length > 0 ? Math.min(...prices) : 0;
+    const priceMax = prices.length > 0 ? Math.max(...prices) : 0;
+
+    return {
+      id: representative.itemId,
+      representative,
+      items: clusterItems,
+      size: clusterItems.length,
+      matchedBy: [...matchedBy],
+      priceMin,
+      priceMax,
+      priceSpread: Math.round((priceMax - priceMin) * 100) / 100,
+      priceSpreadPercent: priceMin > 0 ? Math.round(((priceMax - priceMin) / priceMin) * 1000) / 10 : 0,
+      totalSold: clusterItems.reduce((total, item) => total + sold(item), 0),
+      sellers: new Set(clusterItems.map(item => item.seller?.username)).size,
+      currency: representative.price?.currency || 'USD',
+    };
+  }
+
+  /**
+   * Item group of a variation listing, from the group link or the
+   * variation part of the item ID (v1|<group>|<variation>)
+   */
+  getItemGroupId(item) {
+    const fromHref = item.itemGroupHref?.match(/item_group_id=([^&]+)/)?.[1];
+    if (fromHref) return fromHref;
+
+    const [, legacyId, variationId] = (item.itemId || '').split('|');
+    return variationId && variationId !== '0' ? legacyId : null;
+  }
+
+  /**
+   * Picture identity, ignoring the size variant (s-l225.jpg vs s-l1600.jpg)
+   */
+  getImageKey(item) {
+    const url = item.imageUrl || item.image?.imageUrl;
+    if (!url) return null;
+
+    return url.match(/\/images\/g\/([^/]+)\//)?.[1] || url.replace(/\/s-l\d+\.\w+$/, '');
+  }
+
+  /**
+   * Normalize a product identifier, null for blanks and placeholders
+   */
+  normalizeId(value) {
+    const id = String(value ?? '').trim().toLowerCase();
+    return PLACEHOLDER_IDS.has(id) ? null : id;
+  }
+
+  /**
+   * Jaccard similarity of two word sets
+   */
+  jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    // Similarity can't reach the threshold when the sizes differ too much
+    if (Math.min(a.size, b.size) / Math.max(a.size, b.size) < this.titleSimilarity) return 0;
+
+    let shared = 0;
+    for (const word of a) {
+      if (b.has(word)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+  }
+}
+
+export default DuplicateDetector;
@@ -1,4 +1,7 @@
+import path from "path";
 import chalk from "chalk";
+import { formatPrice } from "@ebay-analyzer/shared/marketplaces";
+import { formatBytes, formatDuration } from "./humanize.js";
 
 /**
  * Formats product data for CLI display with source attribution
@@ -18,19 +21,30 @@ export class ProductFormatter {
     const itemUrl = metrics.itemUrl || "#";
 
     // Format price with discount if available
-    let priceDisplay = chalk.green(`$${metrics.price.toFixed(2)}`);
+    const currency = metrics.currency;
+    let priceDisplay = chalk.green(formatPrice(metrics.price, currency));
     if (metrics.originalPrice) {
       priceDisplay =
-        chalk.green(`$${metrics.price.toFixed(2)}`) +
-        chalk.gray(` (was $${metrics.originalPrice.toFixed(2)})`) +
+        chalk.green(formatPrice(metrics.price, currency)) +
+        chalk.gray(` (was ${formatPrice(metrics.originalPrice, currency)})`) +
         chalk.red(` -${metrics.discountPercent}%`);
     }
+    if (metrics.shippingCost > 0) {
+      priceDisplay += chalk.gray(
+        ` + ${formatPrice(metrics.shippingCost, currency)} shipping = ${formatPrice(
+          metrics.landedCost,
+          currency
+        )}`
+      );
+    }
 
     // Badges for hot indicators
     const badges = [];
     if (metrics.topRated) badges.push(chalk.yellow("⭐ Top Rated"));
     if (metrics.promoted) badges.push(chalk.magenta("🔥 Promoted"));
     if (metrics.freeShipping) badges.push(chalk.cyan("📦 Free Ship"));
+    if (metrics.priceOutlier)
+      badges.push(chalk.gray(`⚠ ${metrics.priceOutlier} price outlier`));
 
     const badgeStr = badges.length > 0 ? " " + badges.join(" ") : "";
 
@@ -40,13 +54,19 @@ export class ProductFormatter {
       hotIndicators.push(`${metrics.watchCount} watching`);
     if (metrics.quantitySold > 0)
       hotIndicators.push(`${metrics.quantitySold} sold`);
+    if (metrics.velocity?.unitsPerDay > 0)
+      hotIndicators.push(`${metrics.velocity.unitsPerDay} sold/day`);
     const hotStr =
       hotIndicators.length > 0
         ? chalk.yellow(` 🔥 ${hotIndicators.join(", ")}`)
         : "";
 
+    const trendStr = trend?.label
+      ? ` ${this.colorTrend(trend)(`${trend.symbol} ${trend.label}`)}`
+      : "";
+
     return `
-${chalk.bold(`${index}. ${title}`)}${badgeStr}${hotStr}
+${chalk.bold(`${index}. ${title}`)}${trendStr}${badgeStr}${hotStr}
    ${chalk.gray("├─")} Price: ${priceDisplay}
    ${chalk.gray("├─")} Condition: ${metrics.condition}
    ${chalk.gray("├─")} Seller: @${metrics.sellerUsername} (${
@@ -55,6 +75,22 @@ ${chalk.bold(`${index}. ${title}`)}${badgeStr}${hotStr}
    ${chalk.gray("└─")} ${chalk.blue(itemUrl)}`;
   }
 
+  /**
+   * Color for a trend label
+   */
+  colorTrend(trend) {
+    switch (trend.key) {
+      case "HOT":
+        return chalk.red.bold;
+      case "RISING":
+        return chalk.green;
+      case "DECLINING":
+        return chalk.gray;
+      default:
+        return chalk.white;
+    }
+  }
+
   /**
    * Format category summary with API metadata for credibility
    */
@@ -67,10 +103,13 @@ ${chalk.bold("Market Overview:")}
       stats.totalListings.toLocaleString()
     )}
   ${chalk.gray("•")} Average Price: ${chalk.green(
-      `$${stats.avgPrice.toFixed(2)}`
+      formatPrice(stats.avgPrice, stats.currency)
     )}
   ${chalk.gray("•")} Price Range: ${chalk.gray(
-      `$${stats.minPrice.toFixed(2)} - $${stats.maxPrice.toFixed(2)}`
+      `${formatPrice(stats.minPrice, stats.currency)} - ${formatPrice(
+        stats.maxPrice,
+        stats.currency
+      )}`
     )}
   ${chalk.gray("•")} Total Watchers: ${chalk.cyan(
       stats.totalWatchers.toLocaleString()
@@ -78,14 +117,183 @@ ${chalk.bold("Market Overview:")}
   ${chalk.gray("•")} Avg Watchers/Item: ${chalk.cyan(
       stats.avgWatchers.toFixed(1)
     )}
-
+${this.formatPriceDistribution(stats)}${this.formatCostSummary(stats)}
 ${chalk.bold("Data Source:")}
-  ${chalk.gray("•")} API: ${chalk.blue("eBay Browse API (Official)")}
+  ${chalk.gray("•")} API: ${chalk.blue("eBay Browse API (Official)")}${
+      metadata.marketplace ? chalk.gray(` - ${metadata.marketplace}`) : ""
+    }
   ${chalk.gray("•")} Status: ${chalk.green(metadata.ack)}
   ${chalk.gray("•")} Fetched: ${chalk.gray(
       this.formatTimestamp(metadata.timestamp)
     )}
-  ${chalk.gray("•")} Showing top 100 of ${metadata.totalPages} pages available
+  ${chalk.gray("•")} Analyzed ${stats.totalListings} items (${
+      metadata.pagesFetched || 1
+    } of ${metadata.totalPages} pages fetched)
+`;
+  }
+
+  /**
+   * Format price percentiles for the category summary
+   */
+  formatPriceDistribution(stats) {
+    const dist = stats.distribution;
+    if (!dist) return "";
+
+    const price = (value) => formatPrice(value, stats.currency);
+    const basis =
+      stats.priceBasis === "landed" ? " (price + shipping)" : "";
+
+    return `
+${chalk.bold(`Price Distribution${basis}:`)}
+  ${chalk.gray("•")} Median: ${chalk.green(price(dist.median))} ${chalk.gray(
+      `(middle half ${price(dist.q1)} - ${price(dist.q3)})`
+    )}
+  ${chalk.gray("•")} 10th - 90th Percentile: ${chalk.green(
+      `${price(dist.p10)} - ${price(dist.p90)}`
+    )}
+  ${chalk.gray("•")} Std Deviation: ${chalk.gray(price(dist.stdDev))}
+  ${chalk.gray("•")} Outliers: ${chalk.yellow(
+      `${dist.outliers.low} below ${price(dist.lowerFence)}, ${
+        dist.outliers.high
+      } above ${price(dist.upperFence)}`
+    )}
+`;
+  }
+
+  /**
+   * Format shipping and discount aggregates for the category summary
+   */
+  formatCostSummary(stats) {
+    const { shipping, discounts } = stats;
+    if (!shipping || !discounts) return "";
+
+    const price = (value) =>
+      value === null ? "n/a" : formatPrice(value, stats.currency);
+    const conditions = shipping.byCondition
+      .map(
+        (group) =>
+          `    ${chalk.gray("-")} ${group.condition}: ${price(
+            group.avgShippingCost
+          )} ${chalk.gray(
+            `(${group.freeShippingShare}% free, ${group.listings} listings)`
+          )}`
+      )
+      .join("\n");
+    const depth =
+      discounts.discountedListings > 0
+        ? chalk.gray(
+            ` (avg ${discounts.avgDiscountPercent}% off, median ${
+              discounts.medianDiscountPercent
+            }%, up to ${discounts.maxDiscountPercent}%)`
+          )
+        : "";
+
+    return `
+${chalk.bold("Shipping & Discounts:")}
+  ${chalk.gray("•")} Free Shipping: ${chalk.cyan(
+      `${shipping.freeShippingShare}%`
+    )} of listings
+  ${chalk.gray("•")} Avg Shipping: ${chalk.green(
+      price(shipping.avgShippingCost)
+    )}${
+      shipping.avgPaidShippingCost !== null
+        ? chalk.gray(` (${price(shipping.avgPaidShippingCost)} when not free)`)
+        : ""
+    }
+  ${chalk.gray("•")} Avg Shipping by Condition:
+${conditions}
+  ${chalk.gray("•")} Discounted: ${chalk.red(
+      `${discounts.discountedShare}%`
+    )} of listings${depth}
+`;
+  }
+
+  /**
+   * Format the seller concentration report
+   */
+  formatSellerSummary(report, limit = 5) {
+    if (report.sellerCount === 0) return "";
+
+    const byListings = report.concentration.listings;
+    const byUnits = report.concentration.unitsSold;
+    const topSellers = report.sellers
+      .slice(0, limit)
+      .map(
+        (seller, index) =>
+          `  ${chalk.gray(`${index + 1}.`)} @${seller.username} ${chalk.gray(
+            `(${seller.feedbackScore.toLocaleString()} feedback)`
+          )} - ${seller.listings} listings (${seller.listingShare}%), ${
+            seller.unitsSold
+          } sold`
+      )
+      .join("\n");
+    const bands = report.feedbackBands
+      .filter((band) => band.sellers > 0)
+      .map(
+        (band) =>
+          `  ${chalk.gray("•")} ${band.label}: ${band.sellers} sellers, ${
+            band.listingShare
+          }% of listings`
+      )
+      .join("\n");
+
+    return `
+${chalk.bold("Seller Landscape:")}
+  ${chalk.gray("•")} Sellers: ${chalk.yellow(
+      report.sellerCount.toLocaleString()
+    )} across ${report.totalListings} listings
+  ${chalk.gray("•")} Top 5 / Top 10 Share: ${chalk.cyan(
+      `${byListings.top5Share}% / ${byListings.top10Share}%`
+    )} of listings${
+      byUnits
+        ? chalk.gray(
+            `, ${byUnits.top5Share}% / ${byUnits.top10Share}% of units sold`
+          )
+        : ""
+    }
+  ${chalk.gray("•")} Concentration (HHI): ${chalk.cyan(
+      byListings.hhi.toLocaleString()
+    )} ${chalk.gray(`- ${byListings.level}`)}
+  ${chalk.gray("•")} Top Rated Listings: ${report.topRatedShare}%, Promoted: ${
+      report.promotedShare
+    }%
+${bands}
+
+${chalk.bold(`Top ${Math.min(limit, report.sellerCount)} Sellers:`)}
+${topSellers}
+`;
+  }
+
+  /**
+   * Format the title keyword report
+   */
+  formatKeywordSummary(report, limit = 10) {
+    if (report.unigrams.length === 0 && report.bigrams.length === 0) return "";
+
+    const list = (terms) =>
+      terms
+        .slice(0, limit)
+        .map((t) => `${t.term} ${chalk.gray(`(${t.count})`)}`)
+        .join(", ");
+    const emerging = report.emerging
+      .slice(0, limit)
+      .map(
+        (t) =>
+          `${t.term} ${chalk.green(`+${t.change} pts`)}${
+            t.isNew ? chalk.gray(" new") : ""
+          }`
+      )
+      .join(", ");
+
+    return `
+${chalk.bold("Title Keywords:")}
+  ${chalk.gray("•")} Top Words: ${list(report.unigrams)}
+  ${chalk.gray("•")} Top Phrases: ${list(report.bigrams) || chalk.gray("none")}
+  ${chalk.gray("•")} Emerging: ${
+      report.comparedListings === null
+        ? chalk.gray("needs a previous snapshot")
+        : emerging || chalk.gray("nothing gaining share")
+    }
 `;
   }
 
@@ -96,29 +304,115 @@ ${chalk.bold("Data Source:")}
     if (!comparison.available) {
       return `\n${chalk.yellow(
         "ℹ Market comparison data not available for this category"
-      )}\n`;
+      )}${comparison.reason ? chalk.gray(` (${comparison.reason})`) : ""}\n`;
     }
 
     const trendColor = comparison.priceChange > 0 ? chalk.red : chalk.green;
     const trendSymbol = comparison.priceChange > 0 ? "📈" : "📉";
 
     return `
-${chalk.bold("Market Health (vs Recently Sold Items):")}
+${chalk.bold(
+  `Market Health (vs Items Sold in the Last ${comparison.days} ${
+    comparison.days === 1 ? "Day" : "Days"
+  }):`
+)}
   ${chalk.gray("•")} Avg Active Price: ${chalk.green(
-      `$${comparison.avgActivePrice.toFixed(2)}`
+      formatPrice(comparison.avgActivePrice, comparison.currency)
     )}
   ${chalk.gray("•")} Avg Sold Price: ${chalk.gray(
-      `$${comparison.avgSoldPrice.toFixed(2)}`
-    )}
+      formatPrice(comparison.avgSoldPrice, comparison.currency)
+    )} ${chalk.gray(`(${comparison.unitsSold.toLocaleString()} units)`)}
   ${chalk.gray("•")} Price Change: ${trendColor(
       `${comparison.priceChange > 0 ? "+" : ""}${comparison.priceChange.toFixed(
         1
       )}%`
-    )} ${trendSymbol}
-  ${chalk.gray("•")} Market Trend: ${chalk.bold(comparison.trend)}
+    )} ${trendSymbol} ${chalk.gray("active vs sold")}
+  ${chalk.gray("•")} Sell-Through Rate: ${chalk.cyan(
+      `${comparison.sellThroughRate}%`
+    )} ${chalk.gray(
+      `(${comparison.soldListings.toLocaleString()} sold / ${comparison.activeListings.toLocaleString()} active listings)`
+    )}
+  ${chalk.gray("•")} Market Trend: ${chalk.bold(comparison.trend)}${
+      comparison.soldPriceChange !== null
+        ? chalk.gray(
+            ` (${comparison.soldPriceChange > 0 ? "+" : ""}${
+              comparison.soldPriceChange
+            }%)`
+          )
+        : ""
+    }
+  ${chalk.gray("•")} Source: ${chalk.blue(comparison.source)}
 `;
   }
 
+  /**
+   * Format cache statistics (cache stats), entries newest first
+   */
+  formatCacheStats(stats) {
+    const entries = [...stats.entries]
+      .sort((a, b) => a.age - b.age)
+      .map(
+        (entry) =>
+          `  ${this.colorCacheState(entry.state)} ${entry.key} ${chalk.gray(
+            `- ${formatBytes(entry.size)}, ${formatDuration(entry.age)} old`
+          )}`
+      )
+      .join("\n");
+
+    return `
+${chalk.bold("Cache:")}
+  ${chalk.gray("•")} Backend: ${chalk.cyan(stats.backend)}
+  ${chalk.gray("•")} Entries: ${chalk.yellow(
+      stats.totalEntries.toLocaleString()
+    )} (${formatBytes(stats.totalSize)})
+  ${chalk.gray("•")} Oldest / Newest: ${
+      stats.oldestCache
+        ? `${formatDuration(stats.oldestCache.age)} / ${formatDuration(
+            stats.newestCache.age
+          )}`
+        : chalk.gray("empty")
+    }
+${entries}
+`;
+  }
+
+  /**
+   * Format one cache entry in full (cache inspect)
+   */
+  formatCacheEntry(entry) {
+    const items = Array.isArray(entry.data?.items)
+      ? `
+  ${chalk.gray("•")} Items: ${entry.data.items.length}${
+          entry.data.total ? chalk.gray(` of ${entry.data.total} listings`) : ""
+        }`
+      : "";
+
+    return `
+${chalk.bold(entry.key)}
+  ${chalk.gray("•")} State: ${this.colorCacheState(entry.state)}
+  ${chalk.gray("•")} Age: ${formatDuration(entry.age)} ${chalk.gray(
+      `(cached ${this.formatTimestamp(entry.timestamp)})`
+    )}
+  ${chalk.gray("•")} Expires: ${this.formatTimestamp(entry.expiresAt)}
+  ${chalk.gray("•")} Size: ${formatBytes(entry.size)}
+  ${chalk.gray("•")} Schema Version: ${entry.schemaVersion}${items}
+`;
+  }
+
+  /**
+   * Colored label for a cache entry state
+   */
+  colorCacheState(state) {
+    switch (state) {
+      case "fresh":
+        return chalk.green(state);
+      case "stale":
+        return chalk.yellow(state);
+      default:
+        return chalk.red(state);
+    }
+  }
+
   /**
    * Format footer with attribution
    */
@@ -132,8 +426,11 @@ ${chalk.dim("Click product links to verify data authenticity")}
 
   /**
    * Format error message
+   * @param {Error} error
+   * @param {Object} options
+   * @param {Object} options.cacheBackend - The cache backend in use, for where unreadable entries went
    */
-  formatError(error) {
+  formatError(error, { cacheBackend } = {}) {
     let troubleshooting = `
 ${chalk.yellow("Troubleshooting:")}
   ${chalk.gray("•")} Verify your EBAY_APP_ID in .env file
@@ -144,8 +441,10 @@ ${chalk.yellow("Troubleshooting:")}
     if (error.message.includes("cache") || error.message.includes("format")) {
       troubleshooting += `
   ${chalk.gray("•")} ${chalk.yellow(
-        "Try clearing cache:"
-      )} Delete files in data/ folder`;
+        "Cached data:"
+      )} entries from older versions are migrated at startup, unreadable ones are ${this.describeQuarantine(
+        cacheBackend
+      )}`;
     }
 
     return `
@@ -154,6 +453,25 @@ ${troubleshooting}
 `;
   }
 
+  /**
+   * Where a cache backend sets unreadable entries aside
+   */
+  describeQuarantine(backend) {
+    switch (backend?.name) {
+      case "file":
+        return `moved to ${path.relative(
+          process.cwd(),
+          path.join(backend.cacheDir, "quarantine")
+        )}/`;
+      case "sqlite":
+        return "moved to the cache_quarantine table";
+      case "memory":
+        return "dropped";
+      default:
+        return "set aside";
+    }
+  }
+
   /**
    * Truncate long titles by word count
    */
@@ -0,0 +1,45 @@
+/**
+ * Human-readable sizes and durations for cache reports (API and CLI)
+ */
+
+const SIZE_UNITS = ['B', 'KB', 'MB', 'GB'];
+
+const DURATION_UNITS = [
+  { label: 'd', ms: 24 * 60 * 60 * 1000 },
+  { label: 'h', ms: 60 * 60 * 1000 },
+  { label: 'm', ms: 60 * 1000 },
+  { label: 's', ms: 1000 },
+];
+
+/**
+ * Format a byte count as "512 B", "1.4 MB"
+ */
+export function formatBytes(bytes) {
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < SIZE_UNITS.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${SIZE_UNITS[unit]}`;
+}
+
+/**
+ * Format a duration as its two largest units: "3d 4h", "2h 15m", "45s"
+ */
+export function formatDuration(ms) {
+  const parts = [];
+  let remaining = Math.max(0, Math.round(ms));
+
+  for (const { label, ms: unitMs } of DURATION_UNITS) {
+    const count = Math.floor(remaining / unitMs);
+    if (count > 0 || (parts.length > 0 && parts.length < 2)) {
+      parts.push(`${count}${label}`);
+      remaining -= count * unitMs;
+    }
+    if (parts.length === 2) break;
+  }
+
+  return parts.length > 0 ? parts.join(' ') : '0s';
+}
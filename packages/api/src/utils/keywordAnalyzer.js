@@ -0,0 +1,159 @@
+/**
+ * Keyword Analyzer
+ * Mines listing titles for the words and two-word phrases a category is
+ * selling on. Terms are ranked by how many listings use them, weighted by
+ * those listings' watchers and units sold, and compared with the previous
+ * snapshot to surface emerging terms
+ */
+
+// Common English words plus listing boilerplate that says nothing about the product
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in',
+  'inc', 'is', 'it', 'its', 'of', 'on', 'or', 'the', 'this', 'to', 'w', 'with',
+  'without', 'x', 'you', 'your',
+  // Condition and listing boilerplate
+  'new', 'brand', 'used', 'sealed', 'unopened', 'open', 'box', 'nib', 'bnib',
+  'nwt', 'nwob', 'mint', 'excellent', 'good', 'great', 'condition', 'works',
+  'working', 'tested', 'authentic', 'genuine', 'original', 'oem', 'free',
+  'fast', 'shipping', 'ship', 'ships', 'us', 'usa', 'seller', 'lot', 'item',
+  'read', 'description', 'see', 'photos', 'pics', 'only', 'rare', 'hot', 'sale',
+  'refurbished', 'renewed', 'pre', 'owned', 'very', 'like',
+]);
+
+export class KeywordAnalyzer {
+  /**
+   * @param {Object} options
+   * @param {number} options.minCount - Listings a term needs before it is ranked
+   * @param {number} options.emergingMinChange - Share gain (percentage points) that makes a term emerging
+   */
+  constructor({ minCount = 2, emergingMinChange = 2 } = {}) {
+    this.minCount = minCount;
+    this.emergingMinChange = emergingMinChange;
+  }
+
+  /**
+   * Rank title terms for a set of listings
+   * @param {Object[]} items - Browse API items or snapshot items ({ title, watchCount, quantitySold })
+   * @param {Object} options
+   * @param {Object[]} options.previousItems - Items from the previous snapshot, for emerging terms
+   * @param {number} options.limit - Terms to return per list
+   * @returns {Object} { totalListings, unigrams, bigrams, emerging }
+   */
+  analyze(items, { previousItems = null, limit = 25 } = {}) {
+    const current = this.countTerms(items);
+    const previous = previousItems ? this.countTerms(previousItems) : null;
+
+    const terms = [...current.values()]
+      .filter(term => term.count >= this.minCount)
+      .map(term => this.describeTerm(term, items.length, previous, previousItems?.length));
+
+    const rank = (a, b) => b.score - a.score || b.count - a.count || a.term.localeCompare(b.term);
+
+    return {
+      totalListings: items.length,
+      comparedListings: previousItems ? previousItems.length : null,
+      unigrams: terms.filter(term => term.words === 1).sort(rank).slice(0, limit),
+      bigrams: terms.filter(term => term.words === 2).sort(rank).slice(0, limit),
+      emerging: previous
+        ? terms
+            .filter(term => term.change !== null && term.change >= this.emergingMinChange)
+            .sort((a, b) => b.change - a.change || rank(a, b))
+            .slice(0, limit)
+        : [],
+    };
+  }
+
+  /**
+   * Count listings, watchers and sold units per term
+   * A term counts once per listing however often the title repeats it
+   */
+  countTerms(items) {
+    const terms = new Map();
+
+    for (const item of items) {
+      const watchers = parseInt(item.watchCount || 0);
+      const sold = parseInt(item.quantitySold || 0);
+      // Every listing counts, engagement adds on a log scale so one
+      // bestseller can't outweigh the rest of the category
+      const weight = 1 + Math.log1p(watchers) + Math.log1p(sold);
+
+      for (const term of this.extractTerms(item.title || '')) {
+        if (!terms.has(term)) {
+          terms.set(term, { term, count: 0, watchers: 0, sold: 0, score: 0 });
+        }
+
+        const entry = terms.get(term);
+        entry.count++;
+        entry.watchers += watchers;
+        entry.sold += sold;
+        entry.score += weight;
+      }
+    }
+
+    return terms;
+  }
+
+  /**
+   * Unique unigrams and bigrams of a title
+   * Bigrams never span a stopword, so "case for iphone" yields no "case iphone";
+   * bare numbers only count as part of a bigram ("quest 3", not "3")
+   */
+  extractTerms(title) {
+    const tokens = this.tokenize(title);
+    const terms = new Set();
+
+    for (let i = 0; i < tokens.length; i++) {
+      if (!tokens[i]) continue;
+
+      if (!/^\d+$/.test(tokens[i])) {
+        terms.add(tokens[i]);
+      }
+      if (tokens[i + 1]) {
+        terms.add(`${tokens[i]} ${tokens[i + 1]}`);
+      }
+    }
+
+    return terms;
+  }
+
+  /**
+   * Lowercase word tokens of a title, with stopwords and single letters replaced by null
+   * Model numbers and sizes (ps5, 128gb, 4k) are kept whole
+   */
+  tokenize(title) {
+    return title
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean)
+      .map(token => (STOPWORDS.has(token) || /^\p{L}$/u.test(token) ? null : token));
+  }
+
+  /**
+   * Shares and change against the previous snapshot for one term
+   */
+  describeTerm(term, totalListings, previous, previousTotal) {
+    const round = (value) => Math.round(value * 10) / 10;
+    const share = totalListings > 0 ? (term.count / totalListings) * 100 : 0;
+    const previousTerm = previous?.get(term.term);
+    const previousShare = previous && previousTotal > 0
+      ? ((previousTerm?.count || 0) / previousTotal) * 100
+      : null;
+
+    return {
+      term: term.term,
+      words: term.term.split(' ').length,
+      count: term.count,
+      share: round(share),
+      watchers: term.watchers,
+      sold: term.sold,
+      score: round(term.score),
+      previousShare: previousShare === null ? null : round(previousShare),
+      change: previousShare === null ? null : round(share - previousShare),
+      isNew: previous ? !previousTerm : false,
+    };
+  }
+}
+
+export default KeywordAnalyzer;
@@ -0,0 +1,305 @@
+/**
+ * Schema versions and migrations for stored data
+ * Cache entries and snapshots carry a schemaVersion. Records written by an
+ * older version are upgraded on read by running every registered migration
+ * above their version, in order; records that can't be upgraded raise a
+ * SchemaError so the store can quarantine them instead of crashing.
+ * Records from before versioning count as version 0.
+ *
+ * To change a stored shape: bump the version, and register a migration that
+ * takes a record of the previous version and returns one of the new version.
+ */
+
+export const CACHE_SCHEMA_VERSION = 2;
+export const SNAPSHOT_SCHEMA_VERSION = 2;
+
+export class SchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchemaError';
+  }
+}
+
+// Finding API JSON wraps every value in an array
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+// Finding API money: [{ '@currencyId': 'USD', __value__: '12.5' }]
+function toAmount(money) {
+  const amount = first(money);
+  if (amount === undefined || amount === null) return undefined;
+
+  return {
+    value: String(first(amount.__value__ ?? amount.value) ?? '0'),
+    currency: first(amount['@currencyId'] ?? amount.currency) || 'USD',
+  };
+}
+
+const FINDING_LISTING_TYPES = {
+  Auction: ['AUCTION'],
+  AuctionWithBIN: ['AUCTION', 'FIXED_PRICE'],
+  FixedPrice: ['FIXED_PRICE'],
+  StoreInventory: ['FIXED_PRICE'],
+};
+
+/**
+ * Whether an item was stored in the Finding API (findItemsByCategory) shape
+ */
+function isFindingItem(item) {
+  return Array.isArray(item.itemId) || item.sellingStatus !== undefined;
+}
+
+/**
+ * Convert one Finding API item to the Browse API item_summary shape
+ */
+function findingItemToBrowse(item) {
+  const legacyItemId = first(item.itemId);
+  const sellingStatus = first(item.sellingStatus) || {};
+  const listingInfo = first(item.listingInfo) || {};
+  const shippingInfo = first(item.shippingInfo) || {};
+  const sellerInfo = first(item.sellerInfo) || {};
+  const condition = first(item.condition) || {};
+  const category = first(item.primaryCategory) || {};
+  const shippingCost = toAmount(shippingInfo.shippingServiceCost);
+  const watchCount = first(listingInfo.watchCount);
+
+  return {
+    itemId: `v1|${legacyItemId}|0`,
+    legacyItemId,
+    title: first(item.title),
+    price: toAmount(sellingStatus.convertedCurrentPrice || sellingStatus.currentPrice),
+    itemWebUrl: first(item.viewItemURL),
+    image: item.galleryURL ? { imageUrl: first(item.galleryURL) } : undefined,
+    imageUrl: first(item.galleryURL),
+    condition: first(condition.conditionDisplayName),
+    conditionId: first(condition.conditionId),
+    leafCategoryIds: category.categoryId ? [first(category.categoryId)] : [],
+    categoryPath: first(category.categoryName),
+    seller: {
+      username: first(sellerInfo.sellerUserName),
+      feedbackScore: parseInt(first(sellerInfo.feedbackScore) || 0),
+      feedbackPercentage: first(sellerInfo.positiveFeedbackPercent),
+    },
+    topRatedBuyingExperience: first(item.topRatedListing) === 'true',
+    buyingOptions: FINDING_LISTING_TYPES[first(listingInfo.listingType)] || [],
+    shippingOptions: shippingCost ? [{ shippingCost }] : [],
+    shippingCost,
+    shippingType: first(shippingInfo.shippingType),
+    shipToLocations: [].concat(shippingInfo.shipToLocations || []),
+    returnsAccepted: first(item.returnsAccepted) === 'true',
+    watchCount: watchCount === undefined ? undefined : parseInt(watchCount),
+    itemLocationCountry: first(item.country),
+  };
+}
+
+/**
+ * Items of a stored search result, or null for entries that aren't one
+ * (category trees, sold listings)
+ */
+function getResultItems(data) {
+  return Array.isArray(data?.items) ? data.items : null;
+}
+
+// Category and search results hold Browse API listings; other entries (sold
+// listings, category trees) have items of their own shape
+const LISTING_KEY_PREFIXES = ['category_', 'search_'];
+
+function holdsListings(entry) {
+  return typeof entry?.key === 'string' &&
+    LISTING_KEY_PREFIXES.some(prefix => entry.key.startsWith(prefix));
+}
+
+/**
+ * Cache migrations, applied to entries { key, timestamp, data, expiresAt }
+ * below each one's version
+ */
+export const CACHE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Finding API results to Browse API item summaries',
+    migrate(entry) {
+      if (!holdsListings(entry)) return entry;
+
+      const data = entry.data;
+      const response = first(data?.findItemsByCategoryResponse || data?.findItemsAdvancedResponse);
+
+      // Raw Finding API response
+      if (response) {
+        const searchResult = first(response.searchResult) || {};
+        const pagination = first(response.paginationOutput) || {};
+        const items = [].concat(searchResult.item || []).map(findingItemToBrowse);
+
+        return {
+          ...entry,
+          data: {
+            success: first(response.ack) !== 'Failure',
+            items,
+            total: parseInt(first(pagination.totalEntries) || items.length),
+            timestamp: first(response.timestamp) || new Date(entry.timestamp).toISOString(),
+            source: 'eBay Finding API (migrated)',
+            metadata: { ack: first(response.ack) },
+          },
+        };
+      }
+
+      const items = getResultItems(data);
+      if (!items || !items.some(isFindingItem)) return entry;
+
+      return {
+        ...entry,
+        data: {
+          ...data,
+          items: items.map(item => (isFindingItem(item) ? findingItemToBrowse(item) : item)),
+        },
+      };
+    },
+  },
+  {
+    version: 2,
+    description: 'Search-only results to the enriched item shape',
+    migrate(entry) {
+      if (!holdsListings(entry)) return entry;
+
+      const data = entry.data;
+      const items = getResultItems(data);
+      if (!items || data.metadata?.enrichment) return entry;
+
+      const enriched = items.some(item => 'imageUrl' in item || 'watchCount' in item || 'quantitySold' in item);
+      if (enriched) return entry;
+
+      // Fill what the summaries already know; engagement numbers need a
+      // refetch, so the entry is marked for one
+      return {
+        ...entry,
+        needsRefresh: true,
+        data: {
+          ...data,
+          items: items.map(item => ({
+            ...item,
+            imageUrl: item.image?.imageUrl,
+            shippingCost: item.shippingOptions?.[0]?.shippingCost,
+            shippingType: item.shippingOptions?.[0]?.shippingCostType,
+          })),
+          metadata: {
+            ...data.metadata,
+            enrichment: { total: items.length, enriched: 0, failed: [], retries: 0 },
+          },
+        },
+      };
+    },
+  },
+];
+
+/**
+ * Snapshot migrations, applied to snapshot records below each one's version
+ */
+export const SNAPSHOT_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill fields added after the first snapshots',
+    migrate(snapshot) {
+      return {
+        ...snapshot,
+        marketplace: snapshot.marketplace ?? null,
+        filters: snapshot.filters || {},
+        aspects: snapshot.aspects || {},
+        sort: snapshot.sort ?? null,
+        total: snapshot.total || 0,
+        items: snapshot.items.map(item => ({
+          ...item,
+          legacyItemId: item.legacyItemId ?? null,
+          currency: item.currency || 'USD',
+          remainingQuantity: item.remainingQuantity ?? null,
+        })),
+      };
+    },
+  },
+  {
+    version: 2,
+    description: 'Record the item limit of the query (unknown for older snapshots)',
+    migrate(snapshot) {
+      return { ...snapshot, limit: snapshot.limit ?? null };
+    },
+  },
+];
+
+/**
+ * Run the migrations a record still needs
+ * @param {Object} record - Stored record with an optional schemaVersion
+ * @param {Object[]} migrations - Registry, ascending by version
+ * @param {number} currentVersion - Version this code writes
+ * @param {Function} validate - Throws a SchemaError when a record can't be used
+ * @returns {Object} { record, migrated } with record at currentVersion
+ */
+function upgrade(record, migrations, currentVersion, validate) {
+  const version = record.schemaVersion ?? 0;
+  if (version > currentVersion) {
+    throw new SchemaError(`Schema version ${version} is newer than this version supports (${currentVersion})`);
+  }
+
+  let upgraded = record;
+  for (const migration of migrations) {
+    if (migration.version > version) {
+      try {
+        upgraded = { ...migration.migrate(upgraded), schemaVersion: migration.version };
+      } catch (error) {
+        throw new SchemaError(`Migration to v${migration.version} (${migration.description}) failed: ${error.message}`);
+      }
+    }
+  }
+
+  validate(upgraded);
+  return { record: { ...upgraded, schemaVersion: currentVersion }, migrated: version < currentVersion };
+}
+
+/**
+ * Upgrade a cache entry to CACHE_SCHEMA_VERSION
+ * @returns {Object} { record, migrated }
+ * @throws {SchemaError} when the entry can't be upgraded
+ */
+export function migrateCacheEntry(entry) {
+  return upgrade(entry, CACHE_MIGRATIONS, CACHE_SCHEMA_VERSION, (record) => {
+    if (!record || typeof record.timestamp !== 'number' || record.data === undefined) {
+      throw new SchemaError('Not a cache entry');
+    }
+
+    // Every analyzed item needs a Browse API price
+    const items = holdsListings(record) ? getResultItems(record.data) : null;
+    if (items?.some(item => !item?.price || item.price.value === undefined)) {
+      throw new SchemaError('Items without a Browse API price');
+    }
+  });
+}
+
+/**
+ * Upgrade a snapshot to SNAPSHOT_SCHEMA_VERSION
+ * @returns {Object} { record, migrated }
+ * @throws {SchemaError} when the snapshot can't be upgraded
+ */
+export function migrateSnapshot(snapshot) {
+  if (!snapshot || !Array.isArray(snapshot.items) || !snapshot.timestamp) {
+    throw new SchemaError('Not a snapshot');
+  }
+
+  return upgrade(snapshot, SNAPSHOT_MIGRATIONS, SNAPSHOT_SCHEMA_VERSION, () => {});
+}
+
+/**
+ * Startup scan: upgrade every stored cache entry and snapshot now, and
+ * quarantine what can't be upgraded, so requests never meet an old shape
+ * @param {Object} stores - { cache: CacheManager, snapshots: SnapshotStore }
+ * @returns {Promise<Object>} { cache: { scanned, migrated, quarantined }, snapshots: { ... } }
+ */
+export async function migrateStores({ cache, snapshots }) {
+  const report = {
+    cache: await cache.migrateAll(),
+    snapshots: await snapshots.migrateAll(),
+  };
+
+  for (const [store, { migrated, quarantined }] of Object.entries(report)) {
+    if (migrated > 0 || quarantined > 0) {
+      console.log(`Schema scan (${store}): ${migrated} migrated, ${quarantined} quarantined`);
+    }
+  }
+
+  return report;
+}
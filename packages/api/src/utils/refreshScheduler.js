@@ -0,0 +1,330 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CronSchedule } from './cron.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Background refresh scheduler
+ * Refetches categories on the cron schedules in REFRESH_SCHEDULE so visitors
+ * find them cached instead of waiting for a fetch-and-enrich. A run
+ * refreshes its categories one at a time, REFRESH_STAGGER_SECONDS apart, and
+ * skips the rest once the day's eBay calls would pass
+ * REFRESH_DAILY_CALL_BUDGET. On start, categories with nothing fresh cached
+ * are warmed up the same way (REFRESH_WARM_UP=false turns that off); warm-up
+ * calls count against the same budget
+ * The day's call count is kept in REFRESH_BUDGET_FILE, so restarts (which
+ * warm up again when the cache lives in memory) can't reset it
+ */
+
+// setTimeout can't wait longer than ~24.8 days
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Failures kept for the health report
+const MAX_RECENT_FAILURES = 20;
+
+/**
+ * Parse REFRESH_SCHEDULE: cron expressions separated by semicolons
+ */
+export function parseSchedules(value = '') {
+  return value
+    .split(';')
+    .map(expression => expression.trim())
+    .filter(Boolean)
+    .map(expression => new CronSchedule(expression));
+}
+
+export class RefreshScheduler {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.categoryIds - Categories to refresh, in order
+   * @param {Function} options.refreshCategory - async (categoryId) => refetches and caches one category
+   * @param {Function} options.isCached - async (categoryId) => whether a fresh copy is cached (warm-up skips those)
+   * @param {number} options.estimatedCalls - Most eBay calls one refresh can make, checked against the budget before it starts
+   * @param {Function} options.countCalls - () => eBay calls made so far; what it grows by during a refresh is charged to the budget (without it, every refresh costs estimatedCalls)
+   * @param {CronSchedule[]} options.schedules - When to run (default REFRESH_SCHEDULE, none disables the scheduler)
+   * @param {number} options.dailyCallBudget - eBay calls the scheduler may make per day
+   * @param {number} options.staggerMs - Pause between two categories
+   * @param {boolean} options.warmUp - Fetch categories missing from the cache on start
+   * @param {string} options.budgetFile - JSON file the day's call count is kept in, null keeps it in memory only
+   * @param {string} options.configError - Why the configuration can't be used; the scheduler stays off and reports it
+   */
+  constructor({
+    categoryIds,
+    refreshCategory,
+    isCached,
+    estimatedCalls,
+    countCalls = null,
+    schedules = parseSchedules(process.env.REFRESH_SCHEDULE),
+    dailyCallBudget = parseInt(process.env.REFRESH_DAILY_CALL_BUDGET || 2500),
+    staggerMs = parseFloat(process.env.REFRESH_STAGGER_SECONDS || 30) * 1000,
+    warmUp = process.env.REFRESH_WARM_UP !== 'false',
+    budgetFile = process.env.REFRESH_BUDGET_FILE || path.join(__dirname, '../../data/refresh_budget.json'),
+    configError = null,
+  }) {
+    this.categoryIds = categoryIds;
+    this.refreshCategory = refreshCategory;
+    this.isCached = isCached;
+    this.estimatedCalls = estimatedCalls;
+    this.countCalls = countCalls;
+    this.schedules = schedules;
+    this.dailyCallBudget = dailyCallBudget;
+    this.staggerMs = staggerMs;
+    this.warmUp = warmUp;
+    this.budgetFile = budgetFile;
+    this.configError = configError;
+
+    this.timer = null;
+    this.nextRun = null;
+    this.stopped = false;
+    this.currentRun = null;
+    this.lastRun = null;
+    this.recentFailures = [];
+    this.budgetDay = null;
+    this.callsToday = 0;
+    this.budgetWrites = Promise.resolve();
+  }
+
+  get enabled() {
+    return !this.configError && this.schedules.length > 0 && this.categoryIds.length > 0;
+  }
+
+  /**
+   * Pick up today's call count, schedule the first run and warm up the cache
+   */
+  async start() {
+    if (!this.enabled) return;
+
+    await this.loadBudget();
+
+    console.log(
+      `Refresh scheduler: ${this.categoryIds.length} categories on "${this.schedules
+        .map(schedule => schedule.expression)
+        .join('; ')}", up to ${this.dailyCallBudget} eBay calls a day`
+    );
+
+    this.scheduleNext();
+    if (this.warmUp) {
+      this.run('warm-up');
+    }
+  }
+
+  /**
+   * Cancel the next run (a run in progress stops after its current category)
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRun = null;
+    this.stopped = true;
+  }
+
+  /**
+   * Set a timer for the earliest next run across the schedules
+   */
+  scheduleNext() {
+    const runs = this.schedules.map(schedule => schedule.next()).filter(Boolean);
+    this.nextRun = runs.length > 0 ? new Date(Math.min(...runs)) : null;
+    if (!this.nextRun) return;
+
+    const nextRun = this.nextRun;
+    this.timer = setTimeout(() => {
+      // Waits longer than a timer allows take several timers
+      if (Date.now() >= nextRun.getTime()) {
+        this.run('schedule');
+      }
+      this.scheduleNext();
+    }, Math.min(nextRun.getTime() - Date.now(), MAX_TIMER_MS));
+    this.timer.unref();
+  }
+
+  /**
+   * Refresh every category now, unless a run is already in progress
+   * @param {string} trigger - 'schedule' or 'warm-up'
+   * @returns {Promise<Object|null>} the run report, null when skipped
+   */
+  run(trigger = 'schedule') {
+    if (this.currentRun) {
+      console.warn(`[scheduler] Skipping ${trigger} run, the previous run is still going`);
+      return Promise.resolve(null);
+    }
+
+    this.stopped = false;
+    this.currentRun = this.refreshAll(trigger)
+      .catch((error) => {
+        console.error(`[scheduler] ${trigger} run failed:`, error.message);
+        return null;
+      })
+      .finally(() => {
+        this.currentRun = null;
+      });
+
+    return this.currentRun;
+  }
+
+  /**
+   * One pass over the categories
+   * @returns {Promise<Object>} { trigger, startedAt, finishedAt, refreshed, skipped: [{ categoryId, reason }], failed: [{ categoryId, error, at }] }
+   */
+  async refreshAll(trigger) {
+    const report = {
+      trigger,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      refreshed: [],
+      skipped: [],
+      failed: [],
+    };
+    this.lastRun = report;
+
+    let attempted = 0;
+    for (const categoryId of this.categoryIds) {
+      if (this.stopped) {
+        report.skipped.push({ categoryId, reason: 'stopped' });
+        continue;
+      }
+
+      if (trigger === 'warm-up' && (await this.isCached(categoryId))) {
+        report.skipped.push({ categoryId, reason: 'cached' });
+        continue;
+      }
+
+      if (this.getRemainingCalls() < this.estimatedCalls) {
+        report.skipped.push({ categoryId, reason: 'budget' });
+        continue;
+      }
+
+      if (attempted++ > 0 && this.staggerMs > 0) {
+        await sleep(this.staggerMs);
+      }
+
+      // Failed refreshes are charged too, for the calls they made before failing
+      const callsBefore = this.countCalls?.();
+      try {
+        await this.refreshCategory(categoryId);
+        report.refreshed.push(categoryId);
+      } catch (error) {
+        const failure = { categoryId, error: error.message, at: new Date().toISOString() };
+        report.failed.push(failure);
+        this.recentFailures = [failure, ...this.recentFailures].slice(0, MAX_RECENT_FAILURES);
+        console.error(`[scheduler] Refreshing category ${categoryId} failed:`, error.message);
+      }
+      await this.spendCalls(
+        this.countCalls ? this.countCalls() - callsBefore : this.estimatedCalls
+      );
+    }
+
+    report.finishedAt = new Date().toISOString();
+
+    const overBudget = report.skipped.filter(skip => skip.reason === 'budget').length;
+    console.log(
+      `[scheduler] ${trigger} run: ${report.refreshed.length} refreshed, ${report.failed.length} failed` +
+        (overBudget > 0 ? `, ${overBudget} skipped over the daily call budget` : '')
+    );
+
+    return report;
+  }
+
+  /**
+   * eBay calls left in today's budget (the budget resets at local midnight)
+   */
+  getRemainingCalls() {
+    this.resetBudgetOnNewDay();
+    return Math.max(0, this.dailyCallBudget - this.callsToday);
+  }
+
+  /**
+   * Count calls against today's budget and save the new total
+   */
+  spendCalls(calls) {
+    this.resetBudgetOnNewDay();
+    this.callsToday += calls;
+    return this.saveBudget();
+  }
+
+  resetBudgetOnNewDay() {
+    const today = new Date().toDateString();
+    if (this.budgetDay !== today) {
+      this.budgetDay = today;
+      this.callsToday = 0;
+    }
+  }
+
+  /**
+   * Restore today's call count from the budget file, if it was saved today
+   */
+  async loadBudget() {
+    if (!this.budgetFile) return;
+
+    try {
+      const { day, calls } = JSON.parse(await fs.readFile(this.budgetFile, 'utf-8'));
+      this.resetBudgetOnNewDay();
+      if (day === this.budgetDay && Number.isFinite(calls)) {
+        this.callsToday = Math.max(this.callsToday, calls);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[scheduler] Could not read the call budget:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Write today's call count to the budget file, one write at a time
+   */
+  saveBudget() {
+    if (!this.budgetFile) return Promise.resolve();
+
+    const budget = JSON.stringify({ day: this.budgetDay, calls: this.callsToday });
+    this.budgetWrites = this.budgetWrites.then(async () => {
+      try {
+        const tempPath = `${this.budgetFile}.${crypto.randomUUID()}.tmp`;
+        await fs.mkdir(path.dirname(this.budgetFile), { recursive: true });
+        await fs.writeFile(tempPath, budget, 'utf-8');
+        await fs.rename(tempPath, this.budgetFile);
+      } catch (error) {
+        console.error('[scheduler] Could not save the call budget:', error.message);
+      }
+    });
+
+    return this.budgetWrites;
+  }
+
+  /**
+   * Scheduler state for /api/health
+   */
+  getStatus() {
+    if (!this.enabled) {
+      return { enabled: false, ...(this.configError && { error: this.configError }) };
+    }
+
+    const remaining = this.getRemainingCalls();
+    const midnight = new Date();
+    midnight.setHours(24, 0, 0, 0);
+
+    return {
+      enabled: true,
+      schedules: this.schedules.map(schedule => schedule.expression),
+      categories: this.categoryIds,
+      running: this.currentRun !== null,
+      lastRun: this.lastRun,
+      nextRun: this.nextRun?.toISOString() ?? null,
+      budget: {
+        daily: this.dailyCallBudget,
+        used: this.callsToday,
+        remaining,
+        resetsAt: midnight.toISOString(),
+      },
+      recentFailures: this.recentFailures,
+    };
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms).unref());
+}
+
+export default RefreshScheduler;
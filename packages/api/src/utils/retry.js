@@ -0,0 +1,97 @@
+/**
+ * Retry helpers for eBay API calls
+ * Jittered exponential backoff that honours Retry-After and only retries
+ * errors that can succeed on a second attempt (rate limits, 5xx, network)
+ */
+
+export const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+};
+
+// Socket-level failures worth another attempt
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+]);
+
+/**
+ * Check whether a failed request is worth retrying
+ * 429 and 5xx are retryable; other 4xx (400, 401, 403, 404) are fatal
+ */
+export function isRetryableError(error) {
+  const status = error.response?.status;
+
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+
+  return RETRYABLE_NETWORK_CODES.has(error.code);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * Returns null if the header is missing or unparseable
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Delay before the next attempt (attempt is 0-based)
+ * Uses Retry-After when the server sends one, otherwise full-jitter backoff
+ */
+export function getRetryDelay(attempt, error, options = DEFAULT_RETRY_OPTIONS) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, options.maxDelayMs);
+  }
+
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run an async operation, retrying retryable failures with backoff
+ * @param {Function} operation - async (attempt) => result
+ * @param {Object} options - maxRetries, baseDelayMs, maxDelayMs, shouldRetry, onRetry
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+export async function withRetry(operation, options = {}) {
+  const settings = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  const shouldRetry = settings.shouldRetry || isRetryableError;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= settings.maxRetries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, error, settings);
+      settings.onRetry?.({ attempt: attempt + 1, delay, error });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+export default withRetry;
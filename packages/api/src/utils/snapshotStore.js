@@ -0,0 +1,529 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { SNAPSHOT_SCHEMA_VERSION, migrateSnapshot } from './migrations.js';
+import {
+  getAspectFiltersKey,
+  getListingFiltersKey,
+  normalizeAspectFilters,
+  normalizeListingFilters,
+  normalizeSortOrder,
+} from '../api/listingFilters.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far a category may run past the snapshot cap before its file is
+// rewritten, so a full history isn't rewritten on every record
+const PRUNE_SLACK_RATIO = 0.1;
+
+// Previous observations kept for results being served repeatedly
+const MAX_CACHED_OBSERVATIONS = 100;
+
+/**
+ * Append-only history of category fetches
+ * Every fresh category fetch is stored as one snapshot (a JSON line in
+ * snapshots/category_<id>.jsonl) with per-item price and engagement numbers.
+ * Unlike the cache, snapshots outlive CACHE_DURATION so changes over time
+ * can be measured; only the retention settings ever remove them
+ * Each file is parsed once and kept in memory (re-read only when another
+ * process, like the CLI, changed it). Files are pruned once they pass the
+ * cap by 10% or hold a snapshot a day past retention
+ * Snapshots carry a schemaVersion and older ones are migrated on read;
+ * migrateAll rewrites them and quarantines lines that can't be read
+ */
+
+/**
+ * Identify a category query: marketplace, listing filters, aspects, sort
+ * and item limit. Results are only compared with snapshots of the same
+ * query, since any of these changes which listings come back
+ * @param {Object} query - { marketplace, filters, aspects, sort, limit }
+ */
+export function getQueryKey({ marketplace = null, filters, aspects, sort, limit = null } = {}) {
+  return JSON.stringify([
+    marketplace,
+    getListingFiltersKey(normalizeListingFilters(filters)),
+    getAspectFiltersKey(normalizeAspectFilters(aspects)),
+    normalizeSortOrder(sort),
+    limit,
+  ]);
+}
+
+/**
+ * The query a category result from EbayClient answered
+ */
+function getResultQuery(result) {
+  return { ...result.query, limit: result.limit ?? null };
+}
+
+export class SnapshotStore {
+  constructor(snapshotDir = null) {
+    this.snapshotDir = snapshotDir || path.join(__dirname, '../../data/snapshots');
+    this.retentionDays = parseInt(process.env.SNAPSHOT_RETENTION_DAYS || 90);
+    this.maxPerCategory = parseInt(process.env.SNAPSHOT_MAX_PER_CATEGORY || 500);
+
+    // Parsed files by category: { snapshots (oldest first), size (bytes read) }
+    this.index = new Map();
+    this.loads = new Map();
+    // Pending file changes by category, run one at a time
+    this.writes = new Map();
+    // Query keys of indexed snapshots, worked out on first use
+    this.queryKeys = new WeakMap();
+    // getPreviousObservations results by category, query and timestamp
+    this.observations = new Map();
+  }
+
+  /**
+   * Record a fresh category result from EbayClient
+   * @param {Object} result - findItemsByCategory result (enriched items)
+   * @returns {Promise<Object|null>} The stored snapshot, or null if it could not be written
+   */
+  async record(result) {
+    const snapshot = {
+      schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+      id: crypto.randomUUID(),
+      timestamp: result.timestamp || new Date().toISOString(),
+      categoryId: result.categoryId,
+      marketplace: result.query?.marketplace || null,
+      filters: result.query?.filters || {},
+      aspects: result.query?.aspects || {},
+      sort: result.query?.sort || null,
+      limit: result.limit ?? null,
+      total: result.total || 0,
+      items: result.items.map(item => ({
+        itemId: item.itemId,
+        legacyItemId: item.legacyItemId || null,
+        title: item.title || null,
+        price: parseFloat(item.price?.value || 0),
+        currency: item.price?.currency || 'USD',
+        watchCount: item.watchCount ?? null,
+        quantitySold: item.quantitySold ?? null,
+        remainingQuantity: item.estimatedRemainingQuantity ?? item.estimatedAvailableQuantity ?? null,
+      })),
+    };
+
+    try {
+      await this.serialize(snapshot.categoryId, async () => {
+        const entry = await this.load(snapshot.categoryId);
+        const line = `${JSON.stringify(snapshot)}\n`;
+
+        await fs.mkdir(this.snapshotDir, { recursive: true });
+        await fs.appendFile(this.getFilePath(snapshot.categoryId), line, 'utf-8');
+        entry.snapshots.push(snapshot);
+        entry.size += Buffer.byteLength(line);
+
+        if (this.needsPruning(entry)) {
+          await this.rewrite(snapshot.categoryId, this.applyRetention(entry.snapshots));
+        }
+      });
+      return snapshot;
+    } catch (error) {
+      console.error('Error writing snapshot:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Read a category's snapshots, oldest first
+   * @param {string} categoryId
+   * @param {Object} options
+   * @param {number} options.days - Only snapshots from the last N days
+   * @param {string} options.marketplace - Only snapshots from this marketplace
+   * @param {Object} options.query - Only snapshots of this query (see getQueryKey)
+   * @returns {Promise<Object[]>}
+   */
+  async getSnapshots(categoryId, { days, marketplace, query } = {}) {
+    const { snapshots } = await this.load(categoryId);
+    return this.selectSnapshots(snapshots, { days, marketplace, query });
+  }
+
+  /**
+   * Filter indexed snapshots as getSnapshots does
+   */
+  selectSnapshots(snapshots, { days, marketplace, query } = {}) {
+    const since = days ? Date.now() - days * DAY_MS : 0;
+    const queryKey = query ? getQueryKey(query) : null;
+
+    return snapshots.filter(snapshot =>
+      Date.parse(snapshot.timestamp) >= since &&
+      (!marketplace || snapshot.marketplace === marketplace) &&
+      (!queryKey || this.getSnapshotQueryKey(snapshot) === queryKey)
+    );
+  }
+
+  /**
+   * The query key of a stored snapshot, null when it can't be worked out
+   * (a sort order no longer supported)
+   */
+  getSnapshotQueryKey(snapshot) {
+    if (!this.queryKeys.has(snapshot)) {
+      let queryKey = null;
+      try {
+        queryKey = getQueryKey(snapshot);
+      } catch (error) {
+        // Never matches a current query
+      }
+      this.queryKeys.set(snapshot, queryKey);
+    }
+
+    return this.queryKeys.get(snapshot);
+  }
+
+  /**
+   * Every observation of one item across all categories, oldest first
+   * @param {string} itemId - Browse API item ID (v1|...|0) or legacy item ID
+   * @param {Object} options - { days, marketplace, categoryId }
+   * @returns {Promise<Object[]>}
+   */
+  async getItemSnapshots(itemId, { days, marketplace, categoryId } = {}) {
+    const categoryIds = categoryId ? [categoryId] : await this.getCategoryIds();
+    const observations = [];
+
+    for (const id of categoryIds) {
+      for (const snapshot of await this.getSnapshots(id, { days, marketplace })) {
+        const item = snapshot.items.find(i => i.itemId === itemId || i.legacyItemId === itemId);
+        if (item) {
+          observations.push({
+            timestamp: snapshot.timestamp,
+            categoryId: snapshot.categoryId,
+            marketplace: snapshot.marketplace,
+            ...item,
+          });
+        }
+      }
+    }
+
+    return observations.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  }
+
+  /**
+   * Every item's observations in the snapshots of the same query taken
+   * before a result, for measuring change since earlier fetches (see TrendAnalyzer)
+   * A cached result is served many times, so the answer is kept until the
+   * category's snapshots change; callers must not modify it
+   * @param {Object} result - Category result from EbayClient
+   * @returns {Promise<Object>} { asOf, observations: Map(itemId -> [{ timestamp, ...item metrics }], oldest first) }
+   */
+  async getPreviousObservations(result) {
+    const asOf = result.timestamp;
+    const query = getResultQuery(result);
+    const entry = await this.load(result.categoryId);
+    const key = JSON.stringify([String(result.categoryId), getQueryKey(query), asOf]);
+
+    // A different entry means the file was reloaded or rewritten
+    const cached = this.observations.get(key);
+    if (cached && cached.entry === entry && cached.count === entry.snapshots.length) {
+      return cached.history;
+    }
+
+    const before = Date.parse(asOf);
+    const observations = new Map();
+
+    for (const snapshot of this.selectSnapshots(entry.snapshots, { query })) {
+      if (Date.parse(snapshot.timestamp) >= before) continue;
+
+      for (const item of snapshot.items) {
+        if (!observations.has(item.itemId)) {
+          observations.set(item.itemId, []);
+        }
+        observations.get(item.itemId).push({ timestamp: snapshot.timestamp, ...item });
+      }
+    }
+
+    const history = { asOf, observations };
+    this.observations.delete(key);
+    this.observations.set(key, { entry, count: entry.snapshots.length, history });
+    if (this.observations.size > MAX_CACHED_OBSERVATIONS) {
+      this.observations.delete(this.observations.keys().next().value);
+    }
+
+    return history;
+  }
+
+  /**
+   * The most recent snapshot of the same query taken before a result, or null
+   * @param {Object} result - Category result from EbayClient
+   * @returns {Promise<Object|null>}
+   */
+  async getPreviousSnapshot(result) {
+    const before = Date.parse(result.timestamp);
+    const earlier = (await this.getSnapshots(result.categoryId, { query: getResultQuery(result) }))
+      .filter(snapshot => Date.parse(snapshot.timestamp) < before);
+
+    return earlier[earlier.length - 1] || null;
+  }
+
+  /**
+   * Category stats per snapshot of one query over the last N days, plus
+   * the change between the first and last snapshot in the window
+   * @param {string} categoryId
+   * @param {Object} options - { days (default 7), query (see getQueryKey) }
+   * @returns {Promise<Object>}
+   */
+  async getCategoryStats(categoryId, { days = 7, query } = {}) {
+    const series = (await this.getSnapshots(categoryId, { days, query })).map(snapshot => {
+      const prices = snapshot.items.map(i => i.price).filter(p => p > 0);
+      const sum = (field) => snapshot.items.reduce((total, i) => total + (i[field] || 0), 0);
+
+      return {
+        timestamp: snapshot.timestamp,
+        total: snapshot.total,
+        itemCount: snapshot.items.length,
+        avgPrice: prices.length > 0 ? prices.reduce((a, b) => a + b, 0) / prices.length : 0,
+        minPrice: prices.length > 0 ? Math.min(...prices) : 0,
+        maxPrice: prices.length > 0 ? Math.max(...prices) : 0,
+        totalWatchers: sum('watchCount'),
+        totalSold: sum('quantitySold'),
+      };
+    });
+
+    const first = series[0];
+    const last = series[series.length - 1];
+
+    return {
+      categoryId,
+      marketplace: query?.marketplace || null,
+      days,
+      snapshotCount: series.length,
+      from: first?.timestamp || null,
+      to: last?.timestamp || null,
+      series,
+      change: series.length > 1 ? {
+        total: last.total - first.total,
+        avgPrice: last.avgPrice - first.avgPrice,
+        totalWatchers: last.totalWatchers - first.totalWatchers,
+        totalSold: last.totalSold - first.totalSold,
+      } : null,
+    };
+  }
+
+  /**
+   * Drop snapshots older than the retention window and beyond the per-category cap
+   * The file is rewritten only when something actually has to go
+   * @returns {Promise<number>} Number of snapshots removed
+   */
+  async prune(categoryId) {
+    return this.serialize(categoryId, async () => {
+      const { snapshots } = await this.load(categoryId);
+      const kept = this.applyRetention(snapshots);
+
+      const removed = snapshots.length - kept.length;
+      if (removed > 0) {
+        await this.rewrite(categoryId, kept);
+      }
+      return removed;
+    });
+  }
+
+  /**
+   * Whether a category is far enough past its limits to be worth a rewrite
+   */
+  needsPruning({ snapshots }) {
+    if (snapshots.length === 0) return false;
+
+    const countLimit = this.maxPerCategory + Math.ceil(this.maxPerCategory * PRUNE_SLACK_RATIO);
+    const ageLimit = Date.now() - (this.retentionDays + 1) * DAY_MS;
+    return snapshots.length > countLimit || Date.parse(snapshots[0].timestamp) < ageLimit;
+  }
+
+  /**
+   * The snapshots inside the retention window and the per-category cap
+   */
+  applyRetention(snapshots) {
+    const cutoff = Date.now() - this.retentionDays * DAY_MS;
+
+    return snapshots
+      .filter(snapshot => Date.parse(snapshot.timestamp) >= cutoff)
+      .slice(-this.maxPerCategory);
+  }
+
+  /**
+   * Replace a category's file (and its index entry) with these snapshots
+   * Written to a temp file first so a crash never leaves a half-written history
+   */
+  async rewrite(categoryId, snapshots) {
+    const filePath = this.getFilePath(categoryId);
+    const contents = snapshots.map(snapshot => `${JSON.stringify(snapshot)}\n`).join('');
+    const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+
+    await fs.writeFile(tempPath, contents, 'utf-8');
+    await fs.rename(tempPath, filePath);
+    this.index.set(String(categoryId), { snapshots, size: Buffer.byteLength(contents) });
+  }
+
+  /**
+   * Rewrite every snapshot file at the current schema version
+   * Lines that can't be parsed or migrated are moved to
+   * quarantine/category_<id>.jsonl; files already current are left alone
+   * @returns {Promise<Object>} { scanned, migrated, quarantined }
+   */
+  async migrateAll() {
+    const report = { scanned: 0, migrated: 0, quarantined: 0 };
+
+    for (const categoryId of await this.getCategoryIds()) {
+      await this.serialize(categoryId, async () => {
+        const filePath = this.getFilePath(categoryId);
+        const kept = [];
+        const rejected = [];
+        let migrated = 0;
+
+        let lines;
+        try {
+          lines = (await fs.readFile(filePath, 'utf-8')).split('\n');
+        } catch (error) {
+          console.error(`Error reading snapshots for category ${categoryId}:`, error.message);
+          return;
+        }
+
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          report.scanned++;
+
+          try {
+            const { record, migrated: changed } = migrateSnapshot(JSON.parse(line));
+            kept.push(record);
+            if (changed) migrated++;
+          } catch (error) {
+            rejected.push(line);
+          }
+        }
+
+        if (migrated === 0 && rejected.length === 0) return;
+
+        try {
+          if (rejected.length > 0) {
+            const quarantineDir = path.join(this.snapshotDir, 'quarantine');
+            await fs.mkdir(quarantineDir, { recursive: true });
+            await fs.appendFile(
+              path.join(quarantineDir, path.basename(filePath)),
+              rejected.map(line => `${line}\n`).join(''),
+              'utf-8'
+            );
+          }
+
+          await this.rewrite(categoryId, kept);
+
+          report.migrated += migrated;
+          report.quarantined += rejected.length;
+        } catch (error) {
+          console.error(`Error migrating snapshots for category ${categoryId}:`, error.message);
+        }
+      });
+    }
+
+    return report;
+  }
+
+  /**
+   * Category IDs that have at least one snapshot
+   * @returns {Promise<string[]>}
+   */
+  async getCategoryIds() {
+    try {
+      return (await fs.readdir(this.snapshotDir))
+        .map(file => file.match(/^category_(.+)\.jsonl$/)?.[1])
+        .filter(Boolean);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error listing snapshots:', error.message);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * A category's index entry, reading the file on first use and again
+   * whenever its size no longer matches what this process read or wrote
+   * @returns {Promise<Object>} { snapshots (oldest first), size }
+   */
+  async load(categoryId) {
+    const key = String(categoryId);
+
+    // Share one read between concurrent callers
+    if (!this.loads.has(key)) {
+      this.loads.set(key, this.refreshIndex(key).finally(() => {
+        this.loads.delete(key);
+      }));
+    }
+
+    return this.loads.get(key);
+  }
+
+  async refreshIndex(key) {
+    const filePath = this.getFilePath(key);
+
+    let size = 0;
+    try {
+      size = (await fs.stat(filePath)).size;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const indexed = this.index.get(key);
+    if (indexed && indexed.size === size) {
+      return indexed;
+    }
+
+    const entry = { snapshots: size > 0 ? await this.readFile(filePath) : [], size };
+    this.index.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Run a change to a category's file once the earlier ones have finished,
+   * so appends and rewrites never interleave
+   */
+  serialize(categoryId, task) {
+    const key = String(categoryId);
+    const run = (this.writes.get(key) || Promise.resolve()).then(task);
+    const settled = run.catch(() => {});
+
+    this.writes.set(key, settled);
+    settled.then(() => {
+      if (this.writes.get(key) === settled) this.writes.delete(key);
+    });
+
+    return run;
+  }
+
+  /**
+   * Parse a snapshot file at the current schema version, skipping lines
+   * that can't be read or migrated
+   */
+  async readFile(filePath) {
+    let contents;
+    try {
+      contents = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const snapshots = [];
+    for (const line of contents.split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        snapshots.push(migrateSnapshot(JSON.parse(line)).record);
+      } catch (error) {
+        // A torn final line from an interrupted append, or a record
+        // migrateAll will quarantine - ignore it
+      }
+    }
+
+    return snapshots;
+  }
+
+  /**
+   * Generate snapshot file path from category ID
+   */
+  getFilePath(categoryId) {
+    const sanitizedId = String(categoryId).replace(/[^a-z0-9_-]/gi, '_');
+    return path.join(this.snapshotDir, `category_${sanitizedId}.jsonl`);
+  }
+}
+
+export default SnapshotStore;
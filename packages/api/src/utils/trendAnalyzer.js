@@ -1,8 +1,47 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shorter spans between observations give rates too noisy to report
+const MIN_VELOCITY_DAYS = 1 / 24;
+
+const HISTOGRAM_BUCKETS = 10;
+
+// Seller feedback bands, by feedback score
+export const FEEDBACK_BANDS = [
+  { key: 'NEW', label: 'New (< 100)', min: 0 },
+  { key: 'GROWING', label: 'Growing (100 - 999)', min: 100 },
+  { key: 'ESTABLISHED', label: 'Established (1,000 - 9,999)', min: 1000 },
+  { key: 'LARGE', label: 'Large (10,000+)', min: 10000 },
+];
+
+// Herfindahl-Hirschman index thresholds (US merger guidelines)
+const HHI_LEVELS = [
+  { label: 'Highly concentrated', min: 2500 },
+  { label: 'Moderately concentrated', min: 1500 },
+  { label: 'Unconcentrated', min: 0 },
+];
+
+// Prices the category distribution can be computed on
+export const PRICE_BASES = {
+  price: 'Item price',
+  landed: 'Price + shipping',
+};
+
+/**
+ * Percentile of an ascending list, interpolating between neighbours
+ */
+function percentile(sorted, p) {
+  const rank = (sorted.length - 1) * p;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
 /**
  * Trend Analyzer
  * Calculates trend indicators based on real eBay data:
- * - Listing velocity (how fast items are being listed)
- * - Engagement (watchers, bids)
+ * - Engagement (watchers, estimated units sold)
+ * - Discount depth and stock depletion
+ * - Sales velocity and momentum between snapshots, when history exists
  * - Price trends (compared to sold items)
  */
 
@@ -14,43 +53,286 @@ export class TrendAnalyzer {
       STABLE: { symbol: '➡️', label: 'Stable', threshold: 0.2 },
       DECLINING: { symbol: '📉', label: 'Declining', threshold: 0 },
     };
+
+    // Signal weights; signals an item lacks are left out and the rest rescaled
+    this.weights = {
+      watchers: 0.3,
+      sold: 0.3,
+      momentum: 0.2,
+      discount: 0.1,
+      depletion: 0.1,
+    };
+
+    // Velocity is measured over the last N days of snapshots
+    this.velocityWindowDays = parseInt(process.env.VELOCITY_WINDOW_DAYS || 7);
+
+    // Category maxima per item list, so scoring a whole list stays linear
+    this.contexts = new WeakMap();
+  }
+
+  /**
+   * Classify an item as HOT / RISING / STABLE / DECLINING
+   * @param {Object} item - Browse API item (enriched)
+   * @param {Object[]} allItems - Every item in the category, for normalization
+   * @param {Object} history - Optional { asOf, observations: Map(itemId -> snapshot entries) },
+   *   see SnapshotStore.getPreviousObservations
+   * @returns {Object} { key, symbol, label, score, signals }
+   */
+  analyzeTrend(item, allItems = [], history = null) {
+    const { score, signals } = this.scoreItem(item, allItems, history);
+    const [key, trend] = Object.entries(this.trends).find(([, t]) => score >= t.threshold);
+
+    return {
+      key,
+      symbol: trend.symbol,
+      label: trend.label,
+      score: Math.round(score * 100) / 100,
+      signals,
+    };
+  }
+
+  /**
+   * Classify every item of a category in one pass
+   */
+  analyzeTrends(items, history = null) {
+    return items.map(item => this.analyzeTrend(item, items, history));
+  }
+
+  /**
+   * Trend score between 0 and 1, relative to the rest of the category
+   */
+  calculateTrendScore(item, allItems = [], history = null) {
+    return this.scoreItem(item, allItems, history).score;
+  }
+
+  /**
+   * Weighted average of the item's normalized signals
+   * Counts are log-scaled against the category maximum so a single
+   * blockbuster listing doesn't flatten everyone else to zero
+   */
+  scoreItem(item, allItems, history) {
+    const items = allItems.length > 0 ? allItems : [item];
+    const context = this.getScoringContext(items, history);
+    const raw = this.getRawSignals(item, history);
+
+    // A signal that is zero across the whole category says nothing, so it's left out
+    const scaleLog = (value, max) => (max > 0 ? Math.log1p(value) / Math.log1p(max) : null);
+    const signals = {
+      watchers: scaleLog(raw.watchers, context.max.watchers),
+      sold: scaleLog(raw.sold, context.max.sold),
+      discount: context.max.discount > 0 ? raw.discount / context.max.discount : null,
+      depletion: raw.depletion,
+      // Momentum keeps its sign: losing watchers pulls the score down
+      momentum: raw.momentum === null || context.max.momentum === 0
+        ? null
+        : Math.sign(raw.momentum) * scaleLog(Math.abs(raw.momentum), context.max.momentum),
+    };
+
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [name, weight] of Object.entries(this.weights)) {
+      if (signals[name] === null) continue;
+      weighted += signals[name] * weight;
+      totalWeight += weight;
+    }
+
+    const score = totalWeight > 0 ? Math.min(1, Math.max(0, weighted / totalWeight)) : 0;
+
+    for (const name of Object.keys(signals)) {
+      if (signals[name] !== null) signals[name] = Math.round(signals[name] * 100) / 100;
+    }
+
+    return { score, signals };
+  }
+
+  /**
+   * Category maxima used to normalize each signal
+   */
+  getScoringContext(items, history) {
+    const cached = this.contexts.get(items);
+    if (cached && cached.history === history) {
+      return cached;
+    }
+
+    const max = { watchers: 0, sold: 0, discount: 0, momentum: 0 };
+    for (const item of items) {
+      const raw = this.getRawSignals(item, history);
+      max.watchers = Math.max(max.watchers, raw.watchers);
+      max.sold = Math.max(max.sold, raw.sold);
+      max.discount = Math.max(max.discount, raw.discount);
+      max.momentum = Math.max(max.momentum, Math.abs(raw.momentum || 0));
+    }
+
+    const context = { history, max };
+    this.contexts.set(items, context);
+    return context;
   }
 
   /**
-   * No trend analysis - just return empty object
+   * Unnormalized signals for one item
+   * - depletion: share of stock already sold, null when remaining stock is unknown
+   * - momentum: units sold plus watchers gained per day (see calculateVelocity),
+   *   null without history for the item
    */
-  analyzeTrend(item, allItems = []) {
-    return { symbol: '', label: '' };
+  getRawSignals(item, history) {
+    const watchers = parseInt(item.watchCount || 0);
+    const sold = parseInt(item.quantitySold || 0);
+    const discount = this.getDiscount(item)?.percent || 0;
+    const remaining = parseInt(item.estimatedRemainingQuantity ?? item.estimatedAvailableQuantity);
+
+    let depletion = null;
+    if (Number.isFinite(remaining) && sold + remaining > 0) {
+      depletion = sold / (sold + remaining);
+    }
+
+    const velocity = this.calculateVelocity(item, history);
+    const momentum = velocity
+      ? (velocity.unitsPerDay || 0) + (velocity.watchersPerDay || 0)
+      : null;
+
+    return { watchers, sold, discount, depletion, momentum };
   }
 
   /**
-   * No trend scoring - removed
+   * Sales velocity from successive snapshot observations of the same item
+   * quantitySold is a lifetime counter, so only its growth between
+   * observations says how fast an item sells right now
+   * - A drop in quantitySold means the listing was relisted or its counter
+   *   reset, so that interval is skipped instead of counting negative sales
+   * - Gaps where the item was missing from snapshots are bridged, the
+   *   counter keeps running while the item is out of view
+   * @param {Object} item - Current Browse API item (enriched)
+   * @param {Object} history - { asOf, observations } from SnapshotStore.getPreviousObservations
+   * @returns {Object|null} { unitsPerDay, watchersPerDay, revenuePerDay, currency, days,
+   *   observations, resets }, or null without enough history
    */
-  calculateTrendScore(item, allItems) {
-    return 0;
+  calculateVelocity(item, history) {
+    const past = history?.observations?.get(item.itemId);
+    if (!past || past.length === 0) return null;
+
+    // Observations inside the window, anchored by the last one before it
+    const windowStart = Date.parse(history.asOf) - this.velocityWindowDays * DAY_MS;
+    const firstInWindow = past.findIndex(o => Date.parse(o.timestamp) >= windowStart);
+    const start = firstInWindow === -1 ? past.length - 1 : Math.max(0, firstInWindow - 1);
+
+    const toCount = (value) => (value === undefined || value === null ? null : parseInt(value));
+    const series = [
+      ...past.slice(start),
+      { timestamp: history.asOf, quantitySold: item.quantitySold, watchCount: item.watchCount },
+    ].map(o => ({
+      time: Date.parse(o.timestamp),
+      sold: toCount(o.quantitySold),
+      watchers: toCount(o.watchCount),
+    }));
+
+    let units = 0;
+    let soldDays = 0;
+    let watcherGrowth = 0;
+    let watcherDays = 0;
+    let resets = 0;
+
+    for (let i = 1; i < series.length; i++) {
+      const previous = series[i - 1];
+      const current = series[i];
+      const days = (current.time - previous.time) / DAY_MS;
+      if (days <= 0) continue;
+
+      if (previous.sold !== null && current.sold !== null) {
+        if (current.sold < previous.sold) {
+          resets++;
+        } else {
+          units += current.sold - previous.sold;
+          soldDays += days;
+        }
+      }
+
+      if (previous.watchers !== null && current.watchers !== null) {
+        watcherGrowth += current.watchers - previous.watchers;
+        watcherDays += days;
+      }
+    }
+
+    if (soldDays < MIN_VELOCITY_DAYS && watcherDays < MIN_VELOCITY_DAYS) {
+      return null;
+    }
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const unitsPerDay = soldDays >= MIN_VELOCITY_DAYS ? units / soldDays : null;
+    const price = parseFloat(item.price?.value || 0);
+
+    return {
+      unitsPerDay: unitsPerDay === null ? null : round(unitsPerDay),
+      watchersPerDay: watcherDays >= MIN_VELOCITY_DAYS ? round(watcherGrowth / watcherDays) : null,
+      revenuePerDay: unitsPerDay === null ? null : round(unitsPerDay * price),
+      currency: item.price?.currency || 'USD',
+      days: round(Math.max(soldDays, watcherDays)),
+      observations: series.length,
+      resets,
+    };
+  }
+
+  /**
+   * Category-wide velocity: totals over items with history, plus listings
+   * from the previous snapshot that are gone now (sold out, ended, or pushed
+   * out of the results)
+   */
+  summarizeVelocity(items, history) {
+    if (!history || history.observations.size === 0) return null;
+
+    const velocities = items
+      .map(item => this.calculateVelocity(item, history))
+      .filter(Boolean);
+
+    let previousSnapshot = null;
+    for (const observations of history.observations.values()) {
+      const last = observations[observations.length - 1].timestamp;
+      if (!previousSnapshot || last > previousSnapshot) previousSnapshot = last;
+    }
+
+    const currentIds = new Set(items.map(item => item.itemId));
+    let disappeared = 0;
+    for (const [itemId, observations] of history.observations) {
+      if (observations[observations.length - 1].timestamp === previousSnapshot && !currentIds.has(itemId)) {
+        disappeared++;
+      }
+    }
+
+    const sum = (field) => Math.round(
+      velocities.reduce((total, v) => total + (v[field] || 0), 0) * 100
+    ) / 100;
+
+    return {
+      trackedItems: velocities.length,
+      unitsPerDay: sum('unitsPerDay'),
+      revenuePerDay: sum('revenuePerDay'),
+      currency: this.getPrimaryCurrency(items),
+      previousSnapshot,
+      disappeared,
+    };
   }
 
   /**
    * Extract key metrics from eBay item data (Browse API format)
    */
   extractMetrics(item) {
-    // Safety check for Browse API format
+    // Safety check for Browse API format (older cached shapes are migrated
+    // on read, see migrations.js)
     if (!item || !item.price) {
       console.error('Invalid item format:', item);
-      throw new Error('Invalid item data format - cache may be outdated');
+      throw new Error('Invalid item data format - expected a Browse API item');
     }
 
-    const hasDiscount = item.marketingPrice?.originalPrice &&
-                       item.marketingPrice?.discountPercentage &&
-                       parseFloat(item.marketingPrice.discountPercentage) > 0;
-    const freeShipping = item.shippingOptions?.[0]?.shippingCost?.value === '0.00';
+    const discount = this.getDiscount(item);
+    const shippingCost = this.getShippingCost(item);
 
     return {
       // Basic info
       price: parseFloat(item.price.value || 0),
       currency: item.price.currency || 'USD',
-      originalPrice: hasDiscount ? parseFloat(item.marketingPrice.originalPrice.value) : null,
-      discountPercent: hasDiscount ? item.marketingPrice.discountPercentage : null,
+      originalPrice: discount?.originalPrice ?? null,
+      discountAmount: discount?.amount ?? null,
+      discountPercent: discount?.percent ?? null,
+      landedCost: Math.round(this.getComparablePrice(item, 'landed') * 100) / 100,
       condition: item.condition || 'Unknown',
       itemUrl: item.itemWebUrl || '#',
       itemId: item.legacyItemId || item.itemId || 'N/A',
@@ -69,9 +351,9 @@ export class TrendAnalyzer {
       topRated: item.topRatedBuyingExperience || false,
       promoted: item.priorityListing || false,
 
-      // Shipping
-      freeShipping,
-      shippingCost: item.shippingCost?.value ? `$${item.shippingCost.value}` : null,
+      // Shipping (cost is null when eBay didn't quote one)
+      freeShipping: shippingCost === 0,
+      shippingCost,
       shippingType: item.shippingType || null,
       shipToLocations: item.shipToLocations || null,
 
@@ -100,8 +382,11 @@ export class TrendAnalyzer {
 
   /**
    * Calculate category-wide statistics
+   * @param {Object[]} items - Browse API items
+   * @param {Object} options
+   * @param {string} options.priceBasis - 'price' or 'landed' (price + shipping), see PRICE_BASES
    */
-  calculateCategoryStats(items) {
+  calculateCategoryStats(items, { priceBasis = 'price' } = {}) {
     if (!items || items.length === 0) {
       return {
         avgPrice: 0,
@@ -110,11 +395,16 @@ export class TrendAnalyzer {
         totalListings: 0,
         totalWatchers: 0,
         avgWatchers: 0,
+        currency: 'USD',
+        priceBasis,
+        distribution: null,
+        shipping: null,
+        discounts: null,
       };
     }
 
     const prices = items.map(item =>
-      parseFloat(item.price?.value || 0)
+      this.getComparablePrice(item, priceBasis)
     ).filter(p => p > 0);
 
     const watchers = items.map(item =>
@@ -128,15 +418,434 @@ export class TrendAnalyzer {
       totalListings: items.length,
       totalWatchers: watchers.reduce((a, b) => a + b, 0),
       avgWatchers: watchers.length > 0 ? watchers.reduce((a, b) => a + b, 0) / watchers.length : 0,
+      currency: this.getPrimaryCurrency(items),
+      priceBasis,
+      distribution: this.calculatePriceDistribution(prices),
+      shipping: this.calculateShippingStats(items),
+      discounts: this.calculateDiscountStats(items),
+    };
+  }
+
+  /**
+   * Shipping costs across a category, overall and per condition
+   * Averages only cover listings with a quoted cost (free counts as 0)
+   * @param {Object[]} items - Browse API items
+   * @returns {Object} { quotedListings, freeShippingShare, avgShippingCost,
+   *   avgPaidShippingCost, byCondition: [{ condition, listings, freeShippingShare, avgShippingCost }] }
+   */
+  calculateShippingStats(items) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const share = (count, total) =>
+      total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+    const average = (costs) =>
+      costs.length > 0 ? round(costs.reduce((a, b) => a + b, 0) / costs.length) : null;
+
+    const summarize = (group) => {
+      const costs = group.map(item => this.getShippingCost(item)).filter(cost => cost !== null);
+      const free = costs.filter(cost => cost === 0).length;
+
+      return {
+        listings: group.length,
+        quotedListings: costs.length,
+        freeShippingShare: share(free, group.length),
+        avgShippingCost: average(costs),
+        avgPaidShippingCost: average(costs.filter(cost => cost > 0)),
+      };
+    };
+
+    const byCondition = new Map();
+    for (const item of items) {
+      const condition = item.condition || 'Unknown';
+      if (!byCondition.has(condition)) byCondition.set(condition, []);
+      byCondition.get(condition).push(item);
+    }
+
+    const { listings, ...overall } = summarize(items);
+
+    return {
+      ...overall,
+      byCondition: [...byCondition.entries()]
+        .map(([condition, group]) => {
+          const { listings, freeShippingShare, avgShippingCost } = summarize(group);
+          return { condition, listings, freeShippingShare, avgShippingCost };
+        })
+        .sort((a, b) => b.listings - a.listings),
     };
   }
 
+  /**
+   * How many listings are marked down and by how much
+   * @param {Object[]} items - Browse API items
+   * @returns {Object} { discountedListings, discountedShare, avgDiscountPercent,
+   *   medianDiscountPercent, maxDiscountPercent, avgDiscountAmount }
+   */
+  calculateDiscountStats(items) {
+    const discounts = items.map(item => this.getDiscount(item)).filter(Boolean);
+    const percents = discounts.map(discount => discount.percent).sort((a, b) => a - b);
+    const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+    if (discounts.length === 0) {
+      return {
+        discountedListings: 0,
+        discountedShare: 0,
+        avgDiscountPercent: null,
+        medianDiscountPercent: null,
+        maxDiscountPercent: null,
+        avgDiscountAmount: null,
+      };
+    }
+
+    return {
+      discountedListings: discounts.length,
+      discountedShare: round((discounts.length / items.length) * 100, 1),
+      avgDiscountPercent: round(percents.reduce((a, b) => a + b, 0) / percents.length, 1),
+      medianDiscountPercent: round(percentile(percents, 0.5), 1),
+      maxDiscountPercent: percents[percents.length - 1],
+      avgDiscountAmount: round(discounts.reduce((total, d) => total + d.amount, 0) / discounts.length, 2),
+    };
+  }
+
+  /**
+   * Percentiles, spread and a histogram of a category's prices
+   * Mean, min and max are dominated by $1 accessories and one-off luxury
+   * listings; the median and quartiles aren't. Prices outside the Tukey
+   * fences (1.5 x IQR beyond the quartiles) count as outliers and are left
+   * out of the histogram range so they don't squash every other bucket
+   * @param {number[]} prices
+   * @returns {Object|null} null when there are no prices
+   */
+  calculatePriceDistribution(prices) {
+    if (prices.length === 0) return null;
+
+    const sorted = [...prices].sort((a, b) => a - b);
+    const mean = sorted.reduce((a, b) => a + b, 0) / sorted.length;
+    const variance = sorted.reduce((total, p) => total + (p - mean) ** 2, 0) / sorted.length;
+    const q1 = percentile(sorted, 0.25);
+    const q3 = percentile(sorted, 0.75);
+    const iqr = q3 - q1;
+    const lowerFence = q1 - 1.5 * iqr;
+    const upperFence = q3 + 1.5 * iqr;
+
+    const inliers = sorted.filter(p => p >= lowerFence && p <= upperFence);
+    const low = inliers[0];
+    const high = inliers[inliers.length - 1];
+    const width = (high - low) / HISTOGRAM_BUCKETS;
+
+    const histogram = [];
+    if (width === 0) {
+      histogram.push({ min: low, max: high, count: inliers.length });
+    } else {
+      for (let i = 0; i < HISTOGRAM_BUCKETS; i++) {
+        histogram.push({ min: low + i * width, max: low + (i + 1) * width, count: 0 });
+      }
+      for (const price of inliers) {
+        histogram[Math.min(Math.floor((price - low) / width), HISTOGRAM_BUCKETS - 1)].count++;
+      }
+    }
+
+    const round = (value) => Math.round(value * 100) / 100;
+
+    return {
+      count: sorted.length,
+      median: round(percentile(sorted, 0.5)),
+      p10: round(percentile(sorted, 0.1)),
+      q1: round(q1),
+      q3: round(q3),
+      p90: round(percentile(sorted, 0.9)),
+      stdDev: round(Math.sqrt(variance)),
+      iqr: round(iqr),
+      lowerFence: round(lowerFence),
+      upperFence: round(upperFence),
+      outliers: {
+        low: sorted.filter(p => p < lowerFence).length,
+        high: sorted.filter(p => p > upperFence).length,
+      },
+      histogram: histogram.map(bucket => ({
+        min: round(bucket.min),
+        max: round(bucket.max),
+        count: bucket.count,
+      })),
+    };
+  }
+
+  /**
+   * Whether an item's price falls outside the category's outlier fences
+   * @param {Object} item - Browse API item
+   * @param {Object} stats - calculateCategoryStats result for the same items
+   * @returns {string|null} 'low', 'high' or null
+   */
+  getPriceOutlier(item, stats) {
+    const distribution = stats.distribution;
+    const price = this.getComparablePrice(item, stats.priceBasis);
+    if (!distribution || !(price > 0)) return null;
+
+    if (price < distribution.lowerFence) return 'low';
+    if (price > distribution.upperFence) return 'high';
+    return null;
+  }
+
+  /**
+   * Item price, plus the first shipping option's cost for the landed basis
+   * Unknown shipping counts as free rather than dropping the item
+   */
+  getComparablePrice(item, priceBasis = 'price') {
+    const price = parseFloat(item.price?.value || 0);
+    if (priceBasis !== 'landed') return price;
+
+    return price + (this.getShippingCost(item) || 0);
+  }
+
+  /**
+   * Numeric cost of the first shipping option, null when eBay didn't say
+   */
+  getShippingCost(item) {
+    const cost = item.shippingOptions?.[0]?.shippingCost || item.shippingCost;
+    if (cost?.value === undefined || cost?.value === null) return null;
+
+    return parseFloat(cost.value);
+  }
+
+  /**
+   * Markdown against the strike-through price, null when the item isn't
+   * discounted. The percentage is computed from the two prices rather than
+   * taken from eBay's rounded discountPercentage
+   * @returns {Object|null} { originalPrice, amount, percent }
+   */
+  getDiscount(item) {
+    const price = parseFloat(item.price?.value || 0);
+    const originalPrice = parseFloat(item.marketingPrice?.originalPrice?.value || 0);
+    if (!(price > 0) || !(originalPrice > price)) return null;
+
+    const amount = originalPrice - price;
+    return {
+      originalPrice,
+      amount: Math.round(amount * 100) / 100,
+      percent: Math.round((amount / originalPrice) * 1000) / 10,
+    };
+  }
+
+  /**
+   * Most common listing currency (one marketplace can list in several)
+   */
+  getPrimaryCurrency(items) {
+    const counts = {};
+    for (const item of items) {
+      const currency = item.price?.currency || 'USD';
+      counts[currency] = (counts[currency] || 0) + 1;
+    }
+
+    return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || 'USD';
+  }
+
+  /**
+   * Turn aspect and sub-category match counts into shares of all matching listings
+   * e.g. Brand: Apple 41.2%, Samsung 18.5% - shares within an aspect need not
+   * add up to 100, eBay only reports its top values and listings can lack the aspect
+   * @param {Object} refinements - From EbayClient.parseRefinements
+   * @param {number} totalMatches - Total listings matching the search
+   */
+  analyzeRefinements(refinements, totalMatches) {
+    if (!refinements) return null;
+
+    const share = (count) =>
+      totalMatches > 0 ? Math.round((count / totalMatches) * 1000) / 10 : 0;
+    const withShares = (entries) => entries
+      .map(entry => ({ ...entry, share: share(entry.count) }))
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      totalMatches,
+      dominantCategoryId: refinements.dominantCategoryId,
+      aspects: refinements.aspects.map(aspect => ({
+        name: aspect.name,
+        values: withShares(aspect.values),
+      })),
+      categories: withShares(refinements.categories),
+    };
+  }
+
+  /**
+   * Competitive landscape of a category from its listings' sellers
+   * Concentration is measured on listings and on estimated units sold:
+   * top 5/10 seller share and the Herfindahl-Hirschman index (sum of squared
+   * percentage shares, 0 - 10,000)
+   * @param {Object[]} items - Browse API items
+   * @returns {Object} { totalListings, sellerCount, sellers, concentration,
+   *   topRatedShare, promotedShare, feedbackBands }
+   */
+  analyzeSellers(items) {
+    const share = (count, total) =>
+      total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+
+    const bySeller = new Map();
+    for (const item of items) {
+      const username = item.seller?.username || 'Unknown';
+      if (!bySeller.has(username)) {
+        bySeller.set(username, {
+          username,
+          feedbackScore: parseInt(item.seller?.feedbackScore || 0),
+          feedbackPercentage: parseFloat(item.seller?.feedbackPercentage || 0),
+          listings: 0,
+          unitsSold: 0,
+          topRatedListings: 0,
+          promotedListings: 0,
+        });
+      }
+
+      const seller = bySeller.get(username);
+      seller.listings++;
+      seller.unitsSold += parseInt(item.quantitySold || 0);
+      if (item.topRatedBuyingExperience) seller.topRatedListings++;
+      if (item.priorityListing) seller.promotedListings++;
+    }
+
+    const totalUnits = [...bySeller.values()].reduce((total, s) => total + s.unitsSold, 0);
+    const sellers = [...bySeller.values()]
+      .map(seller => ({
+        ...seller,
+        feedbackBand: this.getFeedbackBand(seller.feedbackScore).key,
+        listingShare: share(seller.listings, items.length),
+        unitsShare: share(seller.unitsSold, totalUnits),
+      }))
+      .sort((a, b) => b.listings - a.listings || b.unitsSold - a.unitsSold);
+
+    const feedbackBands = FEEDBACK_BANDS.map(band => {
+      const inBand = sellers.filter(seller => seller.feedbackBand === band.key);
+      const listings = inBand.reduce((total, s) => total + s.listings, 0);
+      return {
+        key: band.key,
+        label: band.label,
+        sellers: inBand.length,
+        listings,
+        listingShare: share(listings, items.length),
+      };
+    });
+
+    const count = (field) => sellers.reduce((total, s) => total + s[field], 0);
+
+    return {
+      totalListings: items.length,
+      sellerCount: sellers.length,
+      totalUnitsSold: totalUnits,
+      sellers,
+      concentration: {
+        listings: this.calculateConcentration(sellers.map(s => s.listings)),
+        unitsSold: this.calculateConcentration(sellers.map(s => s.unitsSold)),
+      },
+      topRatedShare: share(count('topRatedListings'), items.length),
+      promotedShare: share(count('promotedListings'), items.length),
+      feedbackBands,
+    };
+  }
+
+  /**
+   * Top 5/10 share and HHI of a list of per-seller amounts
+   * @returns {Object|null} null when the amounts sum to zero
+   */
+  calculateConcentration(amounts) {
+    const total = amounts.reduce((a, b) => a + b, 0);
+    if (total === 0) return null;
+
+    const sorted = [...amounts].sort((a, b) => b - a);
+    const topShare = (n) =>
+      Math.round((sorted.slice(0, n).reduce((a, b) => a + b, 0) / total) * 1000) / 10;
+    const hhi = Math.round(
+      sorted.reduce((sum, amount) => sum + ((amount / total) * 100) ** 2, 0)
+    );
+
+    return {
+      top5Share: topShare(5),
+      top10Share: topShare(10),
+      hhi,
+      level: HHI_LEVELS.find(level => hhi >= level.min).label,
+    };
+  }
+
+  /**
+   * Feedback band for a seller's feedback score
+   */
+  getFeedbackBand(feedbackScore) {
+    return [...FEEDBACK_BANDS].reverse().find(band => feedbackScore >= band.min) ||
+      FEEDBACK_BANDS[0];
+  }
+
   /**
    * Compare with completed items to determine market health
+   * - priceChange: how far active asking prices sit above (+) or below (-)
+   *   the average sold price, in percent
+   * - sellThroughRate: sold listings / (sold + active listings), in percent
+   * - trend: direction of sold prices, second half of the window vs the first
+   * @param {Object[]} activeItems - Browse API items
+   * @param {Object} soldData - Sold-data provider result (see soldData.js)
+   * @param {Object} options - { activeTotal: active listings to compare against
+   *   when the provider doesn't name its own base (default: activeItems.length) }
    */
-  compareWithSoldItems(activeItems, soldItems) {
-    // Browse API doesn't support sold items
-    return { available: false, reason: 'No sold items data available' };
+  compareWithSoldItems(activeItems, soldData, { activeTotal = activeItems.length } = {}) {
+    if (!soldData?.available) {
+      return { available: false, reason: soldData?.reason || 'No sold items data available' };
+    }
+
+    const currency = this.getPrimaryCurrency(activeItems);
+    const sales = soldData.items.filter(sale => sale.currency === currency && sale.price > 0);
+    if (sales.length === 0) {
+      return { available: false, reason: `No ${currency} sales in the last ${soldData.days} days` };
+    }
+
+    const activePrices = activeItems
+      .filter(item => (item.price?.currency || 'USD') === currency)
+      .map(item => parseFloat(item.price?.value || 0))
+      .filter(p => p > 0);
+    const avgActivePrice = activePrices.length > 0
+      ? activePrices.reduce((a, b) => a + b, 0) / activePrices.length
+      : 0;
+
+    const weightedAverage = (entries) => {
+      const units = entries.reduce((total, sale) => total + sale.quantity, 0);
+      return units > 0
+        ? entries.reduce((total, sale) => total + sale.price * sale.quantity, 0) / units
+        : null;
+    };
+
+    const unitsSold = sales.reduce((total, sale) => total + sale.quantity, 0);
+    const avgSoldPrice = weightedAverage(sales);
+    const soldListings = soldData.soldListings ?? new Set(sales.map(sale => sale.itemId)).size;
+    const activeListings = soldData.activeListings ?? activeTotal;
+
+    // Sold price direction: later half of the window against the earlier half,
+    // on median prices so one high-volume cheap listing can't swing it
+    const median = (entries) => entries.length > 0
+      ? percentile(entries.map(sale => sale.price).sort((a, b) => a - b), 0.5)
+      : null;
+    const times = sales.map(sale => Date.parse(sale.soldAt)).filter(t => !Number.isNaN(t));
+    const midpoint = (Math.min(...times) + Math.max(...times)) / 2;
+    const earlier = median(sales.filter(sale => Date.parse(sale.soldAt) <= midpoint));
+    const later = median(sales.filter(sale => Date.parse(sale.soldAt) > midpoint));
+    const soldPriceChange = earlier && later ? ((later - earlier) / earlier) * 100 : null;
+
+    let trend = 'Not enough sales to tell';
+    if (soldPriceChange !== null) {
+      if (soldPriceChange > 5) trend = 'Prices rising';
+      else if (soldPriceChange < -5) trend = 'Prices falling';
+      else trend = 'Prices stable';
+    }
+
+    return {
+      available: true,
+      source: soldData.source,
+      days: soldData.days,
+      currency,
+      avgActivePrice,
+      avgSoldPrice,
+      priceChange: ((avgActivePrice - avgSoldPrice) / avgSoldPrice) * 100,
+      unitsSold,
+      soldListings,
+      activeListings,
+      sellThroughRate: soldListings + activeListings > 0
+        ? Math.round((soldListings / (soldListings + activeListings)) * 1000) / 10
+        : 0,
+      soldPriceChange: soldPriceChange === null ? null : Math.round(soldPriceChange * 10) / 10,
+      trend,
+    };
   }
 }
 
@@ -6,7 +6,7 @@ const token = await client.getAccessToken();
 console.log('Making direct curl to eBay API...\n');
 
 const itemId = 'v1|177284475542|476950375129';
-const url = `https://api.ebay.com/buy/browse/v1/item/${encodeURIComponent(itemId)}`;
+const url = `${client.browseApiUrl}/item/${encodeURIComponent(itemId)}`;
 
 const response = await fetch(url, {
   headers: {
@@ -0,0 +1,62 @@
+import { test, describe, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { CacheManager, buildSoldCacheKey } from '../src/utils/cache.js';
+import { MemoryCacheBackend } from '../src/utils/cacheBackends.js';
+
+describe('CacheManager reads', () => {
+  let backend;
+  let cache;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    mock.method(console, 'error', () => {});
+    backend = new MemoryCacheBackend();
+    cache = new CacheManager({ backend });
+  });
+
+  test('quarantines an entry newer than this schema', async () => {
+    await backend.write({ key: 'future', timestamp: Date.now(), data: {}, schemaVersion: 999 });
+    const quarantine = mock.method(backend, 'quarantine');
+
+    assert.equal(await cache.get('future'), null);
+    assert.equal(quarantine.mock.callCount(), 1);
+  });
+
+  test('reads back sold listings, whose prices are plain numbers', async () => {
+    const key = buildSoldCacheKey('293', { days: 30 });
+    const sold = {
+      available: true,
+      source: 'eBay Marketplace Insights API',
+      items: [{ itemId: 'v1|1|0', title: 'Sold', price: 12.5, currency: 'USD', quantity: 1 }],
+    };
+
+    await cache.set(key, sold);
+
+    assert.deepEqual(await cache.get(key), sold);
+    assert.equal((await cache.migrateAll()).quarantined, 0);
+    assert.equal((await backend.list()).length, 1);
+  });
+
+  test('quarantines a category result without Browse API prices', async () => {
+    await cache.set('category_293', { items: [{ itemId: 'v1|1|0', price: 12.5 }] });
+
+    assert.equal(await cache.get('category_293'), null);
+    assert.equal((await backend.list()).length, 0);
+  });
+
+  test('leaves an entry in place when the backend fails', async () => {
+    await cache.set('busy', { items: [] });
+    const quarantine = mock.method(backend, 'quarantine');
+    mock.method(backend, 'read', async () => {
+      throw Object.assign(new Error('database is locked'), { code: 'SQLITE_BUSY' });
+    });
+
+    assert.equal(await cache.get('busy'), null);
+    assert.equal(quarantine.mock.callCount(), 0);
+    assert.equal((await backend.list()).length, 1);
+
+    const report = await cache.migrateAll();
+    assert.equal(report.quarantined, 0);
+    assert.equal((await backend.list()).length, 1);
+  });
+});
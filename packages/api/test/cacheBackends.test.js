@@ -0,0 +1,55 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileCacheBackend, SqliteCacheBackend, createCacheBackend } from '../src/utils/cacheBackends.js';
+
+function makeEntry(key, value) {
+  return { key, timestamp: Date.now(), data: { value }, expiresAt: null };
+}
+
+describe('cache backends', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-backends-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  test('file backend survives concurrent writes to one key', async () => {
+    const backend = new FileCacheBackend({ cacheDir: dir });
+
+    const written = await Promise.all(
+      Array.from({ length: 10 }, (_, i) => backend.write(makeEntry('popular', i)))
+    );
+
+    assert.ok(written.every(Boolean));
+    assert.equal((await backend.list()).length, 1);
+  });
+
+  test('clearing the file cache leaves the data directory alone', async () => {
+    const fixture = path.join(dir, 'category_293.json');
+    fs.writeFileSync(fixture, JSON.stringify(makeEntry('category_293', 'fixture')));
+    const backend = createCacheBackend({ type: 'file', dataDir: dir });
+
+    await backend.write(makeEntry('category_293', 'cached'));
+    assert.equal(await backend.clear(), 1);
+
+    assert.ok(fs.existsSync(fixture));
+  });
+
+  test('sqlite backend creates the database directory', async () => {
+    const filename = path.join(dir, 'nested', 'cache.db');
+    const backend = new SqliteCacheBackend({ filename });
+
+    await backend.write(makeEntry('a', 1));
+
+    assert.ok(fs.existsSync(filename));
+    assert.deepEqual((await backend.read('a')).data, { value: 1 });
+    backend.db.close();
+  });
+});
@@ -0,0 +1,117 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { stripVTControlCharacters } from 'util';
+import EbayClient from '../src/api/ebayClient.js';
+import { TrendAnalyzer } from '../src/utils/trendAnalyzer.js';
+import { ProductFormatter } from '../src/utils/formatter.js';
+
+/**
+ * Regression tests for the analysis and CLI output, fed from a recorded
+ * session instead of the live API. The cassette holds the first 10 listings
+ * of category 293 and their item details, recorded from the mock eBay server
+ * (EBAY_CASSETTE_MODE=record); re-record it when the mock data changes
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CASSETTE = path.join(__dirname, 'cassettes/category_293.json');
+
+/**
+ * Rendered lines, without colors or surrounding indentation
+ */
+function lines(text) {
+  return stripVTControlCharacters(text).split('\n').map(line => line.trim());
+}
+
+describe('replayed category 293', () => {
+  const analyzer = new TrendAnalyzer();
+  const formatter = new ProductFormatter();
+  let result;
+  let items;
+
+  before(async () => {
+    const client = new EbayClient({
+      baseUrl: 'http://cassette.invalid',
+      cassette: { mode: 'replay', path: CASSETTE },
+    });
+    result = await client.findItemsByCategory('293', 10);
+    ({ items } = await client.enrichItemsWithDetails(result.items));
+  });
+
+  test('replays the search and item details', () => {
+    assert.equal(items.length, 10);
+    assert.equal(result.total, 21);
+    assert.equal(result.metadata.pagesFetched, 1);
+    assert.match(result.source, /replayed from category_293\.json/);
+    assert.ok(items.every(item => item.seller?.username));
+  });
+
+  test('category stats', () => {
+    const stats = analyzer.calculateCategoryStats(items);
+
+    assert.equal(stats.totalListings, 10);
+    assert.equal(stats.avgPrice.toFixed(3), '212.471');
+    assert.equal(stats.minPrice, 2.99);
+    assert.equal(stats.maxPrice, 499.99);
+    assert.equal(stats.distribution.median, 240);
+    assert.equal(stats.shipping.freeShippingShare, 100);
+    assert.deepEqual(
+      stats.shipping.byCondition.map(({ condition, listings }) => [condition, listings]),
+      [['New', 8], ['Certified - Refurbished', 2]]
+    );
+  });
+
+  test('trend classification', () => {
+    const trends = analyzer.analyzeTrends(items);
+
+    assert.deepEqual(
+      trends.map(trend => [trend.key, trend.score]),
+      [
+        ['RISING', 0.65],
+        ['RISING', 0.63],
+        ['RISING', 0.61],
+        ['STABLE', 0.26],
+        ['HOT', 0.79],
+        ['RISING', 0.64],
+        ['DECLINING', 0.16],
+        ['RISING', 0.68],
+        ['RISING', 0.63],
+        ['HOT', 0.72],
+      ]
+    );
+  });
+
+  test('category summary output', () => {
+    const stats = analyzer.calculateCategoryStats(items);
+    const output = lines(formatter.formatCategorySummary('Consumer Electronics', stats, result.metadata));
+
+    for (const expected of [
+      'CATEGORY: CONSUMER ELECTRONICS',
+      '• Total Active Listings: 10',
+      '• Average Price: $212.47',
+      '• Price Range: $2.99 - $499.99',
+      '• Median: $240.00 (middle half $8.10 - $353.15)',
+      '• 10th - 90th Percentile: $4.67 - $454.99',
+      '• Free Shipping: 100% of listings',
+      '- New: $0.00 (100% free, 8 listings)',
+      '• Discounted: 60% of listings (avg 12.7% off, median 10%, up to 20.1%)',
+      '• Analyzed 10 items (1 of 3 pages fetched)',
+    ]) {
+      assert.ok(output.includes(expected), `missing line: ${expected}`);
+    }
+  });
+
+  test('seller summary output', () => {
+    const output = lines(formatter.formatSellerSummary(analyzer.analyzeSellers(items)));
+
+    for (const expected of [
+      '• Sellers: 7 across 10 listings',
+      '• Top 5 / Top 10 Share: 80% / 100% of listings, 99.6% / 100% of units sold',
+      '• Concentration (HHI): 1,800 - Moderately concentrated',
+      '1. @metaofficial (4,632 feedback) - 3 listings (30%), 1685 sold',
+    ]) {
+      assert.ok(output.includes(expected), `missing line: ${expected}`);
+    }
+  });
+});
@@ -0,0 +1,37 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { DuplicateDetector } from '../src/utils/duplicateDetector.js';
+
+function makeItem(itemId, title, { price = '10.00', gtin, sold = 0 } = {}) {
+  return { itemId, title, gtin, quantitySold: sold, price: { value: price, currency: 'USD' } };
+}
+
+describe('DuplicateDetector', () => {
+  const detector = new DuplicateDetector({ titleSimilarity: 0.8 });
+  const items = [
+    makeItem('v1|1|0', 'Apple iPhone 13 128GB Blue Unlocked', { sold: 3 }),
+    makeItem('v1|2|0', 'Apple iPhone 13 128GB Blue Unlocked', { price: '12.00', sold: 5 }),
+    makeItem('v1|3|0', 'Vintage brass desk lamp', { gtin: '0123456789012' }),
+    makeItem('v1|4|0', 'Green ceramic table lamp', { gtin: '0123456789012' }),
+    makeItem('v1|5|0', 'Wool winter scarf'),
+  ];
+
+  test('clusters listings by title and product ID', () => {
+    const clusters = detector.cluster(items);
+
+    assert.deepEqual(clusters.map(c => c.items.map(i => i.itemId)), [
+      ['v1|1|0', 'v1|2|0'],
+      ['v1|3|0', 'v1|4|0'],
+      ['v1|5|0'],
+    ]);
+    assert.equal(clusters[0].id, 'v1|2|0');
+    assert.deepEqual(clusters[0].matchedBy, ['title']);
+    assert.deepEqual(clusters[1].matchedBy, ['gtin']);
+  });
+
+  test('rebuilds the same clusters from cached groups', () => {
+    const groups = JSON.parse(JSON.stringify(detector.group(items)));
+
+    assert.deepEqual(detector.describeGroups(items, groups), detector.cluster(items));
+  });
+});
@@ -0,0 +1,169 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import EbayClient from '../src/api/ebayClient.js';
+import { startMockEbay, createTestClient, createSyntheticFixtures } from './helpers/mockEbay.js';
+
+describe('EbayClient against the mock eBay API', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockEbay();
+  });
+
+  after(async () => {
+    await mock.close();
+  });
+
+  test('keyword search returns only matching listings', async () => {
+    const client = createTestClient(mock.baseUrl);
+    const result = await client.searchItems({ q: 'brake', limit: 50 });
+
+    assert.equal(result.success, true);
+    assert.ok(result.items.length > 0);
+    for (const item of result.items) {
+      assert.match(item.title.toLowerCase(), /brake/);
+    }
+    assert.equal(result.query.q, 'brake');
+  });
+
+  test('category search applies price and buying option filters', async () => {
+    const client = createTestClient(mock.baseUrl);
+    const result = await client.findItemsByCategory('6000', 100, {
+      filters: { minPrice: 20, maxPrice: 100, buyingOptions: ['FIXED_PRICE'] },
+    });
+
+    assert.ok(result.items.length > 0);
+    for (const item of result.items) {
+      const price = parseFloat(item.price.value);
+      assert.ok(price >= 20 && price <= 100, `price ${price} outside 20..100`);
+      assert.ok(item.buyingOptions.includes('FIXED_PRICE'));
+    }
+
+    const search = mock.requests.findLast(r => r.path.endsWith('/item_summary/search'));
+    assert.equal(search.query.filter, 'price:[20..100],buyingOptions:{FIXED_PRICE}');
+  });
+
+  test('rejects invalid filters before calling eBay', async () => {
+    const client = createTestClient(mock.baseUrl);
+    const before = mock.requests.length;
+
+    await assert.rejects(
+      client.findItemsByCategory('6000', 10, { filters: { minPrice: 50, maxPrice: 10 } }),
+      { name: 'FilterValidationError' }
+    );
+    assert.equal(mock.requests.length, before);
+  });
+
+  test('refreshes a rejected token once and retries the call', async () => {
+    const client = createTestClient(mock.baseUrl);
+    await client.getAccessToken();
+    const tokensBefore = mock.requests.filter(r => r.path.endsWith('/oauth2/token')).length;
+
+    mock.failNext('/buy/browse/v1/item_summary/search', 401);
+    const result = await client.findItemsByCategory('293', 5);
+
+    assert.equal(result.items.length, 5);
+    assert.equal(result.metadata.retries, 1);
+    const tokensAfter = mock.requests.filter(r => r.path.endsWith('/oauth2/token')).length;
+    assert.equal(tokensAfter, tokensBefore + 1);
+  });
+
+  test('retries 503 responses with backoff', async () => {
+    const client = createTestClient(mock.baseUrl);
+
+    mock.failNext('/buy/browse/v1/item_summary/search', 503, 2);
+    const result = await client.findItemsByCategory('293', 5);
+
+    assert.equal(result.items.length, 5);
+    assert.equal(result.metadata.retries, 2);
+  });
+
+  test('gives up after maxRetries 503 responses', async () => {
+    const client = createTestClient(mock.baseUrl);
+
+    mock.failNext('/buy/browse/v1/item_summary/search', 503, 4);
+    await assert.rejects(client.findItemsByCategory('293', 5), /503/);
+  });
+
+  test('enrichment fetches item details for every listing', async () => {
+    const client = createTestClient(mock.baseUrl);
+    const { items } = await client.findItemsByCategory('293', 5);
+    const { items: enriched, summary } = await client.enrichItemsWithDetails(items);
+
+    assert.equal(summary.total, 5);
+    assert.deepEqual(summary.failed, []);
+    assert.ok(enriched.every(item => 'quantitySold' in item && 'watchCount' in item));
+  });
+
+  test('counts every request sent to eBay', async () => {
+    const client = createTestClient(mock.baseUrl);
+    const before = mock.requests.length;
+
+    mock.failNext('/buy/browse/v1/item_summary/search', 503);
+    const { items } = await client.findItemsByCategory('293', 20);
+    await client.enrichItemsWithDetails(items);
+
+    const sent = mock.requests.slice(before);
+    assert.ok(sent.some(r => r.path.endsWith('/oauth2/token')));
+    assert.equal(client.requestCount, sent.length);
+  });
+
+  test('records a cassette in one write', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+    const cassettePath = path.join(dir, 'session.json');
+    const client = new EbayClient({ baseUrl: mock.baseUrl, cassette: { mode: 'record', path: cassettePath } });
+
+    await client.findItemsByCategory('293', 5);
+    assert.equal(fs.existsSync(cassettePath), false);
+
+    client.flushCassette();
+    const cassette = JSON.parse(fs.readFileSync(cassettePath, 'utf-8'));
+    assert.deepEqual(
+      cassette.interactions.map(interaction => interaction.request.path),
+      ['/identity/v1/oauth2/token', '/buy/browse/v1/item_summary/search']
+    );
+    assert.equal(cassette.interactions[0].response.data.access_token, '[REDACTED]');
+    fs.rmSync(dir, { recursive: true });
+  });
+});
+
+describe('EbayClient pagination', () => {
+  let mock;
+  let dataDir;
+
+  before(async () => {
+    dataDir = createSyntheticFixtures('999', 450);
+    mock = await startMockEbay({ dataDir });
+  });
+
+  after(async () => {
+    await mock.close();
+    fs.rmSync(dataDir, { recursive: true });
+  });
+
+  test('walks 200-item pages until the limit is met', async () => {
+    const client = createTestClient(mock.baseUrl);
+    const result = await client.findItemsByCategory('999', 450);
+
+    assert.equal(result.items.length, 450);
+    assert.equal(result.total, 450);
+    assert.equal(result.metadata.pagesFetched, 3);
+    assert.equal(new Set(result.items.map(item => item.itemId)).size, 450);
+
+    const offsets = mock.requests
+      .filter(r => r.path.endsWith('/item_summary/search'))
+      .map(r => Number(r.query.offset));
+    assert.deepEqual(offsets, [0, 200, 400]);
+  });
+
+  test('stops at the end of the results', async () => {
+    const client = createTestClient(mock.baseUrl);
+    const result = await client.findItemsByCategory('999', 1000);
+
+    assert.equal(result.items.length, 450);
+    assert.equal(result.metadata.pagesFetched, 3);
+  });
+});
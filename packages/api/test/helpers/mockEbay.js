@@ -0,0 +1,86 @@
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import EbayClient from '../../src/api/ebayClient.js';
+import { createMockEbayApp } from '../../src/mock/mockEbayServer.js';
+
+/**
+ * Test harness around the mock eBay server
+ * Runs createMockEbayApp on a free port behind a fault injector, so tests
+ * can make the next matching calls fail with a given status (a revoked token,
+ * a 503) and count what reached the server
+ */
+
+/**
+ * Start the mock server
+ * @param {Object} options - createMockEbayApp options (dataDir, fixtureDir)
+ * @returns {Promise<Object>} { baseUrl, requests, failNext(pathPrefix, status, times), close() }
+ */
+export async function startMockEbay(options = {}) {
+  const requests = [];
+  const faults = [];
+
+  const app = express();
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, query: req.query });
+
+    const fault = faults.find(f => f.times > 0 && req.path.startsWith(f.pathPrefix));
+    if (fault) {
+      fault.times--;
+      return res.status(fault.status).json({
+        errors: [{ errorId: fault.status, message: `Injected ${fault.status}` }],
+      });
+    }
+
+    next();
+  });
+  app.use(createMockEbayApp(options));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  return {
+    baseUrl: `http://localhost:${server.address().port}`,
+    requests,
+    failNext(pathPrefix, status, times = 1) {
+      faults.push({ pathPrefix, status, times });
+    },
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+/**
+ * EbayClient pointed at the mock, with no cassette and near-instant retries
+ */
+export function createTestClient(baseUrl, options = {}) {
+  const client = new EbayClient({ baseUrl, cassette: {}, ...options });
+  client.retryOptions = { maxRetries: 3, baseDelayMs: 1 };
+  return client;
+}
+
+/**
+ * Write a fixture directory holding one category of synthetic listings,
+ * enough to need several 200-item search pages
+ * @returns {string} The directory, remove it with fs.rmSync(dir, { recursive: true })
+ */
+export function createSyntheticFixtures(categoryId, count) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-ebay-'));
+  const items = Array.from({ length: count }, (_, index) => ({
+    itemId: `v1|${900000000 + index}|0`,
+    legacyItemId: String(900000000 + index),
+    title: `Synthetic listing ${index}`,
+    price: { value: String(10 + index), currency: 'USD' },
+    buyingOptions: ['FIXED_PRICE'],
+    seller: { username: `seller${index % 7}`, feedbackScore: 100 },
+    watchCount: index % 5,
+    quantitySold: index % 3,
+  }));
+
+  fs.writeFileSync(
+    path.join(dir, `category_${categoryId}.json`),
+    JSON.stringify({ data: { categoryId, items } })
+  );
+  return dir;
+}
@@ -0,0 +1,51 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeAspectFilters,
+  normalizeSortOrder,
+  parseAspectFilterQuery,
+  serializeAspectFilter,
+} from '../src/api/listingFilters.js';
+
+describe('aspect filters', () => {
+  test('normalizes and serializes selected aspects', () => {
+    const aspects = parseAspectFilterQuery({
+      aspect: ['Brand:Samsung|Apple', 'Storage Capacity: 256 GB '],
+    });
+
+    assert.deepEqual(aspects, { Brand: ['Apple', 'Samsung'], 'Storage Capacity': ['256 GB'] });
+    assert.equal(
+      serializeAspectFilter(['9355'], aspects),
+      'categoryId:9355,Brand:{Apple|Samsung},Storage Capacity:{256 GB}'
+    );
+  });
+
+  for (const value of ['Red, Blue', 'Red}', '{Red', 'Red|Blue']) {
+    test(`rejects a value that would break the filter grammar: ${value}`, () => {
+      assert.throws(
+        () => normalizeAspectFilters({ Color: [value] }),
+        { name: 'FilterValidationError' }
+      );
+    });
+  }
+
+  test('rejects a delimiter in an aspect name', () => {
+    assert.throws(
+      () => normalizeAspectFilters({ 'Size,Color': ['Red'] }),
+      { name: 'FilterValidationError' }
+    );
+  });
+});
+
+describe('sort order', () => {
+  test('accepts a known sort and maps Best Match to null', () => {
+    assert.equal(normalizeSortOrder('-price'), '-price');
+    assert.equal(normalizeSortOrder('bestMatch'), null);
+  });
+
+  for (const sort of [['price'], ['price', '-price']]) {
+    test(`rejects a repeated sort: ${JSON.stringify(sort)}`, () => {
+      assert.throws(() => normalizeSortOrder(sort), { name: 'FilterValidationError' });
+    });
+  }
+});
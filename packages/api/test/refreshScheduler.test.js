@@ -0,0 +1,90 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RefreshScheduler, parseSchedules } from '../src/utils/refreshScheduler.js';
+
+describe('RefreshScheduler call budget', () => {
+  let dir;
+  let budgetFile;
+
+  const createScheduler = (callsPerRefresh = 40) => {
+    let calls = 0;
+    return new RefreshScheduler({
+      categoryIds: ['293', '1', '11700'],
+      refreshCategory: async () => {
+        calls += callsPerRefresh;
+      },
+      countCalls: () => calls,
+      isCached: async () => false,
+      estimatedCalls: 40,
+      schedules: parseSchedules('0 */8 * * *'),
+      dailyCallBudget: 100,
+      staggerMs: 0,
+      warmUp: false,
+      budgetFile,
+    });
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+    budgetFile = path.join(dir, 'refresh_budget.json');
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  test('spends the budget once across restarts', async () => {
+    const first = createScheduler();
+    const report = await first.refreshAll('warm-up');
+    assert.deepEqual(report.refreshed, ['293', '1']);
+
+    const restarted = createScheduler();
+    await restarted.loadBudget();
+    assert.equal(restarted.getRemainingCalls(), 20);
+
+    const again = await restarted.refreshAll('warm-up');
+    assert.deepEqual(again.refreshed, []);
+    assert.equal(again.skipped.filter(skip => skip.reason === 'budget').length, 3);
+  });
+
+  test('charges the calls a refresh made, not the estimate', async () => {
+    const scheduler = createScheduler(25);
+    const report = await scheduler.refreshAll('schedule');
+
+    assert.deepEqual(report.refreshed, ['293', '1', '11700']);
+    assert.equal(scheduler.getRemainingCalls(), 25);
+  });
+
+  test('ignores a count saved on an earlier day', async () => {
+    fs.writeFileSync(budgetFile, JSON.stringify({ day: 'Thu Jan 01 1970', calls: 100 }));
+
+    const scheduler = createScheduler();
+    await scheduler.loadBudget();
+    assert.equal(scheduler.getRemainingCalls(), 100);
+  });
+});
+
+describe('RefreshScheduler status', () => {
+  test('stays off and reports a configuration error', () => {
+    const scheduler = new RefreshScheduler({
+      categoryIds: [],
+      refreshCategory: async () => {},
+      isCached: async () => false,
+      estimatedCalls: 40,
+      schedules: [],
+      budgetFile: null,
+      configError: 'REFRESH_CATEGORIES: bogus not in CATEGORIES on EBAY_US',
+    });
+
+    assert.equal(scheduler.enabled, false);
+    assert.deepEqual(scheduler.getStatus(), {
+      enabled: false,
+      error: 'REFRESH_CATEGORIES: bogus not in CATEGORIES on EBAY_US',
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SnapshotStore } from '../src/utils/snapshotStore.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * A category result as EbayClient returns it, fetched `hoursAgo` hours ago
+ */
+function makeResult(hoursAgo, { categoryId = '293', sold = 10, limit = 100, filters = {} } = {}) {
+  return {
+    categoryId,
+    timestamp: new Date(Date.now() - hoursAgo * HOUR).toISOString(),
+    total: 2,
+    limit,
+    query: { marketplace: 'EBAY_US', filters, aspects: {}, sort: 'bestMatch' },
+    items: [
+      { itemId: 'v1|1|0', title: 'First', price: { value: '10.00', currency: 'USD' }, quantitySold: sold },
+      { itemId: 'v1|2|0', title: 'Second', price: { value: '20.00', currency: 'USD' }, quantitySold: 1 },
+    ],
+  };
+}
+
+function countLines(filePath) {
+  return fs.readFileSync(filePath, 'utf-8').split('\n').filter(Boolean).length;
+}
+
+describe('SnapshotStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+    store = new SnapshotStore(dir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  test('records snapshots and reads them back oldest first', async () => {
+    await store.record(makeResult(2, { sold: 10 }));
+    await store.record(makeResult(1, { sold: 12 }));
+
+    const snapshots = await store.getSnapshots('293');
+    assert.deepEqual(snapshots.map(s => s.items[0].quantitySold), [10, 12]);
+
+    const previous = await store.getPreviousSnapshot(makeResult(0));
+    assert.equal(previous.items[0].quantitySold, 12);
+  });
+
+  test('compares a result only with snapshots of the same query', async () => {
+    await store.record(makeResult(3, { sold: 10 }));
+    await store.record(makeResult(2, { sold: 11, limit: 20 }));
+    await store.record(makeResult(1, { sold: 12, filters: { minPrice: 5 } }));
+
+    const previous = await store.getPreviousSnapshot(makeResult(0));
+    assert.equal(previous.items[0].quantitySold, 10);
+
+    const { observations } = await store.getPreviousObservations(makeResult(0, { limit: 20 }));
+    assert.deepEqual(observations.get('v1|1|0').map(o => o.quantitySold), [11]);
+
+    const stats = await store.getCategoryStats('293', {
+      query: { marketplace: 'EBAY_US', filters: { minPrice: 5 }, limit: 100 },
+    });
+    assert.equal(stats.snapshotCount, 1);
+    assert.equal(stats.series[0].totalSold, 13);
+  });
+
+  test('keeps every line when records overlap', async () => {
+    await Promise.all(Array.from({ length: 20 }, (_, i) => store.record(makeResult(20 - i))));
+
+    assert.equal(countLines(store.getFilePath('293')), 20);
+    assert.equal((await store.getSnapshots('293')).length, 20);
+  });
+
+  test('picks up snapshots written by another process', async () => {
+    await store.record(makeResult(2));
+    assert.equal((await store.getSnapshots('293')).length, 1);
+
+    const other = new SnapshotStore(dir);
+    await other.record(makeResult(1));
+
+    assert.equal((await store.getSnapshots('293')).length, 2);
+  });
+
+  test('reuses previous observations until the snapshots change', async () => {
+    await store.record(makeResult(2, { sold: 10 }));
+    const result = makeResult(0);
+
+    const first = await store.getPreviousObservations(result);
+    assert.equal(await store.getPreviousObservations(result), first);
+
+    await store.record(makeResult(1, { sold: 11 }));
+    const updated = await store.getPreviousObservations(result);
+    assert.notEqual(updated, first);
+    assert.deepEqual(updated.observations.get('v1|1|0').map(o => o.quantitySold), [10, 11]);
+  });
+
+  test('rewrites a file only once it is 10% past the cap', async () => {
+    store.maxPerCategory = 10;
+    const filePath = store.getFilePath('293');
+
+    for (let i = 0; i < 11; i++) {
+      await store.record(makeResult(20 - i));
+    }
+    assert.equal(countLines(filePath), 11);
+
+    await store.record(makeResult(1));
+    assert.equal(countLines(filePath), 10);
+    assert.equal((await store.getSnapshots('293')).length, 10);
+  });
+
+  test('prunes snapshots a day past retention', async () => {
+    store.retentionDays = 1;
+
+    await store.record(makeResult(30));
+    await store.record(makeResult(2));
+    assert.equal(countLines(store.getFilePath('293')), 2);
+
+    // The 30 hour old snapshot is now more than a day past retention
+    store.retentionDays = 3 / 24;
+    await store.record(makeResult(1));
+    const snapshots = await store.getSnapshots('293');
+    assert.deepEqual(snapshots.map(s => Math.round((Date.now() - Date.parse(s.timestamp)) / HOUR)), [2, 1]);
+    assert.equal(countLines(store.getFilePath('293')), 2);
+  });
+
+  test('finds an item across categories', async () => {
+    await store.record(makeResult(2, { categoryId: '293' }));
+    await store.record(makeResult(1, { categoryId: '1' }));
+
+    const observations = await store.getItemSnapshots('v1|1|0');
+    assert.deepEqual(observations.map(o => o.categoryId), ['293', '1']);
+  });
+});
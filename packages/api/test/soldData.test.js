@@ -0,0 +1,60 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSoldDataService } from '../src/api/soldData.js';
+import { CacheManager } from '../src/utils/cache.js';
+import { MemoryCacheBackend } from '../src/utils/cacheBackends.js';
+import { startMockEbay, createTestClient } from './helpers/mockEbay.js';
+
+const INSIGHTS_PATH = '/buy/marketplace_insights/v1_beta/item_sales/search';
+
+describe('sold data in auto mode', () => {
+  let server;
+
+  before(async () => {
+    server = await startMockEbay();
+    mock.method(console, 'warn', () => {});
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await server.close();
+  });
+
+  test('stops asking Marketplace Insights once access is refused', async () => {
+    const service = createSoldDataService({
+      client: createTestClient(server.baseUrl),
+      cache: new CacheManager({ backend: new MemoryCacheBackend() }),
+      snapshots: { getSnapshots: async () => [] },
+      provider: 'auto',
+    });
+    const insightsCalls = () => server.requests.filter(r => r.path === INSIGHTS_PATH).length;
+
+    server.failNext(INSIGHTS_PATH, 403);
+    const first = await service.getSoldItems('293');
+    assert.equal(first.available, false);
+    assert.match(first.reason, /no Marketplace Insights access/);
+    assert.equal(insightsCalls(), 1);
+
+    const second = await service.getSoldItems('1');
+    assert.equal(second.available, false);
+    assert.match(second.reason, /Not enough snapshot history/);
+    assert.equal(insightsCalls(), 1);
+  });
+
+  test('keeps asking after other failures', async () => {
+    const service = createSoldDataService({
+      client: createTestClient(server.baseUrl),
+      cache: new CacheManager({ backend: new MemoryCacheBackend() }),
+      snapshots: { getSnapshots: async () => [] },
+      provider: 'auto',
+    });
+
+    server.failNext(INSIGHTS_PATH, 404);
+    const failed = await service.getSoldItems('293');
+    assert.equal(failed.available, false);
+
+    const sold = await service.getSoldItems('293');
+    assert.equal(sold.available, true);
+    assert.ok(sold.items.length > 0);
+  });
+});
@@ -0,0 +1,86 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaxonomyService } from '../src/api/taxonomy.js';
+import { CacheManager } from '../src/utils/cache.js';
+import { MemoryCacheBackend } from '../src/utils/cacheBackends.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const TREE_RESPONSE = {
+  categoryTreeId: '0',
+  categoryTreeVersion: '130',
+  rootCategoryNode: {
+    category: { categoryId: '0', categoryName: 'Root' },
+    categoryTreeNodeLevel: 0,
+    childCategoryTreeNodes: [
+      { category: { categoryId: '293', categoryName: 'Consumer Electronics' }, categoryTreeNodeLevel: 1 },
+    ],
+  },
+};
+
+/**
+ * Taxonomy client whose API is down until `up` is set
+ */
+function createClient() {
+  return {
+    marketplace: 'EBAY_US',
+    up: false,
+    calls: 0,
+    async getCategoryTree() {
+      this.calls++;
+      if (!this.up) throw new Error('Service unavailable');
+      return TREE_RESPONSE;
+    },
+  };
+}
+
+describe('TaxonomyService.getTree', () => {
+  let client;
+  let taxonomy;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'log', () => {});
+
+    client = createClient();
+    const cache = new CacheManager({ backend: new MemoryCacheBackend() });
+    cache.cacheDuration = 8 * HOUR;
+    taxonomy = new TaxonomyService({ client, cache });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  test('retries the API a few minutes after falling back', async () => {
+    const fallback = await taxonomy.getTree();
+    assert.equal(fallback.source, 'fixture');
+
+    await taxonomy.getTree();
+    assert.equal(client.calls, 1);
+
+    client.up = true;
+    mock.timers.tick(6 * MINUTE);
+    const tree = await taxonomy.getTree();
+
+    assert.equal(client.calls, 2);
+    assert.equal(tree.source, 'taxonomy-api');
+    assert.equal(tree.version, '130');
+  });
+
+  test('reloads an API tree once it is CACHE_DURATION old', async () => {
+    client.up = true;
+    await taxonomy.getTree();
+
+    mock.timers.tick(7 * HOUR);
+    await taxonomy.getTree();
+    assert.equal(client.calls, 1);
+
+    mock.timers.tick(2 * HOUR);
+    await taxonomy.getTree();
+    assert.equal(client.calls, 2);
+  });
+});
@@ -2,6 +2,8 @@
  * eBay Category IDs (Official)
  * Matches eBay's official top-level categories from https://www.ebay.com/n/all-categories
  * Category IDs sourced from eBay Browse API documentation
+ * `names` holds the category's name on other marketplaces where it differs,
+ * `marketplaces` limits a category to the sites it exists on
  */
 
 export const CATEGORIES = {
@@ -9,66 +11,80 @@ export const CATEGORIES = {
     id: '6000',
     name: 'eBay Motors',
     description: 'Parts, Accessories, Cars, Motorcycles',
+    // eBay Motors only exists on the US site
+    marketplaces: ['EBAY_US'],
   },
   ELECTRONICS: {
     id: '293',
     name: 'Electronics',
     description: 'Cameras, TV, Audio, Computers, Smart Home',
+    names: { EBAY_GB: 'Sound & Vision', EBAY_DE: 'TV, Video & Audio' },
   },
   COLLECTIBLES: {
     id: '1',
     name: 'Collectibles & Art',
     description: 'Trading Cards, Vintage, Art, Memorabilia',
+    names: { EBAY_GB: 'Collectables & Art', EBAY_DE: 'Sammeln & Seltenes', EBAY_AU: 'Collectables' },
   },
   HOME_GARDEN: {
     id: '11700',
     name: 'Home & Garden',
     description: 'Furniture, Kitchen, Bedding, Garden Tools',
+    names: { EBAY_GB: 'Home, Furniture & DIY', EBAY_DE: 'Haus & Garten' },
   },
   CLOTHING: {
     id: '11450',
     name: 'Clothing, Shoes & Accessories',
     description: 'Men\'s, Women\'s, Kids, Shoes, Accessories',
+    names: { EBAY_GB: 'Clothes, Shoes & Accessories', EBAY_DE: 'Kleidung & Accessoires' },
   },
   TOYS: {
     id: '220',
     name: 'Toys & Hobbies',
     description: 'Action Figures, Models, Games, RC',
+    names: { EBAY_GB: 'Toys & Games', EBAY_DE: 'Spielzeug' },
   },
   SPORTING_GOODS: {
     id: '888',
     name: 'Sporting Goods',
     description: 'Fitness, Outdoor, Cycling, Team Sports',
+    names: { EBAY_DE: 'Sport' },
   },
   BOOKS: {
     id: '267',
     name: 'Books, Movies & Music',
     description: 'Books, DVDs, Vinyl, CDs, Video Games',
+    names: { EBAY_GB: 'Books, Comics & Magazines', EBAY_DE: 'Bücher & Zeitschriften' },
   },
   HEALTH_BEAUTY: {
     id: '26395',
     name: 'Health & Beauty',
     description: 'Makeup, Skincare, Fragrance, Vitamins',
+    names: { EBAY_DE: 'Beauty & Gesundheit' },
   },
   BUSINESS: {
     id: '12576',
     name: 'Business & Industrial',
     description: 'Healthcare, Lab, Office, Construction',
+    names: { EBAY_DE: 'Business & Industrie' },
   },
   JEWELRY: {
     id: '281',
     name: 'Jewelry & Watches',
     description: 'Fine Jewelry, Fashion Jewelry, Watches',
+    names: { EBAY_GB: 'Jewellery & Watches', EBAY_DE: 'Uhren & Schmuck', EBAY_AU: 'Jewellery & Watches' },
   },
   BABY: {
     id: '2984',
     name: 'Baby Essentials',
     description: 'Clothing, Gear, Feeding, Nursery',
+    names: { EBAY_GB: 'Baby', EBAY_DE: 'Baby' },
   },
   PETS: {
     id: '1281',
     name: 'Pet Supplies',
     description: 'Dog, Cat, Fish, Bird, Small Animals',
+    names: { EBAY_DE: 'Haustierbedarf' },
   },
 };
 
@@ -86,11 +102,37 @@ export function getAllCategoryIds() {
   return Object.values(CATEGORIES).map(cat => cat.id);
 }
 
+/**
+ * Check whether a category is available on a marketplace
+ */
+export function isCategoryAvailable(category, marketplaceId = 'EBAY_US') {
+  return !category.marketplaces || category.marketplaces.includes(marketplaceId);
+}
+
+/**
+ * Get a category with its name localized for a marketplace
+ */
+export function localizeCategory(category, marketplaceId = 'EBAY_US') {
+  return {
+    ...category,
+    name: category.names?.[marketplaceId] || category.name,
+  };
+}
+
+/**
+ * Get the categories available on a marketplace, with localized names
+ */
+export function getCategoriesForMarketplace(marketplaceId = 'EBAY_US') {
+  return Object.values(CATEGORIES)
+    .filter(cat => isCategoryAvailable(cat, marketplaceId))
+    .map(cat => localizeCategory(cat, marketplaceId));
+}
+
 /**
  * Get category choices for CLI (formatted for inquirer)
  */
-export function getCategoryChoices() {
-  return Object.values(CATEGORIES).map(cat => ({
+export function getCategoryChoices(marketplaceId = 'EBAY_US') {
+  return getCategoriesForMarketplace(marketplaceId).map(cat => ({
     name: `${cat.name} - ${cat.description}`,
     value: cat.id,
     short: cat.name,
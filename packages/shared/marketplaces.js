@@ -0,0 +1,82 @@
+/**
+ * eBay Marketplaces
+ * Marketplace IDs, contextual location and currency for each supported site
+ * IDs match the X-EBAY-C-MARKETPLACE-ID header values of the Browse API
+ */
+
+export const MARKETPLACES = {
+  EBAY_US: {
+    id: 'EBAY_US',
+    name: 'United States',
+    site: 'ebay.com',
+    country: 'US',
+    currency: 'USD',
+    currencySymbol: '$',
+    locale: 'en-US',
+  },
+  EBAY_GB: {
+    id: 'EBAY_GB',
+    name: 'United Kingdom',
+    site: 'ebay.co.uk',
+    country: 'GB',
+    currency: 'GBP',
+    currencySymbol: '£',
+    locale: 'en-GB',
+  },
+  EBAY_DE: {
+    id: 'EBAY_DE',
+    name: 'Germany',
+    site: 'ebay.de',
+    country: 'DE',
+    currency: 'EUR',
+    currencySymbol: '€',
+    locale: 'de-DE',
+  },
+  EBAY_AU: {
+    id: 'EBAY_AU',
+    name: 'Australia',
+    site: 'ebay.com.au',
+    country: 'AU',
+    currency: 'AUD',
+    currencySymbol: 'AU$',
+    locale: 'en-AU',
+  },
+};
+
+export const DEFAULT_MARKETPLACE_ID = 'EBAY_US';
+
+/**
+ * Get marketplace by ID (e.g. "EBAY_GB")
+ */
+export function getMarketplaceById(id) {
+  return Object.hasOwn(MARKETPLACES, id) ? MARKETPLACES[id] : null;
+}
+
+/**
+ * Get marketplace choices for CLI (formatted for inquirer)
+ */
+export function getMarketplaceChoices() {
+  return Object.values(MARKETPLACES).map(m => ({
+    name: `${m.name} (${m.site}, ${m.currency})`,
+    value: m.id,
+    short: m.name,
+  }));
+}
+
+/**
+ * Get the display symbol for an ISO currency code
+ * Unknown currencies fall back to the code itself (e.g. "CAD ")
+ */
+export function getCurrencySymbol(currency = 'USD') {
+  const marketplace = Object.values(MARKETPLACES).find(m => m.currency === currency);
+  return marketplace ? marketplace.currencySymbol : `${currency} `;
+}
+
+/**
+ * Format an amount with its currency symbol (e.g. "£12.50")
+ */
+export function formatPrice(amount, currency = 'USD') {
+  return `${getCurrencySymbol(currency)}${Number(amount || 0).toFixed(2)}`;
+}
+
+export default MARKETPLACES;
@@ -1,26 +1,49 @@
-import { useState, useEffect } from "react";
+import { Fragment, useState, useEffect, useRef } from "react";
 import { createPortal } from "react-dom";
+import {
+  DEFAULT_MARKETPLACE_ID,
+  formatPrice,
+  getMarketplaceChoices,
+} from "@ebay-analyzer/shared/marketplaces";
+import FacetPanel from "./FacetPanel";
+import PriceHistogram from "./PriceHistogram";
+import KeywordPanel from "./KeywordPanel";
+import ClusterMembers from "./ClusterMembers";
 import "./App.css";
 
 const API_URL = import.meta.env.VITE_API_URL || "http://localhost:3001";
 
+// How often to check whether a stale category has been refreshed, and for how long
+const STALE_POLL_MS = 5000;
+const STALE_POLL_ATTEMPTS = 24;
+
 function App() {
+  const [marketplace, setMarketplace] = useState(DEFAULT_MARKETPLACE_ID);
   const [categories, setCategories] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState(null);
   const [categoryData, setCategoryData] = useState(null);
+  const [keywordData, setKeywordData] = useState(null);
+  const [aspectFilters, setAspectFilters] = useState({});
+  const [priceBasis, setPriceBasis] = useState("price");
+  const [dedupe, setDedupe] = useState(false);
+  const [expandedClusters, setExpandedClusters] = useState(new Set());
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [sortConfig, setSortConfig] = useState({ key: null, direction: "asc" });
   const [modalImage, setModalImage] = useState(null);
   const [tooltip, setTooltip] = useState({ show: false, text: "", x: 0, y: 0 });
+  // Bumped on every category request so late responses for an old one are dropped
+  const latestRequest = useRef(0);
 
   useEffect(() => {
-    fetchCategories();
-  }, []);
+    fetchCategories(marketplace);
+  }, [marketplace]);
 
-  const fetchCategories = async () => {
+  const fetchCategories = async (marketplaceId) => {
     try {
-      const res = await fetch(`${API_URL}/api/categories`);
+      const res = await fetch(
+        `${API_URL}/api/categories?marketplace=${marketplaceId}`
+      );
       const data = await res.json();
       if (data.success) {
         setCategories(data.categories);
@@ -30,15 +53,39 @@ function App() {
     }
   };
 
-  const fetchCategoryData = async (categoryId) => {
+  const fetchCategoryData = async (
+    categoryId,
+    aspects = {},
+    basis = priceBasis,
+    grouped = dedupe
+  ) => {
     setError(null);
     setSortConfig({ key: null, direction: "asc" });
+    setKeywordData(null);
+    setExpandedClusters(new Set());
+    const request = ++latestRequest.current;
     try {
-      const res = await fetch(`${API_URL}/api/category/${categoryId}`);
+      const params = new URLSearchParams({
+        marketplace,
+        priceBasis: basis,
+        dedupe: grouped,
+      });
+      for (const [name, values] of Object.entries(aspects)) {
+        params.append("aspect", `${name}:${values.join("|")}`);
+      }
+      const res = await fetch(
+        `${API_URL}/api/category/${categoryId}?${params}`
+      );
       const data = await res.json();
+      if (request !== latestRequest.current) return;
       if (data.success) {
         setCategoryData(data);
         setLoading(false);
+        // Items are cached by now, so the keyword report doesn't refetch them
+        fetchKeywords(categoryId, params, request);
+        if (data.metadata.stale && !data.metadata.refreshError) {
+          pollForFreshData(categoryId, params, request);
+        }
       } else {
         setError(data.error);
         setLoading(false);
@@ -49,14 +96,117 @@ function App() {
     }
   };
 
+  // The API refreshes stale data in the background; swap it in once it lands.
+  // Polls the freshness route, which only reads the cache, so waiting never
+  // starts another eBay fetch
+  const pollForFreshData = (categoryId, params, request, attempt = 1) => {
+    setTimeout(async () => {
+      if (request !== latestRequest.current) return;
+      try {
+        const statusRes = await fetch(
+          `${API_URL}/api/category/${categoryId}/freshness?${params}`
+        );
+        const status = await statusRes.json();
+        if (request !== latestRequest.current || !status.success) return;
+
+        if (status.refreshError) {
+          setCategoryData((current) => ({
+            ...current,
+            metadata: { ...current.metadata, refreshError: status.refreshError },
+          }));
+        } else if (status.cached && !status.stale) {
+          const res = await fetch(
+            `${API_URL}/api/category/${categoryId}?${params}`
+          );
+          const data = await res.json();
+          if (request !== latestRequest.current || !data.success) return;
+          setCategoryData(data);
+          fetchKeywords(categoryId, params, request);
+        } else if (status.refreshing && attempt < STALE_POLL_ATTEMPTS) {
+          pollForFreshData(categoryId, params, request, attempt + 1);
+        }
+      } catch (err) {
+        // Keep showing the stale data
+      }
+    }, STALE_POLL_MS);
+  };
+
+  const fetchKeywords = async (categoryId, params, request) => {
+    try {
+      const res = await fetch(
+        `${API_URL}/api/category/${categoryId}/keywords?${params}`
+      );
+      const data = await res.json();
+      // Drop reports for a category or filter set the user has moved on from
+      if (request !== latestRequest.current) return;
+      if (data.success) {
+        setKeywordData(data.keywords);
+      }
+    } catch (err) {
+      // The keyword panel is optional, the table still works without it
+    }
+  };
+
   const handleCategorySelect = (category) => {
     setSelectedCategory(category);
+    setAspectFilters({});
     setCategoryData(null); // Clear old data
     setLoading(true); // Show skeleton
     // Fetch in background without blocking
     fetchCategoryData(category.id);
   };
 
+  const applyAspectFilters = (aspects) => {
+    setAspectFilters(aspects);
+    setCategoryData(null);
+    setLoading(true);
+    fetchCategoryData(selectedCategory.id, aspects);
+  };
+
+  const handlePriceBasisChange = (basis) => {
+    setPriceBasis(basis);
+    setCategoryData(null);
+    setLoading(true);
+    fetchCategoryData(selectedCategory.id, aspectFilters, basis);
+  };
+
+  const handleDedupeChange = (grouped) => {
+    setDedupe(grouped);
+    setCategoryData(null);
+    setLoading(true);
+    fetchCategoryData(selectedCategory.id, aspectFilters, priceBasis, grouped);
+  };
+
+  const toggleCluster = (itemId) => {
+    const next = new Set(expandedClusters);
+    if (next.has(itemId)) {
+      next.delete(itemId);
+    } else {
+      next.add(itemId);
+    }
+    setExpandedClusters(next);
+  };
+
+  const handleToggleAspect = (name, value) => {
+    const current = aspectFilters[name] || [];
+    const values = current.includes(value)
+      ? current.filter((v) => v !== value)
+      : [...current, value];
+
+    const { [name]: _, ...rest } = aspectFilters;
+    applyAspectFilters(values.length > 0 ? { ...rest, [name]: values } : rest);
+  };
+
+  const handleMarketplaceChange = (marketplaceId) => {
+    // Categories differ per site, so start over with a fresh list
+    setMarketplace(marketplaceId);
+    setSelectedCategory(null);
+    setCategoryData(null);
+    setAspectFilters({});
+    setError(null);
+    latestRequest.current++;
+  };
+
   const handleSort = (key) => {
     let direction = "asc";
     if (sortConfig.key === key && sortConfig.direction === "asc") {
@@ -78,13 +228,38 @@ function App() {
           bVal = categoryData.items.indexOf(b);
           break;
         case "price":
-          aVal = a.price;
-          bVal = b.price;
+        case "landedCost":
+          aVal = a[sortConfig.key];
+          bVal = b[sortConfig.key];
+          break;
+        case "shippingCost": {
+          // Unquoted shipping sorts after any known cost, in either direction
+          const aQuoted = a.shippingCost != null;
+          const bQuoted = b.shippingCost != null;
+          if (aQuoted !== bQuoted) return aQuoted ? -1 : 1;
+          aVal = a.shippingCost ?? 0;
+          bVal = b.shippingCost ?? 0;
+          break;
+        }
+        case "discountPercent":
+          aVal = a.discountPercent || 0;
+          bVal = b.discountPercent || 0;
           break;
         case "engagement":
           aVal = (a.watchCount || 0) + (a.quantitySold || 0);
           bVal = (b.watchCount || 0) + (b.quantitySold || 0);
           break;
+        case "trend":
+          aVal = a.trend?.score || 0;
+          bVal = b.trend?.score || 0;
+          break;
+        case "unitsPerDay":
+        case "watchersPerDay":
+        case "revenuePerDay":
+          // Items without snapshot history sort below any measured rate
+          aVal = a.velocity?.[sortConfig.key] ?? -Infinity;
+          bVal = b.velocity?.[sortConfig.key] ?? -Infinity;
+          break;
         default:
           return 0;
       }
@@ -204,6 +379,19 @@ function App() {
 
       <div className="container">
         <div className="sidebar">
+          <h2>Marketplace</h2>
+          <select
+            className="marketplace-select"
+            value={marketplace}
+            onChange={(e) => handleMarketplaceChange(e.target.value)}
+          >
+            {getMarketplaceChoices().map((choice) => (
+              <option key={choice.value} value={choice.value}>
+                {choice.name}
+              </option>
+            ))}
+          </select>
+
           <h2>Categories</h2>
           <div className="category-list">
             {categories.map((cat) => (
@@ -288,6 +476,8 @@ function App() {
                         <th>Images</th>
                         <th>Product Details</th>
                         <th>Price</th>
+                        <th>Landed Cost</th>
+                        <th>Discount</th>
                         <th>Condition</th>
                         <th>Seller Information</th>
                         <th>Shipping Details</th>
@@ -295,6 +485,10 @@ function App() {
                         <th>Availability</th>
                         <th>Ships From</th>
                         <th>Engagement</th>
+                        <th>Sold / Day</th>
+                        <th>Watchers / Day</th>
+                        <th>Revenue / Day</th>
+                        <th>Trend</th>
                         <th>Status Badges</th>
                       </tr>
                     </thead>
@@ -326,6 +520,18 @@ function App() {
                               style={{ width: "60px" }}
                             ></div>
                           </td>
+                          <td>
+                            <div
+                              className="skeleton skeleton-text"
+                              style={{ width: "60px" }}
+                            ></div>
+                          </td>
+                          <td>
+                            <div
+                              className="skeleton skeleton-text"
+                              style={{ width: "50px" }}
+                            ></div>
+                          </td>
                           <td>
                             <div
                               className="skeleton skeleton-text"
@@ -372,6 +578,30 @@ function App() {
                               style={{ width: "70px" }}
                             ></div>
                           </td>
+                          <td>
+                            <div
+                              className="skeleton skeleton-text"
+                              style={{ width: "50px" }}
+                            ></div>
+                          </td>
+                          <td>
+                            <div
+                              className="skeleton skeleton-text"
+                              style={{ width: "50px" }}
+                            ></div>
+                          </td>
+                          <td>
+                            <div
+                              className="skeleton skeleton-text"
+                              style={{ width: "50px" }}
+                            ></div>
+                          </td>
+                          <td>
+                            <div
+                              className="skeleton skeleton-text"
+                              style={{ width: "60px" }}
+                            ></div>
+                          </td>
                           <td>
                             <div
                               className="skeleton skeleton-text"
@@ -400,7 +630,31 @@ function App() {
                       <span className="separator">•</span>
                     </>
                   )}
-                  <span>Source: eBay Browse API</span>
+                  {categoryData.metadata.stale &&
+                    (categoryData.metadata.refreshError ? (
+                      <>
+                        <span
+                          className="stale-badge"
+                          title={`This cached copy has expired and fetching fresh data failed (${categoryData.metadata.refreshError.error}). It will be retried after ${new Date(categoryData.metadata.refreshError.retryAt).toLocaleTimeString()}.`}
+                        >
+                          Out of date, refresh failed
+                        </span>
+                        <span className="separator">•</span>
+                      </>
+                    ) : (
+                      <>
+                        <span
+                          className="stale-badge"
+                          title="This cached copy has expired. Fresh data is being fetched and will replace it automatically."
+                        >
+                          Out of date, refreshing…
+                        </span>
+                        <span className="separator">•</span>
+                      </>
+                    ))}
+                  <span>
+                    Source: eBay Browse API ({categoryData.marketplace.site})
+                  </span>
                 </p>
               </div>
 
@@ -414,14 +668,24 @@ function App() {
                 <div className="stat-card">
                   <div className="stat-label">Average Price</div>
                   <div className="stat-value">
-                    ${categoryData.stats.avgPrice.toFixed(2)}
+                    {formatPrice(
+                      categoryData.stats.avgPrice,
+                      categoryData.stats.currency
+                    )}
                   </div>
                 </div>
                 <div className="stat-card">
                   <div className="stat-label">Price Range</div>
                   <div className="stat-value">
-                    ${categoryData.stats.minPrice.toFixed(2)} - $
-                    {categoryData.stats.maxPrice.toFixed(2)}
+                    {formatPrice(
+                      categoryData.stats.minPrice,
+                      categoryData.stats.currency
+                    )}{" "}
+                    -{" "}
+                    {formatPrice(
+                      categoryData.stats.maxPrice,
+                      categoryData.stats.currency
+                    )}
                   </div>
                 </div>
                 <div className="stat-card">
@@ -431,8 +695,78 @@ function App() {
                     {categoryData.stats.totalListings}
                   </div>
                 </div>
+                {categoryData.stats.shipping && (
+                  <div
+                    className="stat-card"
+                    title={categoryData.stats.shipping.byCondition
+                      .map(
+                        (group) =>
+                          `${group.condition}: ${
+                            group.avgShippingCost === null
+                              ? "n/a"
+                              : formatPrice(
+                                  group.avgShippingCost,
+                                  categoryData.stats.currency
+                                )
+                          } avg shipping, ${group.freeShippingShare}% free`
+                      )
+                      .join("\n")}
+                  >
+                    <div className="stat-label">Free Shipping</div>
+                    <div className="stat-value">
+                      {categoryData.stats.shipping.freeShippingShare}%
+                      {categoryData.stats.shipping.avgPaidShippingCost !==
+                        null &&
+                        ` (paid avg ${formatPrice(
+                          categoryData.stats.shipping.avgPaidShippingCost,
+                          categoryData.stats.currency
+                        )})`}
+                    </div>
+                  </div>
+                )}
+                {categoryData.stats.discounts && (
+                  <div className="stat-card">
+                    <div className="stat-label">Discounted</div>
+                    <div className="stat-value">
+                      {categoryData.stats.discounts.discountedShare}%
+                      {categoryData.stats.discounts.discountedListings > 0 &&
+                        ` (avg ${categoryData.stats.discounts.avgDiscountPercent}% off)`}
+                    </div>
+                  </div>
+                )}
+                {categoryData.velocity && (
+                  <div
+                    className="stat-card"
+                    title={`${categoryData.velocity.trackedItems} items with history, ${categoryData.velocity.disappeared} gone since the last snapshot`}
+                  >
+                    <div className="stat-label">Sold / Day</div>
+                    <div className="stat-value">
+                      {categoryData.velocity.unitsPerDay.toLocaleString()} (
+                      {formatPrice(
+                        categoryData.velocity.revenuePerDay,
+                        categoryData.velocity.currency
+                      )}
+                      )
+                    </div>
+                  </div>
+                )}
+                <PriceHistogram
+                  stats={categoryData.stats}
+                  priceBasis={priceBasis}
+                  onChangePriceBasis={handlePriceBasisChange}
+                />
               </div>
 
+              <FacetPanel
+                refinements={categoryData.refinements}
+                selectedAspects={aspectFilters}
+                onToggleAspect={handleToggleAspect}
+                onClearAspects={() => applyAspectFilters({})}
+                onSelectCategory={handleCategorySelect}
+              />
+
+              <KeywordPanel keywords={keywordData} />
+
               <div className="table-wrapper">
                 <div className="table-header">
                   <h3>Top 100 Trending Products</h3>
@@ -448,6 +782,19 @@ function App() {
                     </a>{" "}
                     based on sales, popularity, and seller quality
                   </p>
+                  <label
+                    className="dedupe-toggle"
+                    title="Same item group, ePID/GTIN, picture or near-identical title"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={dedupe}
+                      onChange={(e) => handleDedupeChange(e.target.checked)}
+                    />
+                    Group duplicate listings
+                    {categoryData.duplicates?.clusters > 0 &&
+                      ` (${categoryData.duplicates.duplicateListings} duplicates in ${categoryData.duplicates.clusters} groups)`}
+                  </label>
                 </div>
                 <div className="table-container">
                   <table className="data-table">
@@ -467,9 +814,26 @@ function App() {
                         >
                           Price{getSortIcon("price")}
                         </th>
+                        <th
+                          className="sortable"
+                          onClick={() => handleSort("landedCost")}
+                        >
+                          Landed Cost{getSortIcon("landedCost")}
+                        </th>
+                        <th
+                          className="sortable"
+                          onClick={() => handleSort("discountPercent")}
+                        >
+                          Discount{getSortIcon("discountPercent")}
+                        </th>
                         <th>Condition</th>
                         <th>Seller Information</th>
-                        <th>Shipping Details</th>
+                        <th
+                          className="sortable"
+                          onClick={() => handleSort("shippingCost")}
+                        >
+                          Shipping Details{getSortIcon("shippingCost")}
+                        </th>
                         <th>Return Policy</th>
                         <th>Availability</th>
                         <th>Ships From</th>
@@ -479,6 +843,30 @@ function App() {
                         >
                           Engagement{getSortIcon("engagement")}
                         </th>
+                        <th
+                          className="sortable"
+                          onClick={() => handleSort("unitsPerDay")}
+                        >
+                          Sold / Day{getSortIcon("unitsPerDay")}
+                        </th>
+                        <th
+                          className="sortable"
+                          onClick={() => handleSort("watchersPerDay")}
+                        >
+                          Watchers / Day{getSortIcon("watchersPerDay")}
+                        </th>
+                        <th
+                          className="sortable"
+                          onClick={() => handleSort("revenuePerDay")}
+                        >
+                          Revenue / Day{getSortIcon("revenuePerDay")}
+                        </th>
+                        <th
+                          className="sortable"
+                          onClick={() => handleSort("trend")}
+                        >
+                          Trend{getSortIcon("trend")}
+                        </th>
                         <th>Status Badges</th>
                       </tr>
                     </thead>
@@ -490,216 +878,322 @@ function App() {
                         );
 
                         return (
-                          <tr key={item.itemId}>
-                            <td className="rank-cell">
-                              {categoryData.items.indexOf(item) + 1}
-                            </td>
-                            <td className="image-cell">
-                              <div className="images-grid">
-                                {allImages.map((imgUrl, idx) => (
-                                  <img
-                                    key={idx}
-                                    src={imgUrl}
-                                    alt={`${item.title} - Image ${idx + 1}`}
-                                    className={`item-image ${
-                                      idx === 0
-                                        ? "main-image"
-                                        : "thumbnail-image"
-                                    }`}
-                                    onClick={() => openImageModal(imgUrl)}
-                                    title="Click to enlarge"
-                                  />
-                                ))}
-                                {allImages.length === 0 && (
-                                  <div className="no-image">No Image</div>
+                          <Fragment key={item.itemId}>
+                            <tr>
+                              <td className="rank-cell">
+                                {categoryData.items.indexOf(item) + 1}
+                              </td>
+                              <td className="image-cell">
+                                <div className="images-grid">
+                                  {allImages.map((imgUrl, idx) => (
+                                    <img
+                                      key={idx}
+                                      src={imgUrl}
+                                      alt={`${item.title} - Image ${idx + 1}`}
+                                      className={`item-image ${
+                                        idx === 0
+                                          ? "main-image"
+                                          : "thumbnail-image"
+                                      }`}
+                                      onClick={() => openImageModal(imgUrl)}
+                                      title="Click to enlarge"
+                                    />
+                                  ))}
+                                  {allImages.length === 0 && (
+                                    <div className="no-image">No Image</div>
+                                  )}
+                                </div>
+                              </td>
+                              <td className="product-cell">
+                                <div className="product-title">{item.title}</div>
+                                <a
+                                  href={item.itemUrl}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  className="product-link"
+                                >
+                                  Item ID: {item.itemId}
+                                </a>
+                                {item.shortDescription && (
+                                  <div className="product-desc">
+                                    {item.shortDescription}
+                                  </div>
+                                )}
+                                {item.cluster?.size > 1 && (
+                                  <button
+                                    className="cluster-toggle"
+                                    onClick={() => toggleCluster(item.itemId)}
+                                  >
+                                    {expandedClusters.has(item.itemId)
+                                      ? "Hide similar"
+                                      : `+${item.cluster.size - 1} similar`}
+                                  </button>
                                 )}
-                              </div>
-                            </td>
-                            <td className="product-cell">
-                              <div className="product-title">{item.title}</div>
-                              <a
-                                href={item.itemUrl}
-                                target="_blank"
-                                rel="noopener noreferrer"
-                                className="product-link"
-                              >
-                                Item ID: {item.itemId}
-                              </a>
-                              {item.shortDescription && (
-                                <div className="product-desc">
-                                  {item.shortDescription}
+                              </td>
+                              <td className="price-cell">
+                                <div className="price-main">
+                                  {formatPrice(item.price, item.currency)}
                                 </div>
-                              )}
-                            </td>
-                            <td className="price-cell">
-                              <div className="price-main">
-                                ${item.price.toFixed(2)}
-                              </div>
-                              {item.originalPrice && (
-                                <div className="price-discount">
-                                  <span className="original-price">
-                                    Was ${item.originalPrice.toFixed(2)}
-                                  </span>
-                                  <span className="discount-badge">
-                                    Save {item.discountPercent}%
+                                {item.originalPrice && (
+                                  <div className="price-discount">
+                                    <span className="original-price">
+                                      Was{" "}
+                                      {formatPrice(
+                                        item.originalPrice,
+                                        item.currency
+                                      )}
+                                    </span>
+                                  </div>
+                                )}
+                                {item.priceOutlier && (
+                                  <span
+                                    className="outlier-badge"
+                                    title="More than 1.5× the interquartile range outside the middle half of prices"
+                                  >
+                                    {item.priceOutlier === "high"
+                                      ? "Unusually high"
+                                      : "Unusually low"}
                                   </span>
+                                )}
+                              </td>
+                              <td className="price-cell">
+                                <div className="price-main">
+                                  {formatPrice(item.landedCost, item.currency)}
                                 </div>
-                              )}
-                            </td>
-                            <td className="condition-cell">
-                              {formatCondition(item.condition)}
-                            </td>
-                            <td className="seller-cell">
-                              <div className="seller-name">
-                                @{item.sellerUsername}
-                              </div>
-                              <div className="seller-stats">
-                                <div>
-                                  {item.sellerFeedback.toLocaleString()} ratings
-                                </div>
-                                <div>
-                                  {item.sellerRating.toFixed(1)}% positive
+                                <div className="landed-note">
+                                  {item.shippingCost === null
+                                    ? "Shipping not quoted"
+                                    : item.freeShipping
+                                    ? "Free shipping"
+                                    : `incl. ${formatPrice(
+                                        item.shippingCost,
+                                        item.currency
+                                      )} shipping`}
                                 </div>
-                              </div>
-                            </td>
-                            <td className="shipping-cell">
-                              {!item.freeShipping && item.shippingCost && (
-                                <div className="ship-cost">
-                                  {item.shippingCost} shipping
+                              </td>
+                              <td className="discount-cell">
+                                {item.discountPercent ? (
+                                  <>
+                                    <span className="discount-badge">
+                                      Save {item.discountPercent}%
+                                    </span>
+                                    <div className="landed-note">
+                                      {formatPrice(
+                                        item.discountAmount,
+                                        item.currency
+                                      )}{" "}
+                                      off
+                                    </div>
+                                  </>
+                                ) : (
+                                  <span className="muted">—</span>
+                                )}
+                              </td>
+                              <td className="condition-cell">
+                                {formatCondition(item.condition)}
+                              </td>
+                              <td className="seller-cell">
+                                <div className="seller-name">
+                                  @{item.sellerUsername}
                                 </div>
-                              )}
-                              {item.shippingType && (
-                                <div className="ship-type">
-                                  {item.shippingType}
+                                <div className="seller-stats">
+                                  <div>
+                                    {item.sellerFeedback.toLocaleString()} ratings
+                                  </div>
+                                  <div>
+                                    {item.sellerRating.toFixed(1)}% positive
+                                  </div>
                                 </div>
-                              )}
-                              {shipsTo && typeof shipsTo === "object" ? (
+                              </td>
+                              <td className="shipping-cell">
+                                {item.shippingCost > 0 && (
+                                  <div className="ship-cost">
+                                    {formatPrice(
+                                      item.shippingCost,
+                                      item.currency
+                                    )}{" "}
+                                    shipping
+                                  </div>
+                                )}
+                                {item.shippingType && (
+                                  <div className="ship-type">
+                                    {item.shippingType}
+                                  </div>
+                                )}
+                                {shipsTo && typeof shipsTo === "object" ? (
+                                  <div
+                                    className="ship-regions ship-regions-hoverable"
+                                    onMouseEnter={(e) =>
+                                      handleTooltipEnter(e, shipsTo.full)
+                                    }
+                                    onMouseLeave={handleTooltipLeave}
+                                  >
+                                    {shipsTo.summary}
+                                  </div>
+                                ) : (
+                                  shipsTo && (
+                                    <div className="ship-regions">{shipsTo}</div>
+                                  )
+                                )}
+                              </td>
+                              <td className="returns-cell">
                                 <div
-                                  className="ship-regions ship-regions-hoverable"
-                                  onMouseEnter={(e) =>
-                                    handleTooltipEnter(e, shipsTo.full)
+                                  className={
+                                    item.returnsAccepted
+                                      ? "returns-yes"
+                                      : "returns-no"
                                   }
-                                  onMouseLeave={handleTooltipLeave}
                                 >
-                                  {shipsTo.summary}
+                                  {formatReturnPolicy(item)}
                                 </div>
-                              ) : (
-                                shipsTo && (
-                                  <div className="ship-regions">{shipsTo}</div>
-                                )
-                              )}
-                            </td>
-                            <td className="returns-cell">
-                              <div
-                                className={
-                                  item.returnsAccepted
-                                    ? "returns-yes"
-                                    : "returns-no"
-                                }
-                              >
-                                {formatReturnPolicy(item)}
-                              </div>
-                            </td>
-                            <td className="stock-cell">
-                              {item.availabilityThresholdType === "MORE_THAN" &&
-                              item.availabilityThreshold ? (
-                                <span className="stock-ok">
-                                  {item.availabilityThreshold}+ in stock
-                                </span>
-                              ) : item.estimatedAvailableQuantity ? (
-                                // If quantity is round number (10, 20, 50, 100), likely means "X or more"
-                                [10, 20, 50, 100].includes(
-                                  item.estimatedAvailableQuantity
-                                ) ? (
-                                  <span className="stock-ok">
-                                    {item.estimatedAvailableQuantity}+ in stock
-                                  </span>
-                                ) : item.estimatedAvailableQuantity <= 5 ? (
-                                  <span className="stock-low">
-                                    Only {item.estimatedAvailableQuantity} in
-                                    stock
-                                  </span>
-                                ) : (
-                                  <span className="stock-ok">
-                                    {item.estimatedAvailableQuantity} in stock
-                                  </span>
-                                )
-                              ) : item.estimatedRemainingQuantity ? (
-                                [10, 20, 50, 100].includes(
-                                  item.estimatedRemainingQuantity
-                                ) ? (
-                                  <span className="stock-ok">
-                                    {item.estimatedRemainingQuantity}+ remaining
-                                  </span>
-                                ) : item.estimatedRemainingQuantity <= 5 ? (
-                                  <span className="stock-low">
-                                    Only {item.estimatedRemainingQuantity}{" "}
-                                    remaining
-                                  </span>
-                                ) : (
-                                  <span className="stock-ok">
-                                    {item.estimatedRemainingQuantity} remaining
-                                  </span>
-                                )
-                              ) : item.availabilityThreshold ? (
-                                item.availabilityThresholdType ===
-                                "MORE_THAN" ? (
+                              </td>
+                              <td className="stock-cell">
+                                {item.availabilityThresholdType === "MORE_THAN" &&
+                                item.availabilityThreshold ? (
                                   <span className="stock-ok">
                                     {item.availabilityThreshold}+ in stock
                                   </span>
+                                ) : item.estimatedAvailableQuantity ? (
+                                  // If quantity is round number (10, 20, 50, 100), likely means "X or more"
+                                  [10, 20, 50, 100].includes(
+                                    item.estimatedAvailableQuantity
+                                  ) ? (
+                                    <span className="stock-ok">
+                                      {item.estimatedAvailableQuantity}+ in stock
+                                    </span>
+                                  ) : item.estimatedAvailableQuantity <= 5 ? (
+                                    <span className="stock-low">
+                                      Only {item.estimatedAvailableQuantity} in
+                                      stock
+                                    </span>
+                                  ) : (
+                                    <span className="stock-ok">
+                                      {item.estimatedAvailableQuantity} in stock
+                                    </span>
+                                  )
+                                ) : item.estimatedRemainingQuantity ? (
+                                  [10, 20, 50, 100].includes(
+                                    item.estimatedRemainingQuantity
+                                  ) ? (
+                                    <span className="stock-ok">
+                                      {item.estimatedRemainingQuantity}+ remaining
+                                    </span>
+                                  ) : item.estimatedRemainingQuantity <= 5 ? (
+                                    <span className="stock-low">
+                                      Only {item.estimatedRemainingQuantity}{" "}
+                                      remaining
+                                    </span>
+                                  ) : (
+                                    <span className="stock-ok">
+                                      {item.estimatedRemainingQuantity} remaining
+                                    </span>
+                                  )
+                                ) : item.availabilityThreshold ? (
+                                  item.availabilityThresholdType ===
+                                  "MORE_THAN" ? (
+                                    <span className="stock-ok">
+                                      {item.availabilityThreshold}+ in stock
+                                    </span>
+                                  ) : (
+                                    <span className="stock-low">
+                                      Only {item.availabilityThreshold} left!
+                                    </span>
+                                  )
                                 ) : (
-                                  <span className="stock-low">
-                                    Only {item.availabilityThreshold} left!
-                                  </span>
-                                )
-                              ) : (
-                                <span className="stock-ok">In stock</span>
-                              )}
-                            </td>
-                            <td className="location-cell">
-                              {item.itemLocation || (
-                                <span className="muted">Not specified</span>
-                              )}
-                            </td>
-                            <td className="engagement-cell">
-                              <div className="engagement-content">
-                                {item.watchCount > 0 && (
-                                  <div className="watchers">
-                                    {item.watchCount} watching
-                                  </div>
+                                  <span className="stock-ok">In stock</span>
                                 )}
-                                {item.quantitySold > 0 && (
-                                  <div className="sold">
-                                    {item.quantitySold} sold
-                                  </div>
+                              </td>
+                              <td className="location-cell">
+                                {item.itemLocation || (
+                                  <span className="muted">Not specified</span>
                                 )}
-                                {(!item.watchCount || item.watchCount === 0) &&
-                                  (!item.quantitySold ||
-                                    item.quantitySold === 0) && (
-                                    <span className="muted">No data</span>
+                              </td>
+                              <td className="engagement-cell">
+                                <div className="engagement-content">
+                                  {item.watchCount > 0 && (
+                                    <div className="watchers">
+                                      {item.watchCount} watching
+                                    </div>
                                   )}
-                              </div>
-                            </td>
-                            <td className="badges-cell">
-                              <div className="badges-content">
-                                {item.freeShipping && (
-                                  <span className="badge badge-shipping">
-                                    Free Shipping
+                                  {item.quantitySold > 0 && (
+                                    <div className="sold">
+                                      {item.quantitySold} sold
+                                    </div>
+                                  )}
+                                  {(!item.watchCount || item.watchCount === 0) &&
+                                    (!item.quantitySold ||
+                                      item.quantitySold === 0) && (
+                                      <span className="muted">No data</span>
+                                    )}
+                                </div>
+                              </td>
+                              <td className="velocity-cell">
+                                {item.velocity?.unitsPerDay != null ? (
+                                  <span
+                                    title={`Over ${item.velocity.days} days, ${item.velocity.observations} observations`}
+                                  >
+                                    {item.velocity.unitsPerDay}
                                   </span>
+                                ) : (
+                                  <span className="muted">—</span>
                                 )}
-                                {item.topRated && (
-                                  <span className="badge badge-toprated">
-                                    Top Rated Seller
-                                  </span>
+                              </td>
+                              <td className="velocity-cell">
+                                {item.velocity?.watchersPerDay != null ? (
+                                  item.velocity.watchersPerDay
+                                ) : (
+                                  <span className="muted">—</span>
                                 )}
-                                {item.promoted && (
-                                  <span className="badge badge-promoted">
-                                    Promoted Listing
-                                  </span>
+                              </td>
+                              <td className="velocity-cell">
+                                {item.velocity?.revenuePerDay != null ? (
+                                  formatPrice(
+                                    item.velocity.revenuePerDay,
+                                    item.velocity.currency
+                                  )
+                                ) : (
+                                  <span className="muted">—</span>
+                                )}
+                              </td>
+                              <td className="trend-cell">
+                                {item.trend?.label ? (
+                                  <div
+                                    className={`trend-badge trend-${item.trend.key.toLowerCase()}`}
+                                    title={`Trend score ${item.trend.score} (relative to this category)`}
+                                  >
+                                    {item.trend.symbol} {item.trend.label}
+                                  </div>
+                                ) : (
+                                  <span className="muted">No data</span>
                                 )}
-                              </div>
-                            </td>
-                          </tr>
+                              </td>
+                              <td className="badges-cell">
+                                <div className="badges-content">
+                                  {item.freeShipping && (
+                                    <span className="badge badge-shipping">
+                                      Free Shipping
+                                    </span>
+                                  )}
+                                  {item.topRated && (
+                                    <span className="badge badge-toprated">
+                                      Top Rated Seller
+                                    </span>
+                                  )}
+                                  {item.promoted && (
+                                    <span className="badge badge-promoted">
+                                      Promoted Listing
+                                    </span>
+                                  )}
+                                </div>
+                              </td>
+                            </tr>
+                            {expandedClusters.has(item.itemId) && (
+                              <ClusterMembers
+                                cluster={item.cluster}
+                                colSpan={18}
+                              />
+                            )}
+                          </Fragment>
                         );
                       })}
                     </tbody>
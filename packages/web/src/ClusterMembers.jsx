@@ -0,0 +1,68 @@
+import { formatPrice } from "@ebay-analyzer/shared/marketplaces";
+
+const MATCH_LABELS = {
+  itemGroup: "same item group",
+  epid: "same ePID",
+  gtin: "same GTIN",
+  image: "same picture",
+  title: "similar title",
+};
+
+/**
+ * Expanded row listing the other listings grouped with a representative
+ * when duplicates are collapsed (dedupe=true)
+ */
+function ClusterMembers({ cluster, colSpan }) {
+  return (
+    <tr className="cluster-members-row">
+      <td colSpan={colSpan}>
+        <div className="cluster-summary">
+          {cluster.size} listings from {cluster.sellers}{" "}
+          {cluster.sellers === 1 ? "seller" : "sellers"}, priced{" "}
+          {formatPrice(cluster.priceMin, cluster.currency)} -{" "}
+          {formatPrice(cluster.priceMax, cluster.currency)} (
+          {cluster.priceSpreadPercent}% spread), {cluster.totalSold} sold in
+          total. Matched by{" "}
+          {cluster.matchedBy.map((reason) => MATCH_LABELS[reason]).join(", ")}.
+        </div>
+        <table className="cluster-members">
+          <tbody>
+            {cluster.members.map((member) => (
+              <tr key={member.itemId}>
+                <td>
+                  {member.imageUrl ? (
+                    <img
+                      src={member.imageUrl}
+                      alt={member.title}
+                      className="cluster-member-image"
+                    />
+                  ) : (
+                    <div className="no-image">No Image</div>
+                  )}
+                </td>
+                <td>
+                  <a
+                    href={member.itemUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="product-link"
+                  >
+                    {member.title}
+                  </a>
+                </td>
+                <td>@{member.sellerUsername}</td>
+                <td className="price-main">
+                  {formatPrice(member.price, member.currency)}
+                </td>
+                <td>{member.quantitySold || 0} sold</td>
+                <td>{member.watchCount || 0} watching</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </td>
+    </tr>
+  );
+}
+
+export default ClusterMembers;
@@ -0,0 +1,99 @@
+const MAX_FACET_VALUES = 8;
+
+/**
+ * Aspect and sub-category distributions for the current category
+ * Clicking an aspect value toggles it as a filter, clicking a
+ * sub-category opens it
+ */
+function FacetPanel({
+  refinements,
+  selectedAspects,
+  onToggleAspect,
+  onClearAspects,
+  onSelectCategory,
+}) {
+  if (!refinements) return null;
+
+  const hasSelection = Object.keys(selectedAspects).length > 0;
+  const aspects = refinements.aspects.filter(
+    (aspect) => aspect.values.length > 0
+  );
+
+  if (aspects.length === 0 && refinements.categories.length === 0) {
+    return null;
+  }
+
+  const renderBar = (share) => (
+    <div className="facet-bar">
+      <div
+        className="facet-bar-fill"
+        style={{ width: `${Math.min(share, 100)}%` }}
+      ></div>
+    </div>
+  );
+
+  return (
+    <div className="facet-panel">
+      <div className="facet-panel-header">
+        <h3>Market Breakdown</h3>
+        <span className="facet-total">
+          {refinements.totalMatches.toLocaleString()} matching listings
+        </span>
+        {hasSelection && (
+          <button className="facet-clear" onClick={onClearAspects}>
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      <div className="facet-groups">
+        {refinements.categories.length > 0 && (
+          <div className="facet-group">
+            <div className="facet-group-name">Sub-categories</div>
+            {refinements.categories.slice(0, MAX_FACET_VALUES).map((cat) => (
+              <button
+                key={cat.id}
+                className="facet-value"
+                onClick={() => onSelectCategory({ id: cat.id, name: cat.name })}
+                title={`Open ${cat.name}`}
+              >
+                <span className="facet-label">{cat.name}</span>
+                <span className="facet-share">{cat.share}%</span>
+                {renderBar(cat.share)}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {aspects.map((aspect) => (
+          <div key={aspect.name} className="facet-group">
+            <div className="facet-group-name">{aspect.name}</div>
+            {aspect.values.slice(0, MAX_FACET_VALUES).map((entry) => {
+              const active = selectedAspects[aspect.name]?.includes(
+                entry.value
+              );
+              return (
+                <button
+                  key={entry.value}
+                  className={`facet-value ${active ? "active" : ""}`}
+                  onClick={() => onToggleAspect(aspect.name, entry.value)}
+                  title={
+                    active
+                      ? `Remove ${aspect.name} filter`
+                      : `Only show ${entry.value}`
+                  }
+                >
+                  <span className="facet-label">{entry.value}</span>
+                  <span className="facet-share">{entry.share}%</span>
+                  {renderBar(entry.share)}
+                </button>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default FacetPanel;
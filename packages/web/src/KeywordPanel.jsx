@@ -0,0 +1,119 @@
+import { useState } from "react";
+
+const MIN_FONT_SIZE = 12;
+const MAX_FONT_SIZE = 28;
+
+/**
+ * Title keywords for the current category, as a tag cloud or a table
+ * Words and phrases are sized by score (listings weighted by watchers and
+ * units sold); terms gaining share since the previous snapshot are highlighted
+ */
+function KeywordPanel({ keywords }) {
+  const [view, setView] = useState("cloud");
+
+  if (!keywords) return null;
+
+  const terms = [...keywords.unigrams, ...keywords.bigrams].sort(
+    (a, b) => b.score - a.score
+  );
+  if (terms.length === 0) return null;
+
+  const emerging = new Set(keywords.emerging.map((t) => t.term));
+  const maxScore = terms[0].score;
+  const minScore = terms[terms.length - 1].score;
+  const fontSize = (score) =>
+    maxScore === minScore
+      ? MIN_FONT_SIZE
+      : MIN_FONT_SIZE +
+        ((score - minScore) / (maxScore - minScore)) *
+          (MAX_FONT_SIZE - MIN_FONT_SIZE);
+
+  // Cloud in alphabetical order, the size already shows the ranking
+  const cloudTerms = [...terms].sort((a, b) => a.term.localeCompare(b.term));
+
+  return (
+    <div className="keyword-panel">
+      <div className="facet-panel-header">
+        <h3>Title Keywords</h3>
+        <span className="facet-total">
+          {keywords.comparedListings === null
+            ? "Emerging terms appear after the next snapshot"
+            : `${keywords.emerging.length} terms gaining share`}
+        </span>
+        <div className="keyword-view-toggle">
+          <button
+            className={view === "cloud" ? "active" : ""}
+            onClick={() => setView("cloud")}
+          >
+            Cloud
+          </button>
+          <button
+            className={view === "table" ? "active" : ""}
+            onClick={() => setView("table")}
+          >
+            Table
+          </button>
+        </div>
+      </div>
+
+      {view === "cloud" ? (
+        <div className="keyword-cloud">
+          {cloudTerms.map((t) => (
+            <span
+              key={t.term}
+              className={`keyword-tag ${
+                emerging.has(t.term) ? "keyword-emerging" : ""
+              }`}
+              style={{ fontSize: `${fontSize(t.score)}px` }}
+              title={`${t.count} listings (${t.share}%), ${t.watchers} watchers, ${t.sold} sold${
+                t.change !== null ? `, ${t.change > 0 ? "+" : ""}${t.change} pts` : ""
+              }`}
+            >
+              {t.term}
+            </span>
+          ))}
+        </div>
+      ) : (
+        <table className="keyword-table">
+          <thead>
+            <tr>
+              <th>Term</th>
+              <th>Listings</th>
+              <th>Share</th>
+              <th>Watchers</th>
+              <th>Sold</th>
+              <th>Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {terms.map((t) => (
+              <tr key={t.term}>
+                <td>
+                  {t.term}
+                  {emerging.has(t.term) && (
+                    <span className="keyword-emerging-badge">
+                      {t.isNew ? "New" : "Emerging"}
+                    </span>
+                  )}
+                </td>
+                <td>{t.count}</td>
+                <td>{t.share}%</td>
+                <td>{t.watchers.toLocaleString()}</td>
+                <td>{t.sold.toLocaleString()}</td>
+                <td>
+                  {t.change === null ? (
+                    <span className="muted">—</span>
+                  ) : (
+                    `${t.change > 0 ? "+" : ""}${t.change} pts`
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default KeywordPanel;
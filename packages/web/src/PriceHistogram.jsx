@@ -0,0 +1,73 @@
+import { formatPrice } from "@ebay-analyzer/shared/marketplaces";
+
+/**
+ * Price histogram and percentiles for the stats grid
+ * Outliers are left out of the bucket range by the API, so they are only
+ * counted here
+ */
+function PriceHistogram({ stats, priceBasis, onChangePriceBasis }) {
+  const dist = stats.distribution;
+  if (!dist) return null;
+
+  const price = (value) => formatPrice(value, stats.currency);
+  const maxCount = Math.max(...dist.histogram.map((bucket) => bucket.count), 1);
+  const outlierCount = dist.outliers.low + dist.outliers.high;
+
+  return (
+    <div className="stat-card price-histogram">
+      <div className="histogram-header">
+        <div className="stat-label">Price Distribution</div>
+        <label className="histogram-basis">
+          <input
+            type="checkbox"
+            checked={priceBasis === "landed"}
+            onChange={(e) =>
+              onChangePriceBasis(e.target.checked ? "landed" : "price")
+            }
+          />
+          Include shipping
+        </label>
+      </div>
+
+      <div className="histogram-bars">
+        {dist.histogram.map((bucket, index) => (
+          <div
+            key={index}
+            className="histogram-bar"
+            style={{ height: `${(bucket.count / maxCount) * 100}%` }}
+            title={`${price(bucket.min)} - ${price(bucket.max)}: ${
+              bucket.count
+            } listings`}
+          ></div>
+        ))}
+      </div>
+      <div className="histogram-axis">
+        <span>{price(dist.histogram[0].min)}</span>
+        <span>{price(dist.histogram[dist.histogram.length - 1].max)}</span>
+      </div>
+
+      <div className="histogram-percentiles">
+        <span>
+          Median <strong>{price(dist.median)}</strong>
+        </span>
+        <span>
+          Middle half {price(dist.q1)} - {price(dist.q3)}
+        </span>
+        <span>
+          P10-P90 {price(dist.p10)} - {price(dist.p90)}
+        </span>
+        {outlierCount > 0 && (
+          <span
+            title={`Outside ${price(dist.lowerFence)} - ${price(
+              dist.upperFence
+            )}`}
+          >
+            {outlierCount} outliers
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PriceHistogram;